@@ -0,0 +1,161 @@
+// Accounts - users sharing one deployment, each with their own tokens and sync settings
+const crypto = require('crypto');
+const { readJsonFile, writeJsonFile } = require('./json-file');
+const { validateConfigFields } = require('./runtime-config');
+const {
+  SYNC_MODES,
+  CONFLICT_POLICIES,
+  DATE_ONLY_EVENT_MODES,
+  ORPHAN_POLICIES
+} = require('./sync-engine');
+const { SEND_UPDATES_OPTIONS } = require('./attendees');
+
+const OAUTH_PROVIDERS = ['asana', 'google'];
+
+// Settings a user can override; everything else comes from the server config.
+// Values are a type name or the list of allowed values (see validateConfigFields).
+const USER_CONFIG_FIELDS = {
+  asanaWorkspaceId: 'string',
+  asanaAssignee: 'string',
+  asanaTeamIds: 'idList',
+  asanaProjectIds: 'idList',
+  googleCalendarId: 'nonEmptyString',
+  searchKeyword: 'nonEmptyString',
+  intervalHours: 'hourInterval',
+  scheduleCron: 'cronExpression',
+  scheduleTimeZone: 'timeZone',
+  scheduleWindow: 'runWindow',
+  scheduleJitterSeconds: 'nonNegativeInteger',
+  syncMode: SYNC_MODES,
+  conflictPolicy: CONFLICT_POLICIES,
+  orphanPolicy: ORPHAN_POLICIES,
+  orphanPrefix: 'string',
+  writeEventMarkers: 'boolean',
+  locationField: 'string',
+  durationField: 'string',
+  eventTimeZone: 'timeZone',
+  eventDefaultTime: 'clockTime',
+  eventDefaultDurationMinutes: 'positiveInteger',
+  dateOnlyEvents: DATE_ONLY_EVENT_MODES,
+  attendeesField: 'string',
+  sendUpdates: SEND_UPDATES_OPTIONS
+};
+
+// Server settings a user's config starts from: the defaults users can override, plus the shared
+// Google OAuth app, event and attendee defaults and feature switches. Nothing else is copied,
+// so API keys and the default account's tokens and files stay with the server.
+const SHARED_CONFIG_FIELDS = [
+  ...Object.keys(USER_CONFIG_FIELDS),
+  'googleClientId',
+  'googleClientSecret',
+  'googleRedirectUri',
+  'workspaceEventDefaults',
+  'attendeeSources',
+  'attendeeEmails',
+  'runHistoryLimit',
+  'publicUrl',
+  'asanaWebhooksEnabled',
+  'googleWatchEnabled'
+];
+
+const sharedConfigOf = (config) => Object.fromEntries(
+  SHARED_CONFIG_FIELDS.filter(key => key in config).map(key => [key, config[key]])
+);
+
+// Returns a list of problems with a per-user config; empty when valid
+const validateUserConfig = (userConfig) => validateConfigFields(userConfig, USER_CONFIG_FIELDS);
+
+// API tokens are only stored as hashes
+const hashApiToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Persistent user accounts. OAuth credentials are encrypted with the given TokenCipher.
+class AccountStore {
+  constructor(filePath, cipher) {
+    this.filePath = filePath;
+    this.cipher = cipher;
+    this.users = readJsonFile(filePath, {}).users || {};
+  }
+
+  save() {
+    writeJsonFile(this.filePath, { users: this.users });
+  }
+
+  get(userId) {
+    return this.users[userId] || null;
+  }
+
+  all() {
+    return Object.values(this.users);
+  }
+
+  findByApiToken(token) {
+    if (!token) return null;
+    const tokenHash = hashApiToken(token);
+    return this.all().find(user => user.apiTokenHash === tokenHash) || null;
+  }
+
+  // Returns the new user along with its API token, which is not stored and can't be shown again
+  create({ name, email = null, config = {} }) {
+    const now = new Date().toISOString();
+    const apiToken = crypto.randomBytes(32).toString('hex');
+    const user = {
+      id: crypto.randomBytes(8).toString('hex'),
+      name,
+      email,
+      config,
+      apiTokenHash: hashApiToken(apiToken),
+      credentials: {},
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.users[user.id] = user;
+    this.save();
+    return { user, apiToken };
+  }
+
+  update(userId, fields) {
+    if (!this.users[userId]) return null;
+    this.users[userId] = { ...this.users[userId], ...fields, id: userId, updatedAt: new Date().toISOString() };
+    this.save();
+    return this.users[userId];
+  }
+
+  remove(userId) {
+    if (!this.users[userId]) return false;
+    delete this.users[userId];
+    this.save();
+    return true;
+  }
+
+  setCredentials(userId, provider, credentials) {
+    const user = this.get(userId);
+    if (!user) return null;
+    return this.update(userId, {
+      credentials: { ...user.credentials, [provider]: credentials ? this.cipher.encrypt(credentials) : null }
+    });
+  }
+
+  getCredentials(userId, provider) {
+    const user = this.get(userId);
+    return user ? this.cipher.decrypt(user.credentials[provider]) : null;
+  }
+
+  // A user as shown by the API: no token hash or credentials
+  toPublic(user) {
+    const { apiTokenHash, credentials, ...rest } = user;
+    return {
+      ...rest,
+      connected: Object.fromEntries(OAUTH_PROVIDERS.map(provider => [provider, !!credentials[provider]]))
+    };
+  }
+}
+
+module.exports = {
+  OAUTH_PROVIDERS,
+  USER_CONFIG_FIELDS,
+  SHARED_CONFIG_FIELDS,
+  sharedConfigOf,
+  validateUserConfig,
+  AccountStore
+};
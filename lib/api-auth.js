@@ -0,0 +1,61 @@
+// API auth - server API keys and the role scopes they grant
+const crypto = require('crypto');
+
+// Ordered from least to most access; each role includes the ones before it
+const API_ROLES = ['read', 'operator', 'admin'];
+
+const MIN_API_KEY_LENGTH = 16;
+
+const hasRole = (role, required) => API_ROLES.indexOf(role) >= API_ROLES.indexOf(required);
+
+// Changing a tenant's config (rules, schedule, target calendar) needs an admin key: it changes how
+// the server syncs its own account. A user account's token may change that account's config.
+const canChangeConfig = (auth) => auth.type === 'user' || hasRole(auth.role, 'admin');
+
+// Returns a list of problems with the API_KEYS entries; empty when valid
+const validateApiKeys = (apiKeys) => {
+  if (!Array.isArray(apiKeys)) {
+    return ['API keys must be an array'];
+  }
+
+  const errors = [];
+  const names = new Set();
+  apiKeys.forEach((apiKey, index) => {
+    const label = apiKey && apiKey.name ? `API key "${apiKey.name}"` : `API key ${index + 1}`;
+    if (!apiKey || typeof apiKey !== 'object') {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+    if (!apiKey.name || typeof apiKey.name !== 'string') {
+      errors.push(`${label} needs a name`);
+    } else if (names.has(apiKey.name)) {
+      errors.push(`${label} is defined more than once`);
+    }
+    names.add(apiKey.name);
+
+    if (!API_ROLES.includes(apiKey.role)) {
+      errors.push(`${label} role must be one of: ${API_ROLES.join(', ')}`);
+    }
+    if (typeof apiKey.key !== 'string' || apiKey.key.length < MIN_API_KEY_LENGTH) {
+      errors.push(`${label} key must be at least ${MIN_API_KEY_LENGTH} characters`);
+    }
+  });
+  return errors;
+};
+
+const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+
+// The API key matching a presented token, compared in constant time
+const findApiKey = (apiKeys, token) => {
+  if (!token) return null;
+  const tokenDigest = digest(token);
+  return apiKeys.find(apiKey => crypto.timingSafeEqual(digest(apiKey.key), tokenDigest)) || null;
+};
+
+module.exports = {
+  API_ROLES,
+  hasRole,
+  canChangeConfig,
+  validateApiKeys,
+  findApiKey
+};
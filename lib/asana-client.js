@@ -0,0 +1,225 @@
+// Asana Client - shared by server.js and mcp-server.js
+const axios = require('axios');
+
+const ASANA_API_URL = 'https://app.asana.com/api/1.0';
+const PAGE_SIZE = 100;
+const SEARCH_LIMIT = 100;
+const MAX_RATE_LIMIT_RETRIES = 3;
+
+const TASK_OPT_FIELDS = [
+  'gid',
+  'name',
+  'notes',
+  'completed',
+  'due_on',
+  'due_at',
+  'start_on',
+  'start_at',
+  'modified_at',
+  'permalink_url',
+  'workspace.gid',
+  'assignee.name',
+  'assignee.email',
+  'followers.name',
+  'followers.email',
+  'projects.name',
+  'memberships.project.name',
+  'memberships.section.name',
+  'tags.name',
+  'custom_fields.name',
+  'custom_fields.display_value',
+  'custom_fields.people_value.name',
+  'custom_fields.people_value.email'
+].join(',');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Give every task the same shape regardless of which endpoint returned it
+const normalizeTask = (task) => ({
+  gid: task.gid,
+  name: task.name || '',
+  notes: task.notes || '',
+  completed: !!task.completed,
+  due_on: task.due_on || null,
+  due_at: task.due_at || null,
+  start_on: task.start_on || null,
+  start_at: task.start_at || null,
+  modified_at: task.modified_at || null,
+  permalink_url: task.permalink_url || null,
+  workspace: task.workspace || null,
+  assignee: task.assignee || null,
+  followers: task.followers || [],
+  projects: task.projects || [],
+  memberships: task.memberships || [],
+  tags: task.tags || [],
+  custom_fields: task.custom_fields || []
+});
+
+const asanaError = (error) => {
+  const errorMsg = error.response?.data?.errors?.[0]?.message || error.message;
+  const wrapped = new Error(`Asana API error: ${errorMsg}`);
+  wrapped.status = error.response?.status || null;
+  return wrapped;
+};
+
+class AsanaClient {
+  // onRequest({ method, path, status, durationMs }) is called after every HTTP attempt, e.g. for metrics
+  constructor({ token, workspaceId, baseUrl = ASANA_API_URL, onRequest = null }) {
+    this.token = token;
+    this.workspaceId = workspaceId;
+    this.baseUrl = baseUrl;
+    this.onRequest = onRequest;
+  }
+
+  // Send a request, waiting out 429 responses using Asana's Retry-After header.
+  // The token may be a function returning one, e.g. to refresh OAuth access tokens.
+  async request(method, path, { params, data } = {}) {
+    if (!this.token) {
+      throw new Error('Asana token not configured');
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      const token = typeof this.token === 'function' ? await this.token() : this.token;
+      const started = Date.now();
+      const report = (status) => {
+        if (this.onRequest) this.onRequest({ method, path, status, durationMs: Date.now() - started });
+      };
+      try {
+        const response = await axios({
+          method,
+          url: `${this.baseUrl}${path}`,
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json'
+          },
+          params,
+          data
+        });
+        report(response.status);
+        return response.data;
+      } catch (error) {
+        report(error.response?.status || error.code);
+        const retryAfter = parseInt(error.response?.headers?.['retry-after'], 10);
+        if (error.response?.status === 429 && attempt < MAX_RATE_LIMIT_RETRIES) {
+          await sleep((retryAfter || 1) * 1000);
+          continue;
+        }
+        throw asanaError(error);
+      }
+    }
+  }
+
+  // Fetch every page of a collection endpoint by following next_page.offset
+  async getAll(path, params = {}) {
+    const results = [];
+    let offset;
+
+    do {
+      const page = await this.request('get', path, {
+        params: { ...params, limit: PAGE_SIZE, ...(offset ? { offset } : {}) }
+      });
+      results.push(...page.data);
+      offset = page.next_page ? page.next_page.offset : null;
+    } while (offset);
+
+    return results;
+  }
+
+  // Workspace task search. The search API returns at most 100 results and has no
+  // pagination, so results are sorted by modified_at and fetched in time slices.
+  async searchTasks({ text, assignee, teams = [], projects = [], completed = false } = {}) {
+    if (!this.workspaceId) {
+      throw new Error('Asana workspace not configured');
+    }
+
+    const baseParams = {
+      resource_subtype: 'default_task',
+      completed,
+      sort_by: 'modified_at',
+      sort_ascending: false,
+      opt_fields: TASK_OPT_FIELDS,
+      limit: SEARCH_LIMIT
+    };
+    if (text) baseParams.text = text;
+    if (assignee) baseParams['assignee.any'] = assignee;
+    if (teams.length > 0) baseParams['teams.any'] = teams.join(',');
+    if (projects.length > 0) baseParams['projects.any'] = projects.join(',');
+
+    const tasks = new Map();
+    let modifiedBefore = null;
+
+    for (;;) {
+      const params = { ...baseParams };
+      if (modifiedBefore) params['modified_at.before'] = modifiedBefore;
+
+      const page = await this.request('get', `/workspaces/${this.workspaceId}/tasks/search`, { params });
+      const sizeBefore = tasks.size;
+      page.data.forEach(task => tasks.set(task.gid, task));
+
+      // A short page is the last one; a slice with nothing new means we can't narrow further
+      if (page.data.length < SEARCH_LIMIT || tasks.size === sizeBefore) break;
+
+      // Overlap the boundary by a millisecond so tasks sharing the oldest timestamp aren't skipped
+      const oldest = page.data[page.data.length - 1].modified_at;
+      modifiedBefore = new Date(new Date(oldest).getTime() + 1).toISOString();
+    }
+
+    return Array.from(tasks.values()).map(normalizeTask);
+  }
+
+  async getTask(taskGid) {
+    const response = await this.request('get', `/tasks/${taskGid}`, {
+      params: { opt_fields: TASK_OPT_FIELDS }
+    });
+    return normalizeTask(response.data);
+  }
+
+  async updateTask(taskGid, data) {
+    const response = await this.request('put', `/tasks/${taskGid}`, { data: { data } });
+    return response.data;
+  }
+
+  // The user the token belongs to (cached; resolves assignee "me")
+  async getMe() {
+    if (!this.me) {
+      const response = await this.request('get', '/users/me', { params: { opt_fields: 'gid,name,email' } });
+      this.me = response.data;
+    }
+    return this.me;
+  }
+
+  // A user's email, or null when Asana doesn't show it to this token (e.g. guests)
+  async getUserEmail(userGid) {
+    const response = await this.request('get', `/users/${userGid}`, { params: { opt_fields: 'email' } });
+    return response.data.email || null;
+  }
+
+  listWebhooks() {
+    return this.getAll('/webhooks', {
+      workspace: this.workspaceId,
+      opt_fields: 'gid,active,target,resource.gid,last_failure_at,last_failure_content'
+    });
+  }
+
+  // Asana performs the X-Hook-Secret handshake against the target before this resolves
+  async createWebhook(resource, target, filters) {
+    const response = await this.request('post', '/webhooks', {
+      data: { data: { resource, target, filters } }
+    });
+    return response.data;
+  }
+
+  async deleteWebhook(webhookGid) {
+    await this.request('delete', `/webhooks/${webhookGid}`);
+  }
+}
+
+// Comma-separated env value → array of trimmed, non-empty entries
+const parseIdList = (value) => (value || '').split(',').map(id => id.trim()).filter(Boolean);
+
+module.exports = {
+  AsanaClient,
+  TASK_OPT_FIELDS,
+  normalizeTask,
+  parseIdList
+};
@@ -0,0 +1,85 @@
+// Asana OAuth - authorization code flow and token refresh for per-user Asana access
+const axios = require('axios');
+
+const ASANA_AUTHORIZE_URL = 'https://app.asana.com/-/oauth_authorize';
+const ASANA_TOKEN_URL = 'https://app.asana.com/-/oauth_token';
+
+// Refresh access tokens (valid for an hour) a little before they expire
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+const authorizeUrl = ({ clientId, redirectUri, state }) => `${ASANA_AUTHORIZE_URL}?${new URLSearchParams({
+  client_id: clientId,
+  redirect_uri: redirectUri,
+  response_type: 'code',
+  state
+})}`;
+
+const requestToken = async (params) => {
+  try {
+    const response = await axios.post(ASANA_TOKEN_URL, new URLSearchParams(params).toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+    });
+    return response.data;
+  } catch (error) {
+    throw new Error(`Asana OAuth error: ${error.response?.data?.error_description || error.message}`);
+  }
+};
+
+// Credentials to store from a token response. Refreshes don't return a new refresh token.
+const toCredentials = (data, previous = {}) => ({
+  accessToken: data.access_token,
+  refreshToken: data.refresh_token || previous.refreshToken,
+  expiresAt: Date.now() + data.expires_in * 1000,
+  user: data.data || previous.user || null
+});
+
+const exchangeCode = async ({ clientId, clientSecret, redirectUri, code }) => toCredentials(await requestToken({
+  grant_type: 'authorization_code',
+  client_id: clientId,
+  client_secret: clientSecret,
+  redirect_uri: redirectUri,
+  code
+}));
+
+const refreshCredentials = async ({ clientId, clientSecret, redirectUri, credentials }) => toCredentials(await requestToken({
+  grant_type: 'refresh_token',
+  client_id: clientId,
+  client_secret: clientSecret,
+  redirect_uri: redirectUri,
+  refresh_token: credentials.refreshToken
+}), credentials);
+
+// Token function for AsanaClient: returns a current access token, refreshing and
+// saving the credentials when needed. Concurrent callers share one refresh.
+const createTokenProvider = ({ clientId, clientSecret, redirectUri, load, save }) => {
+  let refreshing = null;
+
+  return async () => {
+    const credentials = load();
+    if (!credentials) {
+      throw new Error('Asana account not connected');
+    }
+    if (credentials.expiresAt - Date.now() > REFRESH_MARGIN_MS) {
+      return credentials.accessToken;
+    }
+
+    if (!refreshing) {
+      refreshing = refreshCredentials({ clientId, clientSecret, redirectUri, credentials })
+        .then(refreshed => {
+          save(refreshed);
+          return refreshed;
+        })
+        .finally(() => {
+          refreshing = null;
+        });
+    }
+    return (await refreshing).accessToken;
+  };
+};
+
+module.exports = {
+  authorizeUrl,
+  exchangeCode,
+  refreshCredentials,
+  createTokenProvider
+};
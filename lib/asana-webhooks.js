@@ -0,0 +1,105 @@
+// Asana Webhooks - handshake secrets, signature checks and registration
+const crypto = require('crypto');
+const { readJsonFile, writeJsonFile } = require('./json-file');
+
+// Only task events are interesting; story/attachment noise is filtered out by Asana
+const TASK_WEBHOOK_FILTERS = [{ resource_type: 'task' }];
+
+// Verify X-Hook-Signature: hex HMAC-SHA256 of the raw request body keyed by the handshake secret
+const verifySignature = (secret, rawBody, signature) => {
+  if (!secret || !rawBody || !signature) return false;
+
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+  const given = String(signature);
+  if (given.length !== expected.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected));
+};
+
+// Unique task gids touched by a batch of webhook events
+const taskGidsFromEvents = (events = []) => {
+  const gids = new Set();
+  for (const event of events) {
+    if (event.resource && event.resource.resource_type === 'task') {
+      gids.add(event.resource.gid);
+    } else if (event.parent && event.parent.resource_type === 'task') {
+      gids.add(event.parent.gid);
+    }
+  }
+  return Array.from(gids);
+};
+
+// Persistent webhook registrations keyed by watched resource gid
+class WebhookRegistry {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.webhooks = readJsonFile(filePath, {}).webhooks || {};
+  }
+
+  save() {
+    writeJsonFile(this.filePath, { webhooks: this.webhooks });
+  }
+
+  get(resourceGid) {
+    return this.webhooks[resourceGid] || null;
+  }
+
+  set(resourceGid, fields) {
+    this.webhooks[resourceGid] = { ...this.webhooks[resourceGid], ...fields, resource: resourceGid };
+    this.save();
+    return this.webhooks[resourceGid];
+  }
+
+  all() {
+    return Object.values(this.webhooks);
+  }
+}
+
+// Make sure every resource has an active webhook pointing at its target, recreating
+// webhooks Asana deactivated after delivery failures. Returns a per-resource summary.
+const ensureWebhooks = async ({ client, registry, resources, targetFor, log }) => {
+  const existing = await client.listWebhooks();
+  const results = [];
+
+  for (const resource of resources) {
+    const target = targetFor(resource);
+    const hooks = existing.filter(hook => hook.resource && hook.resource.gid === resource && hook.target === target);
+    const active = hooks.find(hook => hook.active);
+
+    try {
+      if (active && registry.get(resource)?.secret) {
+        registry.set(resource, { webhookGid: active.gid, target, active: true, checkedAt: new Date().toISOString() });
+        results.push({ resource, webhookGid: active.gid, status: 'active' });
+        continue;
+      }
+
+      // Inactive hooks, or active ones whose secret we lost, can't be trusted: start over
+      for (const hook of hooks) {
+        await client.deleteWebhook(hook.gid);
+      }
+
+      const created = await client.createWebhook(resource, target, TASK_WEBHOOK_FILTERS);
+      registry.set(resource, {
+        webhookGid: created.gid,
+        target,
+        active: true,
+        registeredAt: new Date().toISOString(),
+        checkedAt: new Date().toISOString()
+      });
+      log(`Registered Asana webhook ${created.gid} for resource ${resource}`, 'success');
+      results.push({ resource, webhookGid: created.gid, status: hooks.length > 0 ? 'renewed' : 'created' });
+    } catch (error) {
+      log(`Failed to register Asana webhook for resource ${resource}: ${error.message}`, 'error');
+      results.push({ resource, status: 'failed', error: error.message });
+    }
+  }
+
+  return results;
+};
+
+module.exports = {
+  TASK_WEBHOOK_FILTERS,
+  verifySignature,
+  taskGidsFromEvents,
+  WebhookRegistry,
+  ensureWebhooks
+};
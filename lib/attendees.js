@@ -0,0 +1,98 @@
+// Attendees - who is invited to a task's event: its assignee, followers and the people in a
+// custom field, by email, and how a sync brings an event's attendee list up to date
+const ATTENDEE_SOURCES = ['assignee', 'followers', 'field'];
+
+// Google's sendUpdates values: who is emailed about events a sync creates, changes or deletes
+const SEND_UPDATES_OPTIONS = ['all', 'externalOnly', 'none'];
+
+const EMAIL_PATTERN = /^[^\s@,;]+@[^\s@,;]+\.[^\s@,;]+$/;
+
+const normalizeEmail = (email) => email.trim().toLowerCase();
+
+// The people a task names through the given sources: Asana users ({ gid, name, email? }),
+// or { email } / { name } entries from a text field listing emails or names
+const attendeeCandidates = (task, { sources = [], field = null } = {}) => {
+  const people = [];
+  if (sources.includes('assignee') && task.assignee) people.push(task.assignee);
+  if (sources.includes('followers')) people.push(...(task.followers || []));
+
+  const customField = sources.includes('field') && field && Array.isArray(task.custom_fields)
+    ? task.custom_fields.find(f => f.name && f.name.toLowerCase() === field.toLowerCase())
+    : null;
+  if (customField && Array.isArray(customField.people_value)) {
+    people.push(...customField.people_value);
+  } else if (customField && customField.display_value) {
+    customField.display_value.split(/[,;\n]+/)
+      .map(entry => entry.trim())
+      .filter(Boolean)
+      .forEach(entry => people.push(EMAIL_PATTERN.test(entry) ? { email: entry } : { name: entry }));
+  }
+  return people;
+};
+
+// Resolves a person's email: the override map (keyed by Asana user gid or name; an empty value
+// leaves the person out), then the email Asana returned with the task, then lookupEmail(gid),
+// which is called once per user. Resolves to null for people without a usable email.
+const createEmailResolver = ({ overrides = {}, lookupEmail, log = () => {} }) => {
+  const overrideMap = new Map(Object.entries(overrides).map(([key, email]) => [key.toLowerCase(), email]));
+  const lookups = new Map();
+
+  const lookup = (person) => {
+    if (!lookups.has(person.gid)) {
+      lookups.set(person.gid, Promise.resolve()
+        .then(() => lookupEmail(person.gid))
+        .then(email => {
+          if (!email) log(`Asana user ${person.name || person.gid} has no visible email - add it to ATTENDEE_EMAILS`, 'warning');
+          return email || null;
+        })
+        .catch(error => {
+          // Not remembered, so the next sync tries again
+          lookups.delete(person.gid);
+          log(`Could not look up the email of Asana user ${person.name || person.gid}: ${error.message}`, 'warning');
+          return null;
+        }));
+    }
+    return lookups.get(person.gid);
+  };
+
+  return async (person) => {
+    const key = [person.gid, person.name].filter(Boolean).map(value => value.toLowerCase()).find(value => overrideMap.has(value));
+    const email = key !== undefined
+      ? overrideMap.get(key)
+      : person.email || (person.gid ? await lookup(person) : null);
+    return email && EMAIL_PATTERN.test(email.trim()) ? normalizeEmail(email) : null;
+  };
+};
+
+// A task's attendee emails, deduplicated and sorted so they compare stably
+const resolveAttendees = async (task, options, resolveEmail) => {
+  const emails = await Promise.all(attendeeCandidates(task, options).map(resolveEmail));
+  return [...new Set(emails.filter(Boolean))].sort();
+};
+
+// The event's attendee list with the task's attendees brought up to date, or null when it's
+// already right. Missing attendees are added; people a previous sync added who left the task are
+// removed. Everyone else (invited in Calendar, the organizer) is kept, with their responses.
+const reconcileAttendees = (existing = [], desired = [], previouslySynced = []) => {
+  const emailOf = (attendee) => normalizeEmail(attendee.email || '');
+  const current = new Set(existing.map(emailOf));
+  const wanted = new Set(desired);
+
+  const removed = new Set(previouslySynced.filter(email => !wanted.has(email) && current.has(email)));
+  const added = desired.filter(email => !current.has(email));
+  if (removed.size === 0 && added.length === 0) return null;
+
+  return [
+    ...existing.filter(attendee => !removed.has(emailOf(attendee))),
+    ...added.map(email => ({ email }))
+  ];
+};
+
+module.exports = {
+  ATTENDEE_SOURCES,
+  SEND_UPDATES_OPTIONS,
+  attendeeCandidates,
+  createEmailResolver,
+  resolveAttendees,
+  reconcileAttendees
+};
@@ -0,0 +1,39 @@
+// Audit log - an append-only JSON Lines record of configuration changes
+const fs = require('fs');
+const path = require('path');
+
+class AuditLog {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  // Entries are { at, actor, tenant, action, changes }
+  record({ actor, tenant, action, changes }) {
+    const entry = { at: new Date().toISOString(), actor, tenant, action, changes };
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.appendFileSync(this.filePath, `${JSON.stringify(entry)}\n`);
+    return entry;
+  }
+
+  // Newest first, optionally for one tenant. Lines that don't parse (e.g. a write cut short) are skipped.
+  recent({ tenant = null, limit = 50 } = {}) {
+    if (!fs.existsSync(this.filePath)) return [];
+    return fs.readFileSync(this.filePath, 'utf8')
+      .split('\n')
+      .filter(Boolean)
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(entry => entry && (!tenant || entry.tenant === tenant))
+      .slice(-limit)
+      .reverse();
+  }
+}
+
+module.exports = {
+  AuditLog
+};
@@ -0,0 +1,51 @@
+// Automation State - which tenants had automation running, so it resumes after a restart
+const { readJsonFile, writeJsonFile } = require('./json-file');
+
+// Whether a process is still alive; EPERM means it is, but belongs to another user
+const isProcessAlive = (pid) => {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+};
+
+class AutomationState {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  isRunning(tenantId) {
+    const entry = readJsonFile(this.filePath, {})[tenantId];
+    return !!(entry && entry.running);
+  }
+
+  // The process running the tenant's automation, or null (also for entries saved before owners were)
+  ownerOf(tenantId) {
+    const entry = readJsonFile(this.filePath, {})[tenantId];
+    return entry && entry.running ? entry.pid || null : null;
+  }
+
+  // The owner's pid while another process that is still alive runs the tenant's automation
+  runningElsewhere(tenantId) {
+    const owner = this.ownerOf(tenantId);
+    return owner && owner !== process.pid && isProcessAlive(owner) ? owner : null;
+  }
+
+  // The file is read again before each save: the API server and the MCP server share it,
+  // so one process must not write back the other's stale entries
+  save(tenant) {
+    const state = readJsonFile(this.filePath, {});
+    if (tenant.isRunning) {
+      state[tenant.id] = { running: true, since: new Date().toISOString(), pid: process.pid };
+    } else {
+      delete state[tenant.id];
+    }
+    writeJsonFile(this.filePath, state);
+  }
+}
+
+module.exports = {
+  AutomationState
+};
@@ -0,0 +1,112 @@
+// Automation - scheduled syncs and live config changes for tenants. The API server and the
+// standalone MCP server both run them through here, sharing one automation state file.
+const { saveRules } = require('./rules');
+const { SCHEDULE_FIELDS, diffConfig } = require('./runtime-config');
+const { scheduleSettings, nextRunTime, describeSchedule, scheduleJob } = require('./schedule');
+
+// saveSettings(tenant, settings) persists a tenant's changed settings; rules go to its rules file.
+// Whichever process last started a tenant's automation owns it: the other stops scheduling
+// syncs at its next tick, so the two never both run it.
+const createAutomation = ({ automationState, auditLog, saveSettings }) => {
+  const stopSchedule = (tenant) => {
+    tenant.isRunning = false;
+    if (tenant.cronJob) {
+      tenant.cronJob.stop();
+      tenant.cronJob = null;
+    }
+  };
+
+  // (Re)create a tenant's scheduled job from its current schedule settings
+  const scheduleSync = (tenant) => {
+    const { config: tenantConfig, addLog: log, jobs } = tenant.engine;
+    if (tenant.cronJob) tenant.cronJob.stop();
+
+    tenant.cronJob = scheduleJob(scheduleSettings(tenantConfig), () => {
+      if (automationState.ownerOf(tenant.id) !== process.pid) {
+        stopSchedule(tenant);
+        log('Automation stopped - it was stopped or started by another process', 'info');
+        return;
+      }
+      log('Scheduled sync triggered', 'info');
+      jobs.enqueue({ type: 'full-scan', source: 'schedule' });
+    });
+  };
+
+  // Resumed automation waits for its next scheduled run instead of syncing straight away
+  const startAutomation = (tenant, { resumed = false } = {}) => {
+    const { config: tenantConfig, addLog: log, jobs } = tenant.engine;
+    tenant.isRunning = true;
+    scheduleSync(tenant);
+    automationState.save(tenant);
+
+    const schedule = describeSchedule(scheduleSettings(tenantConfig));
+    if (resumed) {
+      log(`Automation resumed - running ${schedule}`, 'success');
+    } else {
+      log(`Automation started - running ${schedule}`, 'success');
+      setTimeout(() => jobs.enqueue({ type: 'full-scan', source: 'start' }), 1000);
+    }
+  };
+
+  const stopAutomation = (tenant) => {
+    stopSchedule(tenant);
+    automationState.save(tenant);
+    tenant.engine.addLog('Automation stopped', 'info');
+  };
+
+  // Pick automation back up where it was running before a restart, unless another
+  // process that is still alive runs it
+  const resumeAutomation = (tenant) => {
+    if (!automationState.isRunning(tenant.id)) return;
+
+    const owner = automationState.runningElsewhere(tenant.id);
+    if (owner) {
+      tenant.engine.addLog(`Automation is running in another process (pid ${owner}), not resuming it here`, 'info');
+      return;
+    }
+    startAutomation(tenant, { resumed: true });
+  };
+
+  // When a running tenant's next scheduled sync is due
+  const nextRunOf = (tenant) => {
+    if (!tenant.isRunning) return null;
+    const next = nextRunTime(scheduleSettings(tenant.engine.config));
+    return next ? next.toISOString() : null;
+  };
+
+  // Apply a validated config change to a running tenant: update its live config,
+  // persist it, reschedule automation if the schedule changed, and audit it.
+  // Returns the field-level changes; nothing happens when there are none.
+  const updateTenantConfig = (tenant, update, actor) => {
+    const { config: tenantConfig, addLog: log } = tenant.engine;
+    const changes = diffConfig(tenantConfig, update);
+    const { rules, ...settings } = Object.fromEntries(Object.keys(changes).map(key => [key, update[key]]));
+    if (Object.keys(changes).length === 0) return changes;
+
+    if (rules) saveRules(tenantConfig.rulesFile, rules);
+    if (Object.keys(settings).length > 0) saveSettings(tenant, settings);
+    Object.assign(tenantConfig, update);
+
+    auditLog.record({ actor, tenant: tenant.id, action: 'config.update', changes });
+    log(`Configuration updated by ${actor}: ${Object.keys(changes).join(', ')}`, 'info');
+
+    if (SCHEDULE_FIELDS.some(key => changes[key]) && tenant.isRunning) {
+      scheduleSync(tenant);
+      log(`Schedule updated - running ${describeSchedule(scheduleSettings(tenantConfig))}`, 'info');
+    }
+    return changes;
+  };
+
+  return {
+    scheduleSync,
+    startAutomation,
+    stopAutomation,
+    resumeAutomation,
+    nextRunOf,
+    updateTenantConfig
+  };
+};
+
+module.exports = {
+  createAutomation
+};
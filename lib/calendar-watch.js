@@ -0,0 +1,96 @@
+// Calendar Watch - Google Calendar push notification channels and incremental sync
+const crypto = require('crypto');
+const { readJsonFile, writeJsonFile } = require('./json-file');
+
+// Renew channels this long before Google expires them
+const RENEW_BEFORE_MS = 24 * 60 * 60 * 1000;
+const CHANNEL_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// Persistent watch channels and sync tokens keyed by calendar id
+class WatchRegistry {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.calendars = readJsonFile(filePath, {}).calendars || {};
+  }
+
+  save() {
+    writeJsonFile(this.filePath, { calendars: this.calendars });
+  }
+
+  get(calendarId) {
+    return this.calendars[calendarId] || null;
+  }
+
+  set(calendarId, fields) {
+    this.calendars[calendarId] = { ...this.calendars[calendarId], ...fields, calendarId };
+    this.save();
+    return this.calendars[calendarId];
+  }
+
+  findByChannelId(channelId) {
+    return Object.values(this.calendars).find(entry => entry.channelId === channelId) || null;
+  }
+
+  all() {
+    return Object.values(this.calendars);
+  }
+}
+
+const needsRenewal = (entry, now = Date.now()) =>
+  !entry || !entry.channelId || !entry.expiration || Number(entry.expiration) - now < RENEW_BEFORE_MS;
+
+// Open a web_hook channel for a calendar's events
+const openChannel = async (calendar, calendarId, address) => {
+  const channel = {
+    id: crypto.randomUUID(),
+    type: 'web_hook',
+    address,
+    token: crypto.randomBytes(24).toString('hex'),
+    params: { ttl: String(CHANNEL_TTL_SECONDS) }
+  };
+
+  const response = await calendar.events.watch({ calendarId, resource: channel });
+  return {
+    channelId: response.data.id,
+    resourceId: response.data.resourceId,
+    token: channel.token,
+    expiration: Number(response.data.expiration),
+    openedAt: new Date().toISOString()
+  };
+};
+
+const stopChannel = async (calendar, channelId, resourceId) => {
+  await calendar.channels.stop({ resource: { id: channelId, resourceId } });
+};
+
+// List events changed since syncToken (all events when it is null), following every page.
+// Google answers 410 when the token has expired; the caller must then start over.
+const listChangedEvents = async (calendar, calendarId, syncToken) => {
+  const events = [];
+  let pageToken;
+  let nextSyncToken = null;
+
+  do {
+    const params = { calendarId, showDeleted: true, singleEvents: false, maxResults: 250 };
+    if (syncToken) params.syncToken = syncToken;
+    if (pageToken) params.pageToken = pageToken;
+
+    const response = await calendar.events.list(params);
+    events.push(...(response.data.items || []));
+    pageToken = response.data.nextPageToken;
+    nextSyncToken = response.data.nextSyncToken || nextSyncToken;
+  } while (pageToken);
+
+  return { events, nextSyncToken };
+};
+
+const isSyncTokenExpired = (error) => error.status === 410 || error.code === 410 || error.response?.status === 410;
+
+module.exports = {
+  WatchRegistry,
+  needsRenewal,
+  openChannel,
+  stopChannel,
+  listChangedEvents,
+  isSyncTokenExpired
+};
@@ -0,0 +1,286 @@
+// Config - settings shared by the API server and the MCP server: the environment,
+// saved matching rules and settings saved through /api/config or update_config
+const path = require('path');
+const { parseIdList } = require('./asana-client');
+const { validateRules, loadRules } = require('./rules');
+const {
+  SYNC_MODES,
+  CONFLICT_POLICIES,
+  DATE_ONLY_EVENT_MODES,
+  ORPHAN_POLICIES
+} = require('./sync-engine');
+const {
+  RUNTIME_CONFIG_FIELDS,
+  SCHEDULE_FIELDS,
+  validateConfigFields,
+  loadSettings
+} = require('./runtime-config');
+const { LOG_LEVELS, LOG_FORMATS, consoleSink, JsonlFileSink, Logger } = require('./logger');
+const { ATTENDEE_SOURCES, SEND_UPDATES_OPTIONS } = require('./attendees');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+// Settings /api/status shows as they are: an account's sync, schedule and event settings.
+// Anything else (API keys, server limits, file paths, attendee emails) is left out.
+const STATUS_CONFIG_KEYS = [
+  'asanaAssignee',
+  'asanaTeamIds',
+  'asanaProjectIds',
+  'googleCalendarId',
+  'searchKeyword',
+  'rules',
+  'intervalHours',
+  'scheduleCron',
+  'scheduleTimeZone',
+  'scheduleWindow',
+  'scheduleJitterSeconds',
+  'syncMode',
+  'conflictPolicy',
+  'orphanPolicy',
+  'orphanPrefix',
+  'writeEventMarkers',
+  'locationField',
+  'durationField',
+  'eventTimeZone',
+  'eventDefaultTime',
+  'eventDefaultDurationMinutes',
+  'dateOnlyEvents',
+  'workspaceEventDefaults',
+  'attendeeSources',
+  'attendeesField',
+  'sendUpdates',
+  'asanaWebhooksEnabled',
+  'googleWatchEnabled'
+];
+
+// Shown to API clients only as configured or not
+const SECRET_CONFIG_KEYS = [
+  'asanaToken',
+  'asanaWorkspaceId',
+  'asanaClientSecret',
+  'googleClientId',
+  'googleClientSecret',
+  'googleRefreshToken'
+];
+
+const SCHEDULE_DEFAULTS = {
+  intervalHours: 4,
+  scheduleCron: '',
+  scheduleTimeZone: 'UTC',
+  scheduleWindow: '',
+  scheduleJitterSeconds: 0
+};
+
+// Event settings, with the variable each comes from and its default
+const EVENT_SETTINGS = {
+  eventTimeZone: { env: 'EVENT_TIMEZONE', type: 'timeZone', fallback: 'UTC' },
+  eventDefaultTime: { env: 'EVENT_DEFAULT_TIME', type: 'clockTime', fallback: '09:00' },
+  eventDefaultDurationMinutes: { env: 'EVENT_DEFAULT_DURATION_MINUTES', type: 'positiveInteger', fallback: 60 }
+};
+
+// Event settings WORKSPACE_EVENT_DEFAULTS can override for a workspace
+const WORKSPACE_EVENT_FIELDS = {
+  timeZone: 'timeZone',
+  defaultTime: 'clockTime',
+  defaultDurationMinutes: 'positiveInteger',
+  dateOnlyEvents: DATE_ONLY_EVENT_MODES,
+  durationField: 'string',
+  locationField: 'string'
+};
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// Parse a JSON-valued environment variable, falling back on missing or invalid values
+const parseJsonEnv = (name, fallback) => {
+  if (!process.env[name]) return fallback;
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (error) {
+    console.error(`Invalid JSON in ${name}: ${error.message}`);
+    return fallback;
+  }
+};
+
+// The default account's config. Problems that would stop logging from working are
+// reported on stderr; the rest are checked by applyConfigFallbacks once logging is set up.
+const loadConfig = () => {
+  const config = {
+    asanaToken: process.env.ASANA_TOKEN || '',
+    asanaWorkspaceId: process.env.ASANA_WORKSPACE_ID || '',
+    asanaAssignee: process.env.ASANA_ASSIGNEE || 'me',
+    asanaTeamIds: parseIdList(process.env.ASANA_TEAM_IDS),
+    asanaProjectIds: parseIdList(process.env.ASANA_PROJECT_IDS),
+    googleCalendarId: process.env.GOOGLE_CALENDAR_ID || 'primary',
+    intervalHours: parseInt(process.env.DEFAULT_INTERVAL_HOURS) || 4,
+    scheduleCron: process.env.SCHEDULE_CRON || '',
+    scheduleTimeZone: process.env.SCHEDULE_TIMEZONE || 'UTC',
+    scheduleWindow: process.env.SCHEDULE_WINDOW || '',
+    scheduleJitterSeconds: parseInt(process.env.SCHEDULE_JITTER_SECONDS) || 0,
+    automationStateFile: process.env.AUTOMATION_STATE_FILE || path.join(DATA_DIR, 'automation.json'),
+    searchKeyword: process.env.DEFAULT_SEARCH_KEYWORD || 'MEETING',
+    googleClientId: process.env.GOOGLE_CLIENT_ID || '',
+    googleClientSecret: process.env.GOOGLE_CLIENT_SECRET || '',
+    googleRedirectUri: process.env.GOOGLE_REDIRECT_URI || 'https://mpc-center-server-production.up.railway.app/auth/google/callback',
+    googleRefreshToken: process.env.GOOGLE_REFRESH_TOKEN || '',
+    credentialsFile: process.env.CREDENTIALS_FILE || path.join(DATA_DIR, 'credentials.json'),
+    asanaClientId: process.env.ASANA_CLIENT_ID || '',
+    asanaClientSecret: process.env.ASANA_CLIENT_SECRET || '',
+    asanaRedirectUri: process.env.ASANA_REDIRECT_URI || '',
+    accountsFile: process.env.ACCOUNTS_FILE || path.join(DATA_DIR, 'accounts.json'),
+    usersDir: process.env.USERS_DATA_DIR || path.join(DATA_DIR, 'users'),
+    stateFile: process.env.SYNC_STATE_FILE || path.join(DATA_DIR, 'sync-state.json'),
+    writeEventMarkers: process.env.WRITE_EVENT_MARKERS !== 'false',
+    syncMode: process.env.SYNC_MODE || 'one-way',
+    conflictPolicy: process.env.CONFLICT_POLICY || 'asana',
+    orphanPolicy: process.env.ORPHAN_POLICY || 'prefix',
+    orphanPrefix: process.env.ORPHAN_PREFIX || '[DONE]',
+    locationField: process.env.ASANA_LOCATION_FIELD || 'Location',
+    durationField: process.env.ASANA_DURATION_FIELD || 'Duration',
+    eventTimeZone: process.env.EVENT_TIMEZONE || 'UTC',
+    eventDefaultTime: process.env.EVENT_DEFAULT_TIME || '09:00',
+    eventDefaultDurationMinutes: parseInt(process.env.EVENT_DEFAULT_DURATION_MINUTES) || 60,
+    dateOnlyEvents: process.env.DATE_ONLY_EVENTS || 'all-day',
+    workspaceEventDefaults: parseJsonEnv('WORKSPACE_EVENT_DEFAULTS', {}),
+    attendeeSources: parseIdList(process.env.ATTENDEE_SOURCES),
+    attendeesField: process.env.ASANA_ATTENDEES_FIELD || 'Attendees',
+    attendeeEmails: parseJsonEnv('ATTENDEE_EMAILS', {}),
+    sendUpdates: process.env.EVENT_SEND_UPDATES || 'none',
+    rulesFile: process.env.RULES_FILE || path.join(DATA_DIR, 'rules.json'),
+    settingsFile: process.env.SETTINGS_FILE || path.join(DATA_DIR, 'settings.json'),
+    auditLogFile: process.env.AUDIT_LOG_FILE || path.join(DATA_DIR, 'audit.jsonl'),
+    runHistoryFile: process.env.RUN_HISTORY_FILE || path.join(DATA_DIR, 'runs.jsonl'),
+    runHistoryLimit: parseInt(process.env.RUN_HISTORY_LIMIT) || 500,
+    logLevel: process.env.LOG_LEVEL || 'info',
+    logFormat: process.env.LOG_FORMAT || 'text',
+    logFile: process.env.LOG_FILE ?? path.join(DATA_DIR, 'logs', 'mpc.jsonl'),
+    logFileMaxBytes: (parseInt(process.env.LOG_FILE_MAX_MB) || 5) * 1024 * 1024,
+    logFileMaxFiles: parseInt(process.env.LOG_FILE_MAX_FILES) || 5,
+    healthCacheSeconds: parseInt(process.env.HEALTH_CACHE_SECONDS ?? 30),
+    healthCheckTimeoutMs: parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS) || 5000,
+    publicUrl: (process.env.PUBLIC_URL || '').replace(/\/$/, ''),
+    asanaWebhooksEnabled: process.env.ASANA_WEBHOOKS === 'true',
+    asanaWebhooksFile: process.env.ASANA_WEBHOOKS_FILE || path.join(DATA_DIR, 'asana-webhooks.json'),
+    googleWatchEnabled: process.env.GOOGLE_WATCH === 'true',
+    googleWatchFile: process.env.GOOGLE_WATCH_FILE || path.join(DATA_DIR, 'calendar-watch.json'),
+    apiKeys: parseJsonEnv('API_KEYS', null),
+    corsOrigins: parseIdList(process.env.CORS_ORIGINS),
+    syncRateLimit: parseInt(process.env.SYNC_RATE_LIMIT ?? 10),
+    syncRateWindowMinutes: parseInt(process.env.SYNC_RATE_WINDOW_MINUTES) || 15
+  };
+
+  // Named matching rules; persisted rules take precedence over SYNC_RULES
+  config.rules = loadRules(config.rulesFile, parseJsonEnv('SYNC_RULES', []));
+
+  // Settings saved through /api/config take precedence over the environment
+  try {
+    Object.assign(config, loadSettings(config.settingsFile));
+  } catch (error) {
+    console.error(`${error.message} - using environment settings`);
+  }
+
+  if (!LOG_LEVELS.includes(config.logLevel)) {
+    console.error(`Invalid LOG_LEVEL "${config.logLevel}", falling back to info`);
+    config.logLevel = 'info';
+  }
+  if (!LOG_FORMATS.includes(config.logFormat)) {
+    console.error(`Invalid LOG_FORMAT "${config.logFormat}", falling back to text`);
+    config.logFormat = 'text';
+  }
+
+  return config;
+};
+
+// A tenant's config as /api/status shows it: the status settings, and secrets masked
+const publicConfigOf = (config) => ({
+  ...Object.fromEntries(STATUS_CONFIG_KEYS.filter(key => key in config).map(key => [key, config[key]])),
+  ...Object.fromEntries(SECRET_CONFIG_KEYS.map(key => [key, config[key] ? '***CONFIGURED***' : 'NOT SET']))
+});
+
+// Every tenant logs through the same sinks: the console, and the JSON Lines file unless LOG_FILE is empty
+const createLogging = (config, { stream = process.stdout } = {}) => {
+  const logStore = config.logFile
+    ? new JsonlFileSink(config.logFile, { maxBytes: config.logFileMaxBytes, maxFiles: config.logFileMaxFiles })
+    : null;
+  const logger = new Logger({
+    level: config.logLevel,
+    sinks: [
+      consoleSink({ format: config.logFormat, stream }),
+      ...(logStore ? [(record) => logStore.write(record)] : [])
+    ]
+  });
+  return { logger, logStore };
+};
+
+// Replace unusable sync and schedule settings with their defaults, logging a warning for each
+const applyConfigFallbacks = (config, log) => {
+  if (!SYNC_MODES.includes(config.syncMode)) {
+    log(`Unknown SYNC_MODE "${config.syncMode}", falling back to one-way`, 'warning');
+    config.syncMode = 'one-way';
+  }
+  if (!CONFLICT_POLICIES.includes(config.conflictPolicy)) {
+    log(`Unknown CONFLICT_POLICY "${config.conflictPolicy}", falling back to asana`, 'warning');
+    config.conflictPolicy = 'asana';
+  }
+  const ruleErrors = validateRules(config.rules);
+  if (ruleErrors.length > 0) {
+    log(`Ignoring invalid task matching rules: ${ruleErrors.join('; ')}`, 'warning');
+    config.rules = [];
+  }
+  if (!ORPHAN_POLICIES.includes(config.orphanPolicy)) {
+    log(`Unknown ORPHAN_POLICY "${config.orphanPolicy}", falling back to prefix`, 'warning');
+    config.orphanPolicy = 'prefix';
+  }
+  if (!DATE_ONLY_EVENT_MODES.includes(config.dateOnlyEvents)) {
+    log(`Unknown DATE_ONLY_EVENTS "${config.dateOnlyEvents}", falling back to all-day`, 'warning');
+    config.dateOnlyEvents = 'all-day';
+  }
+  for (const [key, { env, type, fallback }] of Object.entries(EVENT_SETTINGS)) {
+    const [error] = validateConfigFields({ [key]: config[key] }, { [key]: type }, 'config');
+    if (error) {
+      log(`Invalid ${env} "${config[key]}" (${error.replace(`config.${key} `, '')}), falling back to ${fallback}`, 'warning');
+      config[key] = fallback;
+    }
+  }
+  if (!isPlainObject(config.workspaceEventDefaults)) {
+    log('WORKSPACE_EVENT_DEFAULTS must be a JSON object of workspace gid to event settings, ignoring it', 'warning');
+    config.workspaceEventDefaults = {};
+  }
+  for (const [workspaceId, overrides] of Object.entries(config.workspaceEventDefaults)) {
+    const errors = validateConfigFields(overrides, WORKSPACE_EVENT_FIELDS, `WORKSPACE_EVENT_DEFAULTS.${workspaceId}`);
+    if (errors.length > 0) {
+      log(`Ignoring event defaults for workspace ${workspaceId}: ${errors.join('; ')}`, 'warning');
+      delete config.workspaceEventDefaults[workspaceId];
+    }
+  }
+  const unknownSources = config.attendeeSources.filter(source => !ATTENDEE_SOURCES.includes(source));
+  if (unknownSources.length > 0) {
+    log(`Ignoring unknown ATTENDEE_SOURCES: ${unknownSources.join(', ')}`, 'warning');
+    config.attendeeSources = config.attendeeSources.filter(source => ATTENDEE_SOURCES.includes(source));
+  }
+  if (!isPlainObject(config.attendeeEmails)) {
+    log('ATTENDEE_EMAILS must be a JSON object of Asana user gid or name to email, ignoring it', 'warning');
+    config.attendeeEmails = {};
+  }
+  if (!SEND_UPDATES_OPTIONS.includes(config.sendUpdates)) {
+    log(`Unknown EVENT_SEND_UPDATES "${config.sendUpdates}", falling back to none`, 'warning');
+    config.sendUpdates = 'none';
+  }
+  for (const key of SCHEDULE_FIELDS) {
+    const [error] = validateConfigFields({ [key]: config[key] }, RUNTIME_CONFIG_FIELDS);
+    if (error) {
+      log(`Ignoring schedule setting: ${error}`, 'warning');
+      config[key] = SCHEDULE_DEFAULTS[key];
+    }
+  }
+};
+
+module.exports = {
+  WORKSPACE_EVENT_FIELDS,
+  STATUS_CONFIG_KEYS,
+  SECRET_CONFIG_KEYS,
+  parseJsonEnv,
+  loadConfig,
+  publicConfigOf,
+  createLogging,
+  applyConfigFallbacks
+};
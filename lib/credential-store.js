@@ -0,0 +1,27 @@
+// Credential Store - the default account's OAuth credentials, encrypted at rest by provider
+const { readJsonFile, writeJsonFile } = require('./json-file');
+
+class CredentialStore {
+  constructor(filePath, cipher) {
+    this.filePath = filePath;
+    this.cipher = cipher;
+    this.credentials = readJsonFile(filePath, {});
+  }
+
+  get(provider) {
+    return this.cipher.decrypt(this.credentials[provider]);
+  }
+
+  set(provider, credentials) {
+    if (credentials) {
+      this.credentials[provider] = this.cipher.encrypt(credentials);
+    } else {
+      delete this.credentials[provider];
+    }
+    writeJsonFile(this.filePath, this.credentials);
+  }
+}
+
+module.exports = {
+  CredentialStore
+};
@@ -0,0 +1,298 @@
+// Event Builder - map Asana tasks to Google Calendar events and diff them
+const crypto = require('crypto');
+const { stripEventMarker } = require('./sync-store');
+const { renderTemplate } = require('./rules');
+const { reconcileAttendees } = require('./attendees');
+
+// Description footer linking the event back to its Asana task
+const ASANA_LINK_PREFIX = 'From Asana Task: ';
+const EMPTY_DESCRIPTION = 'No description available';
+
+const DEFAULT_EVENT_OPTIONS = {
+  timeZone: 'UTC',
+  defaultTime: '09:00',
+  defaultDurationMinutes: 60,
+  dateOnlyEvents: 'all-day',
+  durationField: 'Duration',
+  locationField: 'Location',
+  template: null,
+  rule: null,
+  attendees: []
+};
+
+const DURATION_PATTERN = /^\s*(?:(\d+(?:\.\d+)?)\s*h(?:rs?|ours?)?)?\s*(?:(\d+)\s*m(?:ins?|inutes?)?)?\s*$/i;
+const NAME_DURATION_SUFFIX = /\(([^()]+)\)\s*$/;
+
+// Event fields a task may or may not give, depending on its template and custom fields
+const SYNCED_OPTIONAL_FIELDS = ['location', 'colorId'];
+
+const buildEventDescription = (task, body = stripEventMarker(task.notes)) =>
+  `${body || EMPTY_DESCRIPTION}\n\n${ASANA_LINK_PREFIX}https://app.asana.com/0/0/${task.gid}`;
+
+// Recover the Asana notes from an event description built by buildEventDescription
+const notesFromDescription = (description) => {
+  if (!description) return '';
+  const footerIndex = description.lastIndexOf(`\n\n${ASANA_LINK_PREFIX}`);
+  const body = (footerIndex === -1 ? description : description.slice(0, footerIndex)).trim();
+  return body === EMPTY_DESCRIPTION ? '' : body;
+};
+
+// Display value of a custom field by (case-insensitive) name
+const customFieldValue = (task, fieldName) => {
+  if (!fieldName || !Array.isArray(task.custom_fields)) return null;
+  const field = task.custom_fields.find(f => f.name && f.name.toLowerCase() === fieldName.toLowerCase());
+  return field && field.display_value ? field.display_value : null;
+};
+
+const hasSchedule = (task) => !!(task.due_on || task.due_at || task.start_on || task.start_at);
+
+// Parse "45", "45m", "1h", "1.5h" or "1h 30m" into minutes
+const parseDuration = (value) => {
+  if (typeof value === 'number') return value > 0 ? value : null;
+  if (!value) return null;
+
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) return parseInt(text, 10) || null;
+
+  const match = text.match(DURATION_PATTERN);
+  if (!match || (!match[1] && !match[2])) return null;
+
+  const minutes = Math.round(parseFloat(match[1] || 0) * 60) + parseInt(match[2] || 0, 10);
+  return minutes > 0 ? minutes : null;
+};
+
+// Duration from the custom field, then a "(45m)" suffix in the name, then the default
+const taskDurationMinutes = (task, options) => {
+  const fromField = parseDuration(customFieldValue(task, options.durationField));
+  if (fromField) return fromField;
+
+  const suffix = (task.name || '').match(NAME_DURATION_SUFFIX);
+  const fromName = suffix ? parseDuration(suffix[1]) : null;
+  return fromName || options.defaultDurationMinutes;
+};
+
+// Offset of a time zone from UTC at the given instant, in milliseconds
+const timeZoneOffsetMs = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+  const v = Object.fromEntries(parts.map(p => [p.type, p.value]));
+  const asUtc = Date.UTC(v.year, v.month - 1, v.day, v.hour, v.minute, v.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Instant for a wall-clock date ("2024-05-01") and time ("09:30") in a time zone
+const zonedTimeToDate = (dateString, timeString, timeZone) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const [hour, minute] = timeString.split(':').map(Number);
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+
+  const offset = timeZoneOffsetMs(new Date(guess), timeZone);
+  const adjusted = timeZoneOffsetMs(new Date(guess - offset), timeZone);
+  return new Date(guess - adjusted);
+};
+
+// Wall-clock date and time of an instant in a time zone
+const dateToZonedParts = (date, timeZone) => {
+  const local = new Date(date.getTime() + timeZoneOffsetMs(date, timeZone));
+  const iso = local.toISOString();
+  return { date: iso.slice(0, 10), time: iso.slice(11, 16) };
+};
+
+const addDays = (dateString, days) => {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+const timedValue = (date, timeZone) => ({ dateTime: date.toISOString(), timeZone });
+
+// Start and end of the event for a task, honouring due_at/start_at, dates and durations
+const buildEventTiming = (task, options) => {
+  const { timeZone } = options;
+  const durationMs = taskDurationMinutes(task, options) * 60 * 1000;
+
+  if (task.due_at || task.start_at) {
+    const start = new Date(task.start_at || task.due_at);
+    const end = task.start_at && task.due_at
+      ? new Date(task.due_at)
+      : new Date(start.getTime() + durationMs);
+    return { start: timedValue(start, timeZone), end: timedValue(end, timeZone) };
+  }
+
+  const dueOn = task.due_on || task.start_on;
+  if (!dueOn) {
+    const start = new Date();
+    return { start: timedValue(start, timeZone), end: timedValue(new Date(start.getTime() + durationMs), timeZone) };
+  }
+
+  if (options.dateOnlyEvents === 'all-day') {
+    return {
+      start: { date: task.start_on || dueOn },
+      end: { date: addDays(dueOn, 1) }
+    };
+  }
+
+  const start = zonedTimeToDate(task.start_on || dueOn, options.defaultTime, timeZone);
+  return { start: timedValue(start, timeZone), end: timedValue(new Date(start.getTime() + durationMs), timeZone) };
+};
+
+// A new event's id, chosen before inserting it so every retry of the insert uses the same one.
+// Google event ids take base32hex characters (0-9, a-v).
+const newEventId = (taskGid) =>
+  `mpc${String(taskGid).replace(/[^0-9a-v]/g, '')}${crypto.randomBytes(8).toString('hex')}`;
+
+// Build the calendar event resource for a task, applying the matching rule's template
+const buildEventFromTask = (task, options = {}) => {
+  const eventOptions = { ...DEFAULT_EVENT_OPTIONS, ...options };
+  const template = eventOptions.template || {};
+  const render = (value) => renderTemplate(value, task, eventOptions.rule);
+  const { start, end } = buildEventTiming(task, eventOptions);
+
+  const event = {
+    summary: template.summary ? render(template.summary) : task.name,
+    description: template.description
+      ? buildEventDescription(task, render(template.description))
+      : buildEventDescription(task),
+    start,
+    end
+  };
+
+  const location = template.location
+    ? render(template.location)
+    : customFieldValue(task, eventOptions.locationField);
+  if (location) {
+    event.location = location;
+  }
+  if (template.colorId) {
+    event.colorId = String(template.colorId);
+  }
+  if (eventOptions.attendees.length > 0) {
+    event.attendees = eventOptions.attendees.map(email => ({ email }));
+  }
+
+  return event;
+};
+
+// The optional fields an event built from a task sets, kept on the link for diffEvent
+const syncedFieldsOf = (event) => Object.fromEntries(
+  SYNCED_OPTIONAL_FIELDS.map(field => [field, event[field] || null])
+);
+
+// Display value of an event start/end, whichever form it has
+const eventTimeValue = (time) => (time ? time.dateTime || time.date : null);
+
+// Compare two event start/end values by instant (dateTime) or day (date)
+const isSameEventTime = (a, b) => {
+  if (!a || !b) return !a && !b;
+  if (a.date || b.date) return a.date === b.date;
+  return new Date(a.dateTime).getTime() === new Date(b.dateTime).getTime();
+};
+
+// Patch value for a start/end, clearing the other form when switching all-day ↔ timed
+const eventTimePatch = (time) => (time.date
+  ? { date: time.date, dateTime: null, timeZone: null }
+  : { dateTime: time.dateTime, timeZone: time.timeZone, date: null });
+
+// Field-level patch turning the existing event into the desired one.
+// Timing is left alone for tasks without any dates, since the built start is just "now".
+// Attendees are only reconciled when given: { desired, synced } emails (see reconcileAttendees).
+// synced holds the location and colorId the last sync set: when the task no longer gives one,
+// it is cleared, unless it was changed in Calendar since.
+const diffEvent = (task, desired, existing, attendees = null, synced = {}) => {
+  const patch = {};
+
+  if ((existing.summary || '') !== desired.summary) {
+    patch.summary = desired.summary;
+  }
+  if ((existing.description || '') !== desired.description) {
+    patch.description = desired.description;
+  }
+  for (const field of SYNCED_OPTIONAL_FIELDS) {
+    if (desired[field] && existing[field] !== desired[field]) {
+      patch[field] = desired[field];
+    } else if (!desired[field] && existing[field] && existing[field] === synced[field]) {
+      patch[field] = null;
+    }
+  }
+  if (hasSchedule(task)) {
+    if (!isSameEventTime(desired.start, existing.start)) patch.start = eventTimePatch(desired.start);
+    if (!isSameEventTime(desired.end, existing.end)) patch.end = eventTimePatch(desired.end);
+  }
+  if (attendees) {
+    const reconciled = reconcileAttendees(existing.attendees, attendees.desired, attendees.synced);
+    if (reconciled) patch.attendees = reconciled;
+  }
+
+  return patch;
+};
+
+// Before/after values for each field of a patch, e.g. { summary: { from, to } }
+const describePatch = (current, patch) => Object.fromEntries(
+  Object.entries(patch).map(([field, to]) => [field, { from: current ? current[field] ?? null : null, to }])
+);
+
+// Asana date fields implied by an event's start/end (the reverse of buildEventTiming)
+const scheduleChangesFromEvent = (task, event, options = {}) => {
+  const eventOptions = { ...DEFAULT_EVENT_OPTIONS, ...options };
+  const changes = {};
+
+  if (event.start.date) {
+    const dueOn = event.end && event.end.date ? addDays(event.end.date, -1) : event.start.date;
+    const startOn = event.start.date !== dueOn ? event.start.date : null;
+
+    if (dueOn !== task.due_on || task.due_at) changes.due_on = dueOn;
+    if (startOn !== (task.start_on || null)) changes.start_on = startOn;
+    return changes;
+  }
+
+  if (!event.start.dateTime) return changes;
+
+  const start = new Date(event.start.dateTime);
+  const end = event.end && event.end.dateTime ? new Date(event.end.dateTime) : null;
+
+  // A date-only task rendered at the default time stays date-only
+  if (!task.due_at && !task.start_at && eventOptions.dateOnlyEvents !== 'all-day') {
+    const local = dateToZonedParts(start, eventOptions.timeZone);
+    if (local.time === eventOptions.defaultTime) {
+      if (local.date !== task.due_on) changes.due_on = local.date;
+      return changes;
+    }
+  }
+
+  if (task.start_at && end) {
+    if (new Date(task.start_at).getTime() !== start.getTime()) changes.start_at = start.toISOString();
+    if (new Date(task.due_at).getTime() !== end.getTime()) changes.due_at = end.toISOString();
+  } else if (!task.due_at || new Date(task.due_at).getTime() !== start.getTime()) {
+    changes.due_at = start.toISOString();
+  }
+
+  return changes;
+};
+
+module.exports = {
+  ASANA_LINK_PREFIX,
+  DEFAULT_EVENT_OPTIONS,
+  buildEventDescription,
+  notesFromDescription,
+  customFieldValue,
+  parseDuration,
+  taskDurationMinutes,
+  zonedTimeToDate,
+  dateToZonedParts,
+  newEventId,
+  buildEventFromTask,
+  eventTimeValue,
+  isSameEventTime,
+  syncedFieldsOf,
+  diffEvent,
+  describePatch,
+  scheduleChangesFromEvent
+};
@@ -0,0 +1,91 @@
+// Google API errors - classification and retry with exponential backoff
+const RATE_LIMIT_REASONS = ['rateLimitExceeded', 'userRateLimitExceeded', 'quotaExceeded', 'dailyLimitExceeded'];
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE'];
+
+// Error kinds: auth, rate_limit, not_found, transient, client
+class CalendarError extends Error {
+  constructor(message, { kind, status = null, cause = null } = {}) {
+    super(message);
+    this.name = 'CalendarError';
+    this.kind = kind;
+    this.status = status;
+    this.cause = cause;
+  }
+}
+
+const errorStatus = (error) => {
+  const status = error.response?.status ?? error.status ?? error.code;
+  return typeof status === 'number' ? status : null;
+};
+
+const errorReasons = (error) => (error.response?.data?.error?.errors || error.errors || [])
+  .map(detail => detail.reason)
+  .filter(Boolean);
+
+const classifyGoogleError = (error) => {
+  if (error instanceof CalendarError) return error.kind;
+
+  const status = errorStatus(error);
+  const reasons = errorReasons(error);
+  const oauthError = error.response?.data?.error;
+
+  if (oauthError === 'invalid_grant' || oauthError === 'unauthorized_client' || status === 401) return 'auth';
+  if (status === 429 || reasons.some(reason => RATE_LIMIT_REASONS.includes(reason))) return 'rate_limit';
+  if (status === 403) return 'auth';
+  if (status === 404 || status === 410) return 'not_found';
+  if ((status && status >= 500) || NETWORK_ERROR_CODES.includes(error.code)) return 'transient';
+  return 'client';
+};
+
+const isRetryable = (kind) => kind === 'transient' || kind === 'rate_limit';
+
+// invalid_grant means the refresh token was revoked or expired; only a new consent fixes it
+const isInvalidGrant = (error) => {
+  const source = error instanceof CalendarError ? error.cause : error;
+  return source?.response?.data?.error === 'invalid_grant';
+};
+
+// Wrap any error from the Google client in a CalendarError carrying its kind
+const toCalendarError = (error, operation) => {
+  if (error instanceof CalendarError) return error;
+  const kind = classifyGoogleError(error);
+  return new CalendarError(`${operation} failed (${kind}): ${error.message}`, {
+    kind,
+    status: errorStatus(error),
+    cause: error
+  });
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Exponential backoff with full jitter: a random delay up to base * 2^attempt, capped
+const backoffDelay = (attempt, baseDelayMs, maxDelayMs) =>
+  Math.floor(Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+
+// Run fn, retrying transient and rate-limit failures. Throws a CalendarError.
+const withRetry = async (operation, fn, { retries = 4, baseDelayMs = 500, maxDelayMs = 30000, onRetry } = {}) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      const calendarError = toCalendarError(error, operation);
+      if (!isRetryable(calendarError.kind) || attempt >= retries) {
+        throw calendarError;
+      }
+
+      const delay = backoffDelay(attempt, baseDelayMs, maxDelayMs);
+      if (onRetry) onRetry(calendarError, attempt + 1, delay);
+      await sleep(delay);
+    }
+  }
+};
+
+module.exports = {
+  CalendarError,
+  errorStatus,
+  classifyGoogleError,
+  isRetryable,
+  isInvalidGrant,
+  toCalendarError,
+  withRetry
+};
@@ -0,0 +1,64 @@
+// Readiness checks - verify the services a sync depends on, caching results so
+// frequent probes don't hammer the APIs
+const withTimeout = (promise, ms) => {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+    })
+  ]).finally(() => clearTimeout(timer));
+};
+
+// checks maps a name to an async function that throws when the dependency is down,
+// or returns { status: 'skipped', reason } when it isn't configured
+const createReadinessCheck = ({ checks, ttlMs = 30000, timeoutMs = 5000, onResult = () => {} }) => {
+  let cached = null;
+  let pending = null;
+
+  const runCheck = async (name, check) => {
+    const started = Date.now();
+    try {
+      const outcome = await withTimeout(Promise.resolve().then(check), timeoutMs);
+      return {
+        name,
+        status: outcome && outcome.status === 'skipped' ? 'skipped' : 'ok',
+        ...(outcome && outcome.reason ? { reason: outcome.reason } : {}),
+        latencyMs: Date.now() - started
+      };
+    } catch (error) {
+      return { name, status: 'failed', error: error.message, latencyMs: Date.now() - started };
+    }
+  };
+
+  const refresh = async () => {
+    const results = await Promise.all(Object.entries(checks).map(([name, check]) => runCheck(name, check)));
+    const checkedAt = new Date().toISOString();
+    results.forEach(onResult);
+
+    return {
+      ready: results.every(result => result.status !== 'failed'),
+      checkedAt,
+      expiresAt: Date.now() + ttlMs,
+      checks: Object.fromEntries(results.map(({ name, ...result }) => [name, result]))
+    };
+  };
+
+  // Cached results within the TTL; concurrent callers share one refresh
+  return async ({ force = false } = {}) => {
+    const fresh = force || !cached || cached.expiresAt <= Date.now();
+    if (fresh) {
+      if (!pending) {
+        pending = refresh().finally(() => { pending = null; });
+      }
+      cached = await pending;
+    }
+
+    const { expiresAt, ...result } = cached;
+    return { ...result, cached: !fresh };
+  };
+};
+
+module.exports = {
+  createReadinessCheck
+};
@@ -0,0 +1,162 @@
+// Job queue - runs an account's sync jobs one at a time, so overlapping triggers
+// (schedule, manual syncs, webhooks) can't both create an event for the same task
+const crypto = require('crypto');
+
+// Besides syncs, single-task changes requested through MCP (unsync, reschedule, relink)
+// are queued too, since they write the same sync state
+const JOB_TYPES = ['full-scan', 'task', 'unsync', 'reschedule', 'relink'];
+const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+const FINISHED_JOBS_KEPT = 100;
+
+class JobQueue {
+  // run(job, { signal, onProgress }) does the work and resolves with the job's result.
+  // onFinish(job) is called once a job has finished, whatever the outcome.
+  constructor(run, { log = () => {}, onFinish = () => {} } = {}) {
+    this.run = run;
+    this.log = log;
+    this.onFinish = onFinish;
+    this.jobs = new Map();
+    this.queue = [];
+    this.controls = new Map();
+    this.current = null;
+  }
+
+  // Queue a job. A matching job that hasn't started yet is returned instead of queueing a duplicate.
+  // params carries the job type's own options, e.g. the new time of a reschedule.
+  enqueue({ type, taskGid = null, dryRun = false, source = 'api', params = {} }) {
+    if (!JOB_TYPES.includes(type)) {
+      throw new Error(`Unknown job type "${type}"`);
+    }
+
+    const existing = this.queue.find(job =>
+      job.type === type && job.taskGid === taskGid && job.dryRun === dryRun &&
+      JSON.stringify(job.params) === JSON.stringify(params)
+    );
+    if (existing) return existing;
+
+    const job = {
+      id: crypto.randomBytes(8).toString('hex'),
+      type,
+      taskGid,
+      dryRun,
+      source,
+      params,
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      progress: null,
+      cancelRequested: false,
+      result: null,
+      error: null
+    };
+
+    let resolve;
+    const done = new Promise(r => { resolve = r; });
+    this.controls.set(job.id, { controller: new AbortController(), done, resolve });
+    this.jobs.set(job.id, job);
+    this.queue.push(job);
+
+    this.drain();
+    return job;
+  }
+
+  // Resolves with the job once it has finished, whatever the outcome
+  wait(job) {
+    const control = this.controls.get(job.id);
+    return control ? control.done : Promise.resolve(job);
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  // Newest first
+  list({ status = null, limit = 50 } = {}) {
+    return Array.from(this.jobs.values())
+      .filter(job => !status || job.status === status)
+      .reverse()
+      .slice(0, limit);
+  }
+
+  queued() {
+    return this.queue.slice();
+  }
+
+  // Queued jobs are dropped right away; a running job stops at its next checkpoint.
+  // Returns null for unknown or already finished jobs.
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job || (job.status !== 'queued' && job.status !== 'running')) return null;
+
+    job.cancelRequested = true;
+    if (job.status === 'queued') {
+      this.queue.splice(this.queue.indexOf(job), 1);
+      this.finish(job, 'cancelled');
+    } else {
+      this.controls.get(id).controller.abort();
+    }
+    return job;
+  }
+
+  async drain() {
+    if (this.current) return;
+
+    while (this.queue.length > 0) {
+      const job = this.queue.shift();
+      const { controller } = this.controls.get(job.id);
+      this.current = job;
+      job.status = 'running';
+      job.startedAt = new Date().toISOString();
+
+      try {
+        const result = await this.run(job, {
+          signal: controller.signal,
+          onProgress: (progress) => { job.progress = progress; }
+        });
+        job.result = result;
+
+        if (result && result.cancelled) {
+          this.finish(job, 'cancelled');
+        } else if (result && (result.success === false || result.action === 'failed')) {
+          job.error = result.error || null;
+          this.finish(job, 'failed');
+        } else {
+          this.finish(job, 'succeeded');
+        }
+      } catch (error) {
+        job.error = error.message;
+        this.log(`Sync job ${job.id} (${job.type}) failed: ${error.message}`, 'error', { runId: job.id });
+        this.finish(job, 'failed');
+      }
+    }
+    this.current = null;
+  }
+
+  finish(job, status) {
+    job.status = status;
+    job.finishedAt = new Date().toISOString();
+    this.controls.get(job.id).resolve(job);
+    this.controls.delete(job.id);
+    this.prune();
+
+    try {
+      this.onFinish(job);
+    } catch (error) {
+      this.log(`Sync job ${job.id} finish handler failed: ${error.message}`, 'warning', { runId: job.id });
+    }
+  }
+
+  // Keep the most recent finished jobs for polling; older ones are forgotten
+  prune() {
+    const finished = Array.from(this.jobs.values()).filter(job => job.finishedAt);
+    finished.slice(0, Math.max(0, finished.length - FINISHED_JOBS_KEPT))
+      .forEach(job => this.jobs.delete(job.id));
+  }
+}
+
+module.exports = {
+  JOB_TYPES,
+  JOB_STATUSES,
+  JobQueue
+};
@@ -0,0 +1,22 @@
+// JSON file helpers shared by the persistent stores
+const fs = require('fs');
+const path = require('path');
+
+const readJsonFile = (filePath, fallback) => {
+  if (!filePath || !fs.existsSync(filePath)) return fallback;
+  const raw = fs.readFileSync(filePath, 'utf8');
+  return raw.trim() ? JSON.parse(raw) : fallback;
+};
+
+// Write to a temp file and rename so a crash never leaves a half-written file
+const writeJsonFile = (filePath, data) => {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tmpPath, filePath);
+};
+
+module.exports = {
+  readJsonFile,
+  writeJsonFile
+};
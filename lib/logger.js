@@ -0,0 +1,201 @@
+// Logger - structured log records with levels, run/task context, redaction and pluggable sinks
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const { parseTimeRange, inTimeRange } = require('./time-range');
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+const LOG_FORMATS = ['text', 'json'];
+
+// addLog types and the level each is logged at
+const TYPE_LEVELS = {
+  debug: 'debug',
+  info: 'info',
+  success: 'info',
+  warning: 'warn',
+  error: 'error'
+};
+
+const levelRank = (level) => LOG_LEVELS.indexOf(level);
+
+// Context fields (runId, taskGid, ...) added to every record logged inside fn, across awaits
+const logContext = new AsyncLocalStorage();
+const withLogContext = (fields, fn) => logContext.run({ ...logContext.getStore(), ...fields }, fn);
+
+// Credentials that can show up in error messages and API responses
+const SECRET_PATTERNS = [
+  [/(Bearer\s+)[\w.~+/=-]+/gi, '$1[REDACTED]'],
+  [/((?:access_token|refresh_token|client_secret|id_token|api_?key|password)["']?\s*[:=]\s*["']?)[^"'&\s,}]+/gi, '$1[REDACTED]'],
+  [/\bya29\.[\w.-]+/g, '[REDACTED]'],
+  [/\b1\/\/[\w.-]+/g, '[REDACTED]'],
+  [/\b\d\/\d{6,}(?::|\/)[\w]+/g, '[REDACTED]']
+];
+
+// Mask token-like strings, plus any known secret values (at least 8 characters)
+const redact = (text, secrets = []) => {
+  let result = SECRET_PATTERNS.reduce((value, [pattern, replacement]) => value.replace(pattern, replacement), String(text));
+  for (const secret of secrets) {
+    if (typeof secret === 'string' && secret.length >= 8) {
+      result = result.split(secret).join('[REDACTED]');
+    }
+  }
+  return result;
+};
+
+// Record ids: the timestamp plus a per-process sequence, so records logged in the same millisecond differ
+let sequence = 0;
+const nextRecordId = () => `${Date.now().toString(36)}-${(sequence++).toString(36)}`;
+
+// Fields left undefined are omitted
+const createLogRecord = ({ message, type = 'info', tenant, ...fields }) => {
+  const record = {
+    id: nextRecordId(),
+    timestamp: new Date().toISOString(),
+    level: TYPE_LEVELS[type] || 'info',
+    type,
+    tenant,
+    message,
+    ...logContext.getStore(),
+    ...fields
+  };
+  return Object.fromEntries(Object.entries(record).filter(([, value]) => value !== undefined && value !== null));
+};
+
+// Human-readable lines (the original log format) or one JSON object per line
+const consoleSink = ({ format = 'text', stream = process.stdout } = {}) => (record) => {
+  if (format === 'json') {
+    stream.write(`${JSON.stringify(record)}\n`);
+    return;
+  }
+  const label = record.tenant && record.tenant !== 'default' ? `[user:${record.tenant}] ` : '';
+  stream.write(`[${record.timestamp}] ${label}${record.type.toUpperCase()}: ${record.message}\n`);
+};
+
+// A JSON Lines file, rotated to file.1 ... file.N when it grows past maxBytes
+class JsonlFileSink {
+  constructor(filePath, { maxBytes = 5 * 1024 * 1024, maxFiles = 5 } = {}) {
+    this.filePath = filePath;
+    this.maxBytes = maxBytes;
+    this.maxFiles = maxFiles;
+  }
+
+  // Newest last
+  files() {
+    return Array.from({ length: this.maxFiles }, (_, i) => `${this.filePath}.${this.maxFiles - i}`)
+      .concat(this.filePath)
+      .filter(file => fs.existsSync(file));
+  }
+
+  write(record) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    if (fs.existsSync(this.filePath) && fs.statSync(this.filePath).size >= this.maxBytes) {
+      this.rotate();
+    }
+    fs.appendFileSync(this.filePath, `${JSON.stringify(record)}\n`);
+  }
+
+  rotate() {
+    fs.rmSync(`${this.filePath}.${this.maxFiles}`, { force: true });
+    for (let i = this.maxFiles - 1; i >= 1; i--) {
+      if (fs.existsSync(`${this.filePath}.${i}`)) {
+        fs.renameSync(`${this.filePath}.${i}`, `${this.filePath}.${i + 1}`);
+      }
+    }
+    fs.renameSync(this.filePath, `${this.filePath}.1`);
+  }
+
+  // Every record still on disk, oldest first. Lines that don't parse are skipped.
+  read() {
+    return this.files().flatMap(file => fs.readFileSync(file, 'utf8')
+      .split('\n')
+      .filter(Boolean)
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(Boolean));
+  }
+
+  // Rewrite the files without the records matching the predicate
+  remove(predicate) {
+    for (const file of this.files()) {
+      const kept = fs.readFileSync(file, 'utf8')
+        .split('\n')
+        .filter(line => {
+          if (!line) return false;
+          try {
+            return !predicate(JSON.parse(line));
+          } catch (error) {
+            return true;
+          }
+        });
+      const tempPath = `${file}.tmp`;
+      fs.writeFileSync(tempPath, kept.map(line => `${line}\n`).join(''));
+      fs.renameSync(tempPath, file);
+    }
+  }
+}
+
+class Logger {
+  constructor({ level = 'info', sinks = [] } = {}) {
+    this.level = level;
+    this.sinks = sinks;
+  }
+
+  enabled(level) {
+    return levelRank(level) >= levelRank(this.level);
+  }
+
+  // A failing sink must not break the sync, so it's reported on stderr and skipped
+  write(record) {
+    for (const sink of this.sinks) {
+      try {
+        sink(record);
+      } catch (error) {
+        console.error(`Log sink failed: ${error.message}`);
+      }
+    }
+  }
+}
+
+// Log query filters: minimum level, run, task, time range and limit
+const parseLogFilters = ({ level, runId, taskGid, from, to, limit } = {}) => {
+  const errors = [];
+  const range = parseTimeRange({ from, to }, errors);
+  if (level && !LOG_LEVELS.includes(level)) {
+    errors.push(`level must be one of: ${LOG_LEVELS.join(', ')}`);
+  }
+
+  return {
+    filters: {
+      ...range,
+      level: level || null,
+      runId: runId || null,
+      taskGid: taskGid || null,
+      limit: parseInt(limit) || 50
+    },
+    errors
+  };
+};
+
+const matchesLogFilters = (record, { level, runId, taskGid, from, to }) =>
+  (!level || levelRank(record.level) >= levelRank(level)) &&
+  (!runId || record.runId === runId) &&
+  (!taskGid || record.taskGid === taskGid) &&
+  inTimeRange(record.timestamp, { from, to });
+
+module.exports = {
+  LOG_LEVELS,
+  LOG_FORMATS,
+  withLogContext,
+  redact,
+  createLogRecord,
+  consoleSink,
+  JsonlFileSink,
+  Logger,
+  parseLogFilters,
+  matchesLogFilters
+};
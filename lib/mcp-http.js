@@ -0,0 +1,159 @@
+// MCP over HTTP - Streamable HTTP sessions at /mcp and legacy SSE sessions at /sse,
+// each with its own MCP server acting on the caller's account
+const crypto = require('crypto');
+const { StreamableHTTPServerTransport } = require('@modelcontextprotocol/sdk/server/streamableHttp.js');
+const { SSEServerTransport } = require('@modelcontextprotocol/sdk/server/sse.js');
+const { isInitializeRequest } = require('@modelcontextprotocol/sdk/types.js');
+
+const SESSION_IDLE_MS = 60 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+
+// JSON-RPC errors for requests that can't reach a session
+const rpcError = (res, status, message) => res.status(status).json({
+  jsonrpc: '2.0',
+  error: { code: -32000, message },
+  id: null
+});
+
+// Who a request comes from; a session only accepts requests from the caller that opened it
+const callerOf = (req) => `${req.auth.type}:${req.auth.name}`;
+
+class McpSessions {
+  // createServer(req) returns an MPCServer for the authenticated request's tenant
+  constructor({ createServer, log = () => {} }) {
+    this.createServer = createServer;
+    this.log = log;
+    this.sessions = new Map();
+    this.sweeper = null;
+  }
+
+  // The caller's open session, or null after responding with why there isn't one.
+  // Account and config changes update the tenant in place, so sessions follow them. Only
+  // an account that was removed and loaded again has a new tenant; a session still on the
+  // old one is closed, so the client starts a new one on the current tenant.
+  find(req, res, sessionId) {
+    const session = sessionId ? this.sessions.get(sessionId) : null;
+    if (!session) {
+      rpcError(res, sessionId ? 404 : 400, sessionId ? 'Session not found' : 'Missing session ID');
+      return null;
+    }
+    if (session.caller !== callerOf(req)) {
+      rpcError(res, 403, 'Session belongs to another caller');
+      return null;
+    }
+    if (session.mcp.tenant !== req.tenant) {
+      this.close(sessionId);
+      rpcError(res, 404, 'Session expired - the account was replaced');
+      return null;
+    }
+
+    session.lastSeenAt = Date.now();
+    return session;
+  }
+
+  async open(req, transport, sessionId) {
+    const mcp = this.createServer(req);
+    const session = { transport, mcp, caller: callerOf(req), tenantId: req.tenant.id, lastSeenAt: Date.now() };
+    if (sessionId) this.sessions.set(sessionId, session);
+    await mcp.server.connect(transport);
+    return session;
+  }
+
+  close(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return;
+    this.sessions.delete(sessionId);
+    session.transport.close().catch(error =>
+      this.log(`Failed to close MCP session ${sessionId}: ${error.message}`, 'warning')
+    );
+  }
+
+  // Streamable HTTP: an initialize request without a session ID opens a session;
+  // everything else (requests, the GET notification stream, DELETE) goes to its session
+  async handleStreamable(req, res) {
+    const sessionId = req.get('Mcp-Session-Id');
+    try {
+      if (!sessionId && req.method === 'POST' && isInitializeRequest(req.body)) {
+        const transport = new StreamableHTTPServerTransport({
+          sessionIdGenerator: () => crypto.randomUUID(),
+          onsessioninitialized: (id) => {
+            this.sessions.set(id, session);
+            this.log(`MCP session ${id} opened by ${session.caller}`, 'info');
+          }
+        });
+        transport.onclose = () => {
+          if (transport.sessionId) this.sessions.delete(transport.sessionId);
+        };
+        const session = await this.open(req, transport);
+        await transport.handleRequest(req, res, req.body);
+        return;
+      }
+
+      const session = this.find(req, res, sessionId);
+      if (session) await session.transport.handleRequest(req, res, req.body);
+    } catch (error) {
+      this.log(`MCP request failed: ${error.message}`, 'error');
+      if (!res.headersSent) rpcError(res, 500, 'Internal server error');
+    }
+  }
+
+  // Legacy SSE: GET opens the event stream, and the client posts its messages to messagesPath
+  async handleSseStream(req, res, messagesPath) {
+    try {
+      const transport = new SSEServerTransport(messagesPath, res);
+      res.on('close', () => this.sessions.delete(transport.sessionId));
+      const session = await this.open(req, transport, transport.sessionId);
+      this.log(`MCP SSE session ${transport.sessionId} opened by ${session.caller}`, 'info');
+    } catch (error) {
+      this.log(`MCP SSE stream failed: ${error.message}`, 'error');
+      if (!res.headersSent) rpcError(res, 500, 'Internal server error');
+    }
+  }
+
+  async handleSseMessage(req, res) {
+    const session = this.find(req, res, req.query.sessionId);
+    if (!session) return;
+    if (!(session.transport instanceof SSEServerTransport)) {
+      rpcError(res, 400, 'Session does not use the SSE transport');
+      return;
+    }
+
+    try {
+      await session.transport.handlePostMessage(req, res, req.body);
+    } catch (error) {
+      this.log(`MCP message failed: ${error.message}`, 'error');
+      if (!res.headersSent) rpcError(res, 500, 'Internal server error');
+    }
+  }
+
+  // Tell the tenant's sessions about a finished sync job, for resource subscriptions
+  notifyJobFinished(tenantId, job) {
+    for (const session of this.sessions.values()) {
+      if (session.tenantId === tenantId) session.mcp.jobFinished(job);
+    }
+  }
+
+  // Clients that vanish without closing their session are dropped after an hour idle.
+  // SSE sessions are only dropped when their stream closes.
+  startSweeping() {
+    this.sweeper = setInterval(() => {
+      const idleSince = Date.now() - SESSION_IDLE_MS;
+      for (const [sessionId, session] of this.sessions) {
+        if (session.lastSeenAt < idleSince && !(session.transport instanceof SSEServerTransport)) {
+          this.log(`MCP session ${sessionId} closed after being idle`, 'info');
+          this.close(sessionId);
+        }
+      }
+    }, SWEEP_INTERVAL_MS);
+    this.sweeper.unref();
+  }
+
+  closeAll() {
+    if (this.sweeper) clearInterval(this.sweeper);
+    Array.from(this.sessions.keys()).forEach(sessionId => this.close(sessionId));
+  }
+}
+
+module.exports = {
+  McpSessions
+};
@@ -0,0 +1,102 @@
+// Meetings - queries over linked tasks and their events, and the date changes of a reschedule
+const { parseTimeRange, inTimeRange } = require('./time-range');
+
+const MEETING_STATUSES = ['synced', 'failing', 'conflict', 'orphaned'];
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Where a link stands: its task no longer qualifies, both sides changed, or its last sync failed
+const meetingStatus = (link, failure) => {
+  if (link.orphaned) return 'orphaned';
+  if (link.conflict && !link.conflict.resolution) return 'conflict';
+  if (failure) return 'failing';
+  return 'synced';
+};
+
+// Linked meeting filters: status, calendar, rule, task name, start time range and limit
+const parseMeetingFilters = ({ status, calendarId, rule, query, from, to, limit } = {}) => {
+  const errors = [];
+  const range = parseTimeRange({ from, to }, errors);
+  if (status && !MEETING_STATUSES.includes(status)) {
+    errors.push(`status must be one of: ${MEETING_STATUSES.join(', ')}`);
+  }
+
+  return {
+    filters: {
+      ...range,
+      status: status || null,
+      calendarId: calendarId || null,
+      rule: rule || null,
+      query: query || null,
+      limit: parseInt(limit) || 20
+    },
+    errors
+  };
+};
+
+// Links saved before start times were recorded can't match a time range
+const matchesMeetingFilters = (meeting, { status, calendarId, rule, query, from, to }) =>
+  (!status || meeting.status === status) &&
+  (!calendarId || meeting.calendarId === calendarId) &&
+  (!rule || meeting.ruleName === rule) &&
+  (!query || (meeting.taskName || '').toLowerCase().includes(query.toLowerCase())) &&
+  (!(from || to) || (!!meeting.startTime && inTimeRange(meeting.startTime, { from, to })));
+
+// Problems with a reschedule's new start and optional end: both dates, or both times
+const validateMeetingTime = ({ start, end } = {}) => {
+  const errors = [];
+  const isValid = (value) => typeof value === 'string' && !isNaN(new Date(value));
+
+  if (!isValid(start)) {
+    errors.push('start must be a date such as 2024-01-15 or a time such as 2024-01-15T14:00:00Z');
+    return errors;
+  }
+  if (end === undefined || end === null) return errors;
+
+  if (!isValid(end)) {
+    errors.push('end must be a date or time like start');
+  } else if (DATE_ONLY.test(start) !== DATE_ONLY.test(end)) {
+    errors.push('start and end must both be dates or both be times');
+  } else if (DATE_ONLY.test(start) ? end < start : new Date(end) <= new Date(start)) {
+    errors.push('end must be after start');
+  }
+  return errors;
+};
+
+// Asana date fields for a meeting's new time. A date moves it to that day (through end,
+// for several days); a time keeps the meeting's length unless an end is given.
+const rescheduleChanges = (task, { start, end = null }) => {
+  if (DATE_ONLY.test(start)) {
+    return { due_on: end || start, start_on: end && end !== start ? start : null };
+  }
+
+  const startAt = new Date(start);
+  if (end) {
+    return { start_at: startAt.toISOString(), due_at: new Date(end).toISOString() };
+  }
+  if (task.start_at && task.due_at) {
+    const length = new Date(task.due_at).getTime() - new Date(task.start_at).getTime();
+    return { start_at: startAt.toISOString(), due_at: new Date(startAt.getTime() + length).toISOString() };
+  }
+  return { due_at: startAt.toISOString(), ...(task.start_on ? { start_on: null } : {}) };
+};
+
+// The task as Asana returns it after a date change: Asana derives the other date fields,
+// and the stored hash has to match the next fetch
+const withScheduleChanges = (task, changes) => {
+  const updated = { ...task, ...changes };
+  if (changes.due_at) updated.due_on = changes.due_at.slice(0, 10);
+  if (changes.due_on) updated.due_at = null;
+  if (changes.start_at) updated.start_on = changes.start_at.slice(0, 10);
+  if (changes.start_on !== undefined) updated.start_at = null;
+  return updated;
+};
+
+module.exports = {
+  MEETING_STATUSES,
+  meetingStatus,
+  parseMeetingFilters,
+  matchesMeetingFilters,
+  validateMeetingTime,
+  rescheduleChanges,
+  withScheduleChanges
+};
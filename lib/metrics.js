@@ -0,0 +1,162 @@
+// Metrics - counters, gauges and histograms rendered in the Prometheus text format
+const DURATION_BUCKETS = [1, 5, 10, 30, 60, 120, 300, 600];
+const TASK_BUCKETS = [0, 1, 5, 10, 25, 50, 100, 250, 500];
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  return entries.length > 0
+    ? `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`
+    : '';
+};
+
+// One series per distinct label set
+class Metric {
+  constructor(type, name, help) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.series = new Map();
+  }
+
+  seriesFor(labels, create) {
+    const key = JSON.stringify(labels);
+    if (!this.series.has(key)) this.series.set(key, { labels, ...create() });
+    return this.series.get(key);
+  }
+
+  render() {
+    return [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} ${this.type}`,
+      ...Array.from(this.series.values()).flatMap(series => this.renderSeries(series))
+    ].join('\n');
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help) {
+    super('counter', name, help);
+  }
+
+  inc(labels = {}, value = 1) {
+    this.seriesFor(labels, () => ({ value: 0 })).value += value;
+  }
+
+  renderSeries({ labels, value }) {
+    return [`${this.name}${formatLabels(labels)} ${value}`];
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help) {
+    super('gauge', name, help);
+  }
+
+  set(labels, value) {
+    this.seriesFor(labels, () => ({ value: 0 })).value = value;
+  }
+
+  reset() {
+    this.series.clear();
+  }
+
+  renderSeries({ labels, value }) {
+    return [`${this.name}${formatLabels(labels)} ${value}`];
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, buckets) {
+    super('histogram', name, help);
+    this.buckets = buckets;
+  }
+
+  observe(labels, value) {
+    const series = this.seriesFor(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  renderSeries({ labels, counts, sum, count }) {
+    return [
+      ...this.buckets.map((bound, i) => `${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`),
+      `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+      `${this.name}_sum${formatLabels(labels)} ${sum}`,
+      `${this.name}_count${formatLabels(labels)} ${count}`
+    ];
+  }
+}
+
+// The server's metrics. Gauges describing current state are refreshed by the
+// collect callback right before each scrape.
+class SyncMetrics {
+  constructor({ collect = () => {} } = {}) {
+    this.collect = collect;
+    this.startedAt = Date.now();
+
+    this.syncRuns = new Counter('mpc_sync_runs_total', 'Full sync runs by outcome');
+    this.syncDuration = new Histogram('mpc_sync_duration_seconds', 'Duration of full sync runs', DURATION_BUCKETS);
+    this.tasksPerRun = new Histogram('mpc_sync_tasks_per_run', 'Tasks found per full sync run', TASK_BUCKETS);
+    this.syncEvents = new Counter('mpc_sync_events_total', 'Calendar events and tasks handled by sync runs, by action');
+    this.apiLatency = new Histogram('mpc_api_request_duration_seconds', 'Asana and Google API request latency by response status', LATENCY_BUCKETS);
+    this.automationRunning = new Gauge('mpc_automation_running', 'Whether scheduled automation is running');
+    this.queueDepth = new Gauge('mpc_job_queue_depth', 'Sync jobs waiting to run');
+    this.lastRun = new Gauge('mpc_sync_last_run_timestamp_seconds', 'When the last full sync run finished');
+    this.googleReauthRequired = new Gauge('mpc_google_reauth_required', 'Whether Google access was revoked and needs a new consent');
+    this.readiness = new Gauge('mpc_readiness_check_up', 'Result of the last readiness check of each dependency (1 ok, 0 failed)');
+    this.uptime = new Gauge('mpc_uptime_seconds', 'Seconds since the server started');
+  }
+
+  // One attempt at an Asana or Google API call. status is the HTTP status, or the network error code.
+  recordApiCall({ service, status, durationMs }) {
+    this.apiLatency.observe({ service, status: status || 'error' }, durationMs / 1000);
+  }
+
+  // A finished full sync run, from its run report. Dry runs only count towards mpc_sync_runs_total.
+  recordRun(tenant, report) {
+    this.syncRuns.inc({ tenant, outcome: report.outcome, dry_run: report.dryRun });
+    if (report.dryRun || report.outcome === 'cancelled') return;
+
+    this.syncDuration.observe({ tenant }, report.durationMs / 1000);
+    this.tasksPerRun.observe({ tenant }, report.tasksFound);
+    this.lastRun.set({ tenant }, Math.floor(new Date(report.finishedAt).getTime() / 1000));
+    if (report.counts) {
+      Object.entries(report.counts).forEach(([action, count]) => {
+        if (count > 0) this.syncEvents.inc({ tenant, action }, count);
+      });
+    }
+  }
+
+  render() {
+    [this.automationRunning, this.queueDepth, this.googleReauthRequired].forEach(gauge => gauge.reset());
+    this.collect(this);
+    this.uptime.set({}, Math.floor((Date.now() - this.startedAt) / 1000));
+
+    return [
+      this.syncRuns,
+      this.syncDuration,
+      this.tasksPerRun,
+      this.syncEvents,
+      this.apiLatency,
+      this.automationRunning,
+      this.queueDepth,
+      this.lastRun,
+      this.googleReauthRequired,
+      this.readiness,
+      this.uptime
+    ].map(metric => metric.render()).join('\n') + '\n';
+  }
+}
+
+module.exports = {
+  Counter,
+  Gauge,
+  Histogram,
+  SyncMetrics
+};
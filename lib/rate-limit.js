@@ -0,0 +1,50 @@
+// Rate limiting - fixed-window request counts per client
+
+// Counts requests per key. count(key) records one and returns where that key stands;
+// limited is set once it is over the limit. A limit of 0 turns counting off.
+const createRequestCounter = ({ limit, windowMs }) => {
+  const windows = new Map();
+
+  return (key) => {
+    if (!limit) return { limited: false, limit };
+
+    const now = Date.now();
+    for (const [windowKey, window] of windows) {
+      if (window.resetAt <= now) windows.delete(windowKey);
+    }
+
+    const window = windows.get(key) || { count: 0, resetAt: now + windowMs };
+    window.count++;
+    windows.set(key, window);
+
+    return {
+      limited: window.count > limit,
+      limit,
+      remaining: Math.max(0, limit - window.count),
+      resetSeconds: Math.ceil((window.resetAt - now) / 1000)
+    };
+  };
+};
+
+// Express middleware answering 429 once the request's key is over the counter's limit
+const createRateLimiter = ({ count, keyFor, message = 'Too many requests' }) => (req, res, next) => {
+  const { limited, limit, remaining, resetSeconds } = count(keyFor(req));
+  if (!limit) return next();
+
+  res.set({
+    'RateLimit-Limit': String(limit),
+    'RateLimit-Remaining': String(remaining),
+    'RateLimit-Reset': String(resetSeconds)
+  });
+
+  if (limited) {
+    res.set('Retry-After', String(resetSeconds));
+    return res.status(429).json({ success: false, error: `${message}, try again in ${resetSeconds}s` });
+  }
+  next();
+};
+
+module.exports = {
+  createRequestCounter,
+  createRateLimiter
+};
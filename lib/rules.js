@@ -0,0 +1,223 @@
+// Task Matching Rules - decide which Asana tasks sync, and to which calendar
+const { readJsonFile, writeJsonFile } = require('./json-file');
+const { stripEventMarker } = require('./sync-store');
+
+// Leaf conditions a rule can test, keyed by their name in the rule JSON
+const LEAF_CONDITIONS = [
+  'project',
+  'section',
+  'tag',
+  'customField',
+  'assignee',
+  'nameRegex',
+  'nameContains',
+  'notesContains'
+];
+const TEMPLATE_FIELDS = ['summary', 'description', 'location', 'colorId'];
+
+const equalsIgnoreCase = (a, b) => String(a || '').toLowerCase() === String(b || '').toLowerCase();
+
+// Match a value against an Asana object by gid or name
+const matchesRef = (ref, expected) => !!ref && (ref.gid === String(expected) || equalsIgnoreCase(ref.name, expected));
+
+const compileRegex = (pattern) => {
+  if (pattern instanceof RegExp) return pattern;
+  if (typeof pattern === 'object' && pattern !== null) return new RegExp(pattern.pattern, pattern.flags || 'i');
+  return new RegExp(pattern, 'i');
+};
+
+const leafMatchers = {
+  project: (task, value) => (task.projects || []).some(project => matchesRef(project, value)),
+
+  section: (task, value) => (task.memberships || []).some(m => matchesRef(m.section, value)),
+
+  tag: (task, value) => (task.tags || []).some(tag => matchesRef(tag, value)),
+
+  customField: (task, { name, value }) => (task.custom_fields || []).some(field =>
+    equalsIgnoreCase(field.name, name) &&
+    (value === undefined ? !!field.display_value : equalsIgnoreCase(field.display_value, value))
+  ),
+
+  assignee: (task, value) => !!task.assignee && (
+    matchesRef(task.assignee, value) || equalsIgnoreCase(task.assignee.email, value)
+  ),
+
+  nameRegex: (task, value) => compileRegex(value).test(task.name || ''),
+
+  nameContains: (task, value) => (task.name || '').toLowerCase().includes(String(value).toLowerCase()),
+
+  notesContains: (task, value) => (task.notes || '').toLowerCase().includes(String(value).toLowerCase())
+};
+
+// Evaluate a condition tree ({ all }, { any }, { not } or leaf conditions) against a task.
+// Several leaf keys in one object are ANDed together.
+const evaluateCondition = (condition, task) => {
+  if (!condition) return true;
+
+  return Object.entries(condition).every(([key, value]) => {
+    switch (key) {
+      case 'all':
+        return value.every(child => evaluateCondition(child, task));
+      case 'any':
+        return value.some(child => evaluateCondition(child, task));
+      case 'not':
+        return !evaluateCondition(value, task);
+      default:
+        return leafMatchers[key](task, value);
+    }
+  });
+};
+
+// The same evaluation as evaluateCondition, recording the result of every condition
+// so it can be shown why a task did or didn't match
+const explainCondition = (condition, task) => {
+  if (!condition) return [];
+
+  return Object.entries(condition).map(([key, value]) => {
+    switch (key) {
+      case 'all':
+      case 'any': {
+        const children = value.map(child => ({ matched: evaluateCondition(child, task), conditions: explainCondition(child, task) }));
+        const matched = key === 'all' ? children.every(child => child.matched) : children.some(child => child.matched);
+        return { condition: key, matched, children };
+      }
+      case 'not': {
+        const matched = !evaluateCondition(value, task);
+        return { condition: key, matched, children: [{ matched: !matched, conditions: explainCondition(value, task) }] };
+      }
+      default:
+        return { condition: key, value, matched: leafMatchers[key](task, value) };
+    }
+  });
+};
+
+// Every rule in priority order with its conditions' results. Only the first
+// enabled rule that matches is used.
+const explainRules = (rules, task) => {
+  const used = findMatchingRule(rules, task);
+  return rules.map(rule => ({
+    name: rule.name,
+    enabled: rule.enabled !== false,
+    matched: evaluateCondition(rule.match, task),
+    used: rule === used,
+    calendarId: rule.calendarId || null,
+    conditions: explainCondition(rule.match, task)
+  }));
+};
+
+// Collect validation errors for a condition tree
+const validateCondition = (condition, at, errors) => {
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+    errors.push(`${at} must be an object`);
+    return;
+  }
+  if (Object.keys(condition).length === 0) {
+    errors.push(`${at} must not be empty`);
+  }
+
+  for (const [key, value] of Object.entries(condition)) {
+    if (key === 'all' || key === 'any') {
+      if (!Array.isArray(value) || value.length === 0) {
+        errors.push(`${at}.${key} must be a non-empty array`);
+        continue;
+      }
+      value.forEach((child, i) => validateCondition(child, `${at}.${key}[${i}]`, errors));
+    } else if (key === 'not') {
+      validateCondition(value, `${at}.not`, errors);
+    } else if (!LEAF_CONDITIONS.includes(key)) {
+      errors.push(`${at}.${key} is not a known condition`);
+    } else if (key === 'customField') {
+      if (!value || typeof value !== 'object' || !value.name) {
+        errors.push(`${at}.customField needs a name`);
+      }
+    } else if (key === 'nameRegex') {
+      try {
+        compileRegex(value);
+      } catch (error) {
+        errors.push(`${at}.nameRegex is invalid: ${error.message}`);
+      }
+    } else if (value === undefined || value === null || value === '') {
+      errors.push(`${at}.${key} must have a value`);
+    }
+  }
+};
+
+// Returns a list of problems with a rule set; empty when valid
+const validateRules = (rules) => {
+  const errors = [];
+  if (!Array.isArray(rules)) return ['rules must be an array'];
+
+  const names = new Set();
+  rules.forEach((rule, i) => {
+    const at = `rules[${i}]`;
+    if (!rule || typeof rule !== 'object') {
+      errors.push(`${at} must be an object`);
+      return;
+    }
+    if (!rule.name || typeof rule.name !== 'string') {
+      errors.push(`${at}.name is required`);
+    } else if (names.has(rule.name)) {
+      errors.push(`${at}.name "${rule.name}" is duplicated`);
+    } else {
+      names.add(rule.name);
+    }
+    if (rule.calendarId !== undefined && typeof rule.calendarId !== 'string') {
+      errors.push(`${at}.calendarId must be a string`);
+    }
+    if (rule.template !== undefined) {
+      const unknown = Object.keys(rule.template || {}).filter(key => !TEMPLATE_FIELDS.includes(key));
+      if (unknown.length > 0) errors.push(`${at}.template has unknown fields: ${unknown.join(', ')}`);
+    }
+    validateCondition(rule.match, `${at}.match`, errors);
+  });
+
+  return errors;
+};
+
+// Rule used when none are configured: the classic keyword search
+const keywordRule = (keyword, calendarId) => ({
+  name: 'default',
+  match: { nameContains: keyword },
+  calendarId
+});
+
+// First enabled rule matching the task (rule order is priority)
+const findMatchingRule = (rules, task) =>
+  rules.find(rule => rule.enabled !== false && evaluateCondition(rule.match, task)) || null;
+
+// Fill {{name}}, {{notes}}, {{project}}, {{section}}, {{assignee}} and {{rule}} placeholders
+const renderTemplate = (template, task, rule) => {
+  const project = (task.projects || [])[0];
+  const membership = (task.memberships || []).find(m => m.section);
+  const values = {
+    name: task.name || '',
+    notes: stripEventMarker(task.notes),
+    project: project ? project.name : '',
+    section: membership ? membership.section.name : '',
+    assignee: task.assignee ? task.assignee.name : '',
+    rule: rule ? rule.name : ''
+  };
+  return String(template).replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, key) =>
+    key in values ? values[key] : placeholder
+  );
+};
+
+const loadRules = (filePath, fallback = []) => {
+  const data = readJsonFile(filePath, null);
+  if (!data) return fallback;
+  return Array.isArray(data) ? data : data.rules || [];
+};
+
+const saveRules = (filePath, rules) => writeJsonFile(filePath, { rules });
+
+module.exports = {
+  LEAF_CONDITIONS,
+  evaluateCondition,
+  explainRules,
+  validateRules,
+  keywordRule,
+  findMatchingRule,
+  renderTemplate,
+  loadRules,
+  saveRules
+};
@@ -0,0 +1,131 @@
+// Run history - a JSON Lines report of every full sync run, kept for answering
+// "what did that run do?" long after the logs have rolled over
+const fs = require('fs');
+const path = require('path');
+const { parseTimeRange, inTimeRange } = require('./time-range');
+
+const RUN_OUTCOMES = ['succeeded', 'partial', 'failed', 'cancelled'];
+const DEFAULT_RUNS_KEPT = 500;
+
+// succeeded: everything synced; partial: some tasks failed; failed: the run itself failed
+const runOutcome = (result) => {
+  if (result.cancelled) return 'cancelled';
+  if (!result.success) return 'failed';
+  const failed = result.dryRun
+    ? (result.plan || []).filter(entry => entry.error).length
+    : result.eventsFailed || 0;
+  return failed > 0 ? 'partial' : 'succeeded';
+};
+
+// A run's report from its sync result
+const createRunReport = ({ id, source, dryRun, startedAt, result }) => {
+  const finishedAt = new Date();
+  return {
+    id,
+    source,
+    dryRun,
+    startedAt: startedAt.toISOString(),
+    finishedAt: finishedAt.toISOString(),
+    durationMs: finishedAt - startedAt,
+    outcome: runOutcome(result),
+    message: result.message || null,
+    error: result.error || null,
+    tasksFound: result.tasksFound || 0,
+    counts: dryRun ? null : {
+      created: result.eventsCreated || 0,
+      updated: result.eventsUpdated || 0,
+      skipped: result.eventsSkipped || 0,
+      failed: result.eventsFailed || 0,
+      orphaned: result.eventsOrphaned || 0,
+      updatedFromCalendar: result.tasksUpdatedFromCalendar || 0,
+      conflicts: result.conflicts || 0
+    },
+    ...(dryRun ? { plan: result.plan || [] } : { processedTasks: result.processedTasks || [] })
+  };
+};
+
+// The report without its per-task details, for listings
+const summarize = ({ processedTasks, plan, ...summary }) => ({
+  ...summary,
+  taskCount: (processedTasks || plan || []).length
+});
+
+// Listing filters from query parameters or tool arguments: from/to dates, outcome, source and limit
+const parseRunFilters = ({ from, to, outcome, source, limit } = {}) => {
+  const errors = [];
+  const range = parseTimeRange({ from, to }, errors);
+
+  const filters = {
+    ...range,
+    outcome: outcome || null,
+    source: source || null,
+    limit: parseInt(limit) || 50
+  };
+  if (filters.outcome && !RUN_OUTCOMES.includes(filters.outcome)) {
+    errors.push(`outcome must be one of: ${RUN_OUTCOMES.join(', ')}`);
+  }
+  return { filters, errors };
+};
+
+class RunHistory {
+  constructor(filePath, { limit = DEFAULT_RUNS_KEPT } = {}) {
+    this.filePath = filePath;
+    this.limit = limit;
+    // Runs in the file, counted on the first record and kept up to date after
+    this.runCount = null;
+  }
+
+  // Every run on disk, oldest first. Lines that don't parse (e.g. a write cut short) are skipped.
+  readAll() {
+    if (!fs.existsSync(this.filePath)) return [];
+    return fs.readFileSync(this.filePath, 'utf8')
+      .split('\n')
+      .filter(Boolean)
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  // Append a report, trimming the file back to the newest runs once it grows well past the limit
+  record(report) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.appendFileSync(this.filePath, `${JSON.stringify(report)}\n`);
+
+    this.runCount = this.runCount === null ? this.readAll().length : this.runCount + 1;
+    if (this.runCount > this.limit * 1.2) {
+      const runs = this.readAll().slice(-this.limit);
+      const tempPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tempPath, runs.map(run => `${JSON.stringify(run)}\n`).join(''));
+      fs.renameSync(tempPath, this.filePath);
+      this.runCount = runs.length;
+    }
+    return report;
+  }
+
+  // Summaries, newest first. from/to are Dates compared with each run's start time.
+  list({ from = null, to = null, outcome = null, source = null, limit = 50 } = {}) {
+    return this.readAll()
+      .filter(run => inTimeRange(run.startedAt, { from, to }))
+      .filter(run => !outcome || run.outcome === outcome)
+      .filter(run => !source || run.source === source)
+      .reverse()
+      .slice(0, limit)
+      .map(summarize);
+  }
+
+  get(id) {
+    return this.readAll().find(run => run.id === id) || null;
+  }
+}
+
+module.exports = {
+  RUN_OUTCOMES,
+  createRunReport,
+  parseRunFilters,
+  RunHistory
+};
@@ -0,0 +1,129 @@
+// Runtime config - settings that can change without a restart: validation, diffing and persistence
+const { readJsonFile, writeJsonFile } = require('./json-file');
+const { validateRules } = require('./rules');
+const { parseCron, parseClock, parseWindow, isValidTimeZone } = require('./schedule');
+
+// Settings editable through /api/config and the MCP update_config tool.
+// Values are a type name or the list of allowed values, as in validateConfigFields.
+const RUNTIME_CONFIG_FIELDS = {
+  searchKeyword: 'nonEmptyString',
+  intervalHours: 'hourInterval',
+  googleCalendarId: 'nonEmptyString',
+  scheduleCron: 'cronExpression',
+  scheduleTimeZone: 'timeZone',
+  scheduleWindow: 'runWindow',
+  scheduleJitterSeconds: 'nonNegativeInteger'
+};
+
+// Fields that change when automation runs
+const SCHEDULE_FIELDS = ['intervalHours', 'scheduleCron', 'scheduleTimeZone', 'scheduleWindow', 'scheduleJitterSeconds'];
+
+// Error message from a parser, or null if it accepts the value
+const parseError = (parse, value) => {
+  try {
+    parse(value);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+// A time of day such as "09:30"; 24:00 only ends run windows
+const isClockTime = (value) =>
+  typeof value === 'string' && !parseError(parseClock, value) && parseClock(value) < 24 * 60;
+
+// Returns a list of problems with the given values; empty when valid
+const validateConfigFields = (values, fields, label = 'config') => {
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    return [`${label} must be an object`];
+  }
+
+  const errors = [];
+  for (const [key, value] of Object.entries(values)) {
+    const type = fields[key];
+    const at = `${label}.${key}`;
+    if (!type) {
+      errors.push(`${at} is not an editable setting`);
+    } else if (Array.isArray(type)) {
+      if (!type.includes(value)) errors.push(`${at} must be one of: ${type.join(', ')}`);
+    } else if (type === 'idList') {
+      if (!Array.isArray(value) || !value.every(id => typeof id === 'string')) {
+        errors.push(`${at} must be an array of ids`);
+      }
+    } else if (type === 'positiveInteger') {
+      if (!Number.isInteger(value) || value < 1) errors.push(`${at} must be a positive integer`);
+    } else if (type === 'nonNegativeInteger') {
+      if (!Number.isInteger(value) || value < 0) errors.push(`${at} must be a non-negative integer`);
+    } else if (type === 'hourInterval') {
+      if (!Number.isInteger(value) || value < 1 || value > 168) errors.push(`${at} must be a whole number of hours from 1 to 168`);
+    } else if (type === 'cronExpression' || type === 'runWindow') {
+      // An empty string clears the setting
+      if (typeof value !== 'string') {
+        errors.push(`${at} must be a string`);
+      } else if (value) {
+        const error = parseError(type === 'cronExpression' ? parseCron : parseWindow, value);
+        if (error) errors.push(`${at} is invalid: ${error}`);
+      }
+    } else if (type === 'timeZone') {
+      if (typeof value !== 'string' || !isValidTimeZone(value)) errors.push(`${at} must be an IANA time zone such as Europe/Berlin`);
+    } else if (type === 'clockTime') {
+      if (!isClockTime(value)) errors.push(`${at} must be a time of day as HH:MM`);
+    } else if (type === 'nonEmptyString') {
+      if (typeof value !== 'string' || !value.trim()) errors.push(`${at} must be a non-empty string`);
+    } else if (typeof value !== type) {
+      errors.push(`${at} must be a ${type}`);
+    }
+  }
+  return errors;
+};
+
+// A config change: any of the runtime fields, plus optionally the full rules list
+const validateConfigUpdate = (update) => {
+  if (!update || typeof update !== 'object' || Array.isArray(update)) {
+    return ['config must be an object'];
+  }
+  const { rules, ...settings } = update;
+  return [
+    ...validateConfigFields(settings, RUNTIME_CONFIG_FIELDS),
+    ...(rules !== undefined ? validateRules(rules) : [])
+  ];
+};
+
+// Field-level changes an update would make: { field: { from, to } }
+const diffConfig = (current, update) => Object.fromEntries(
+  Object.entries(update)
+    .filter(([key, value]) => JSON.stringify(current[key]) !== JSON.stringify(value))
+    .map(([key, value]) => [key, { from: current[key] ?? null, to: value }])
+);
+
+const runtimeConfigOf = (config) => Object.fromEntries(
+  Object.keys(RUNTIME_CONFIG_FIELDS).map(key => [key, config[key]])
+);
+
+// Saved settings override the environment on startup; invalid files are ignored
+const loadSettings = (filePath) => {
+  const settings = readJsonFile(filePath, {});
+  const errors = validateConfigFields(settings, RUNTIME_CONFIG_FIELDS, 'settings');
+  if (errors.length > 0) {
+    throw new Error(`Invalid settings in ${filePath}: ${errors.join('; ')}`);
+  }
+  return settings;
+};
+
+// Merge changed settings into the settings file, dropping saved values that are no longer valid
+const updateSettings = (filePath, settings) => {
+  const saved = Object.entries(readJsonFile(filePath, {}))
+    .filter(([key, value]) => validateConfigFields({ [key]: value }, RUNTIME_CONFIG_FIELDS).length === 0);
+  writeJsonFile(filePath, { ...Object.fromEntries(saved), ...settings });
+};
+
+module.exports = {
+  RUNTIME_CONFIG_FIELDS,
+  SCHEDULE_FIELDS,
+  validateConfigFields,
+  validateConfigUpdate,
+  diffConfig,
+  runtimeConfigOf,
+  loadSettings,
+  updateSettings
+};
@@ -0,0 +1,240 @@
+// Schedule - cron expressions with time zones, run windows and jitter for automated syncs
+const cron = require('node-cron');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const MONTH_NAMES = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+  'august', 'september', 'october', 'november', 'december'];
+const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Cron fields with seconds first, as node-cron reads them
+const CRON_FIELDS = [
+  { name: 'second', min: 0, max: 59 },
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: WEEKDAY_NAMES, offset: 0 }
+];
+
+// A number or a month/weekday name, full or abbreviated to three letters
+const fieldValue = (text, field) => {
+  if (/^\d+$/.test(text)) return parseInt(text);
+  const lower = text.toLowerCase();
+  const index = (field.names || []).findIndex(name => name === lower || name.slice(0, 3) === lower);
+  if (index === -1) throw new Error(`Invalid ${field.name} value "${text}"`);
+  return index + field.offset;
+};
+
+// Expand one field ("*", "*/15", "1-5", "mon-fri", "8,13", "0-30/10") to its set of values
+const parseField = (text, field) => {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|[a-z0-9]+(?:-[a-z0-9]+)?)(?:\/(\d+))?$/i);
+    if (!match) throw new Error(`Invalid ${field.name} field "${text}"`);
+
+    const [, range, stepText] = match;
+    const step = stepText ? parseInt(stepText) : 1;
+    let [from, to] = range === '*' ? [field.min, field.max] : range.split('-').map(value => fieldValue(value, field));
+    if (to === undefined) to = stepText ? field.max : from;
+
+    if (step < 1 || from < field.min || to > field.max || from > to) {
+      throw new Error(`Invalid ${field.name} field "${text}" (allowed ${field.min}-${field.max})`);
+    }
+    for (let value = from; value <= to; value += step) values.add(value);
+  }
+  return values;
+};
+
+// Parse a 5-field (minute hour day month weekday) or 6-field (with seconds) expression.
+// As in node-cron, day of month and day of week must both match.
+const parseCron = (expression) => {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== 5 && parts.length !== 6) {
+    throw new Error('Cron expressions need 5 fields (minute hour day month weekday), or 6 with seconds first');
+  }
+  if (parts.length === 5) parts.unshift('0');
+
+  const [seconds, minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, CRON_FIELDS[i]));
+  if (weekdays.delete(7)) weekdays.add(0);
+
+  if (!cron.validate(expression)) {
+    throw new Error(`Cron expression "${expression}" is not supported by the scheduler`);
+  }
+  return { seconds, minutes, hours, days, months, weekdays };
+};
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const parseClock = (text) => {
+  const match = String(text).match(/^(\d{1,2}):(\d{2})$/);
+  const minutes = match ? parseInt(match[1]) * 60 + parseInt(match[2]) : NaN;
+  if (!match || parseInt(match[2]) > 59 || minutes > 24 * 60) {
+    throw new Error(`Invalid time "${text}", expected HH:MM`);
+  }
+  return minutes;
+};
+
+// Parse a run window such as "Mon-Fri 08:00-18:00" or "09:00-17:00" (every day)
+const parseWindow = (text) => {
+  const match = String(text).trim().match(/^(?:(\S+)\s+)?(\d{1,2}:\d{2})-(\d{1,2}:\d{2})$/);
+  if (!match) {
+    throw new Error(`Invalid run window "${text}", expected e.g. "Mon-Fri 08:00-18:00"`);
+  }
+
+  const [, daysText, startText, endText] = match;
+  const days = parseField(daysText || '*', CRON_FIELDS[5]);
+  if (days.delete(7)) days.add(0);
+  const start = parseClock(startText);
+  const end = parseClock(endText);
+  if (end <= start) {
+    throw new Error(`Run window "${text}" must end after it starts`);
+  }
+  return { days, start, end };
+};
+
+const formatters = new Map();
+
+// Wall-clock parts of an instant in a time zone
+const zonedParts = (date, timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+
+  const parts = Object.fromEntries(formatters.get(timeZone).formatToParts(date).map(part => [part.type, part.value]));
+  return {
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    weekday: WEEKDAY_NAMES.findIndex(name => name.slice(0, 3) === parts.weekday.toLowerCase()),
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute),
+    second: parseInt(parts.second)
+  };
+};
+
+const inWindow = (window, timeZone, date) => {
+  const { weekday, hour, minute } = zonedParts(date, timeZone);
+  const minuteOfDay = hour * 60 + minute;
+  return window.days.has(weekday) && minuteOfDay >= window.start && minuteOfDay < window.end;
+};
+
+// First instant after `from` matching the expression, skipping ahead by the
+// largest unit that doesn't match. Null if nothing matches within a year.
+const nextCronTime = (parsed, timeZone, from) => {
+  let time = Math.floor(from.getTime() / 1000) * 1000 + 1000;
+  const limit = time + 366 * 24 * HOUR_MS;
+
+  while (time <= limit) {
+    const { month, day, weekday, hour, minute, second } = zonedParts(new Date(time), timeZone);
+    const toNextMinute = (60 - second) * 1000;
+    const toNextHour = (59 - minute) * 60 * 1000 + toNextMinute;
+
+    if (!parsed.months.has(month) || !parsed.days.has(day) || !parsed.weekdays.has(weekday) || !parsed.hours.has(hour)) {
+      time += toNextHour;
+    } else if (!parsed.minutes.has(minute)) {
+      time += toNextMinute;
+    } else if (!parsed.seconds.has(second)) {
+      time += 1000;
+    } else {
+      return new Date(time);
+    }
+  }
+  return null;
+};
+
+// Interval schedules run at the top of every Nth hour, counted from the Unix epoch,
+// so any number of hours works and the rhythm survives restarts
+const isIntervalHour = (hours, time) => Math.floor(time / HOUR_MS) % hours === 0;
+
+const nextIntervalTime = (hours, from) => {
+  let time = (Math.floor(from.getTime() / HOUR_MS) + 1) * HOUR_MS;
+  while (!isIntervalHour(hours, time)) time += HOUR_MS;
+  return new Date(time);
+};
+
+// The schedule settings of a config
+const scheduleSettings = (config) => ({
+  intervalHours: config.intervalHours,
+  cron: config.scheduleCron || null,
+  timeZone: config.scheduleTimeZone || 'UTC',
+  window: config.scheduleWindow || null,
+  jitterSeconds: config.scheduleJitterSeconds || 0
+});
+
+// When the next scheduled run is due (before jitter), or null if none within a year
+const nextRunTime = (settings, from = new Date()) => {
+  const parsed = settings.cron ? parseCron(settings.cron) : null;
+  const window = settings.window ? parseWindow(settings.window) : null;
+
+  const limit = from.getTime() + 366 * 24 * HOUR_MS;
+  let candidate = from;
+  while (candidate) {
+    candidate = parsed
+      ? nextCronTime(parsed, settings.timeZone, candidate)
+      : nextIntervalTime(settings.intervalHours, candidate);
+    if (!candidate || candidate.getTime() > limit) return null;
+    if (!window || inWindow(window, settings.timeZone, candidate)) return candidate;
+  }
+  return null;
+};
+
+const describeSchedule = (settings) => [
+  settings.cron ? `on cron "${settings.cron}" (${settings.timeZone})` : `every ${settings.intervalHours} hours`,
+  settings.window ? `within ${settings.window} (${settings.timeZone})` : null,
+  settings.jitterSeconds ? `with up to ${settings.jitterSeconds}s jitter` : null
+].filter(Boolean).join(' ');
+
+// Start a job that calls run() on the schedule. Ticks outside the window are
+// skipped and each run is delayed by a random jitter. Returns { stop }.
+const scheduleJob = (settings, run) => {
+  const window = settings.window ? parseWindow(settings.window) : null;
+  let jitterTimer = null;
+
+  const tick = () => {
+    const now = new Date();
+    if (!settings.cron && !isIntervalHour(settings.intervalHours, now.getTime())) return;
+    if (window && !inWindow(window, settings.timeZone, now)) return;
+
+    const delay = Math.floor(Math.random() * settings.jitterSeconds * 1000);
+    jitterTimer = setTimeout(run, delay);
+  };
+
+  const task = settings.cron
+    ? cron.schedule(settings.cron, tick, { timezone: settings.timeZone })
+    : cron.schedule('0 * * * *', tick, { timezone: 'UTC' });
+
+  return {
+    stop: () => {
+      task.stop();
+      clearTimeout(jitterTimer);
+    }
+  };
+};
+
+module.exports = {
+  parseCron,
+  parseClock,
+  parseWindow,
+  isValidTimeZone,
+  scheduleSettings,
+  nextRunTime,
+  describeSchedule,
+  scheduleJob
+};
@@ -0,0 +1,1497 @@
+// Sync Engine - Asana ↔ Google Calendar sync for one account
+const { AsanaClient } = require('./asana-client');
+const { ensureWebhooks } = require('./asana-webhooks');
+const {
+  needsRenewal,
+  openChannel,
+  stopChannel,
+  listChangedEvents,
+  isSyncTokenExpired
+} = require('./calendar-watch');
+const { CalendarError, errorStatus, isInvalidGrant, withRetry } = require('./google-errors');
+const { hashTask, hashEvent, stripEventMarker } = require('./sync-store');
+const {
+  newEventId,
+  buildEventFromTask,
+  notesFromDescription,
+  syncedFieldsOf,
+  diffEvent,
+  describePatch,
+  eventTimeValue,
+  scheduleChangesFromEvent
+} = require('./event-builder');
+const { keywordRule, findMatchingRule, explainRules } = require('./rules');
+const { createEmailResolver, resolveAttendees } = require('./attendees');
+const { meetingStatus, matchesMeetingFilters, rescheduleChanges, withScheduleChanges } = require('./meetings');
+const { JobQueue } = require('./job-queue');
+const { createRunReport } = require('./run-history');
+const {
+  withLogContext,
+  redact,
+  createLogRecord,
+  consoleSink,
+  Logger,
+  matchesLogFilters
+} = require('./logger');
+
+const SYNC_MODES = ['one-way', 'two-way'];
+const CONFLICT_POLICIES = ['asana', 'calendar', 'most-recent', 'manual'];
+const DATE_ONLY_EVENT_MODES = ['all-day', 'timed'];
+const ORPHAN_POLICIES = ['keep', 'delete', 'cancel', 'prefix'];
+
+// The sync engine for one account: its config, stores and Google client are passed in,
+// while stats and logs are kept per engine so accounts stay isolated from each other.
+const createSyncEngine = ({
+  config,
+  syncStore,
+  webhookRegistry,
+  watchRegistry,
+  oauth2Client,
+  calendar,
+  asanaWebhookPath = '/webhooks/asana',
+  tenantId = 'default',
+  logger = new Logger({ sinks: [consoleSink()] }),
+  logStore = null,
+  onGoogleAuthRevoked = null,
+  runHistory = null,
+  metrics = null,
+  onJobFinished = () => {}
+}) => {
+  const logs = [];
+  const stats = {
+    totalScans: 0,
+    tasksFound: 0,
+    eventsCreated: 0,
+    eventsUpdated: 0,
+    eventsSkipped: 0,
+    eventsFailed: 0,
+    eventsOrphaned: 0,
+    tasksUpdatedFromCalendar: 0,
+    conflicts: 0,
+    lastRun: null
+  };
+
+  // Credentials to mask if they ever end up in a log message
+  const secretValues = () => [
+    config.asanaToken,
+    config.googleRefreshToken,
+    config.googleClientSecret,
+    config.asanaClientSecret,
+    oauth2Client && oauth2Client.credentials && oauth2Client.credentials.access_token
+  ];
+
+  // Log a structured record. fields can carry taskGid, eventId, errorCode and durationMs;
+  // the run id and task gid of the job being run are added automatically.
+  const addLog = (message, type = 'info', fields = {}) => {
+    const record = createLogRecord({ message: redact(message, secretValues()), type, tenant: tenantId, ...fields });
+    if (!logger.enabled(record.level)) return;
+
+    logs.push(record);
+    if (logs.length > 100) {
+      logs.splice(0, logs.length - 100);
+    }
+    logger.write(record);
+  };
+
+  // Newest first, from the log file when there is one (it reaches further back than memory)
+  const queryLogs = (filters) => {
+    const records = logStore ? logStore.read().filter(record => record.tenant === tenantId) : logs;
+    const matching = records.filter(record => matchesLogFilters(record, filters)).reverse();
+    return { logs: matching.slice(0, filters.limit), count: matching.length };
+  };
+
+  const clearLogs = () => {
+    logs.length = 0;
+    if (logStore) logStore.remove(record => record.tenant === tenantId);
+  };
+
+  // Asana API functions
+  let asanaClient = null;
+  const getAsanaClient = () => {
+    if (!asanaClient || asanaClient.token !== config.asanaToken || asanaClient.workspaceId !== config.asanaWorkspaceId) {
+      asanaClient = new AsanaClient({
+        token: config.asanaToken,
+        workspaceId: config.asanaWorkspaceId,
+        onRequest: metrics ? ({ status, durationMs }) => metrics.recordApiCall({ service: 'asana', status, durationMs }) : null
+      });
+    }
+    return asanaClient;
+  };
+
+  // Incomplete tasks in the configured scope. Without custom rules the keyword
+  // rule applies, so the search can be narrowed to tasks containing the keyword.
+  const fetchAsanaTasks = () => getAsanaClient().searchTasks({
+    text: config.rules.length === 0 ? config.searchKeyword : undefined,
+    assignee: config.asanaAssignee === 'any' ? undefined : config.asanaAssignee,
+    teams: config.asanaTeamIds,
+    projects: config.asanaProjectIds
+  });
+
+  // Configured rules, or the keyword rule when none are set
+  const activeRules = () => (
+    config.rules.length > 0
+      ? config.rules
+      : [keywordRule(config.searchKeyword, config.googleCalendarId)]
+  );
+
+  // Pair each task with the first rule it matches, leaving out unsynced tasks
+  const matchTasksToRules = (tasks) => {
+    const rules = activeRules();
+    return tasks
+      .filter(task => !syncStore.getExclusion(task.gid))
+      .map(task => ({ task, rule: findMatchingRule(rules, task) }))
+      .filter(match => match.rule);
+  };
+
+  const ruleCalendarId = (rule) => (rule && rule.calendarId) || config.googleCalendarId;
+
+  const resolveEmail = createEmailResolver({
+    overrides: config.attendeeEmails,
+    lookupEmail: (userGid) => getAsanaClient().getUserEmail(userGid),
+    log: addLog
+  });
+
+  // The task's attendee emails, or null when no attendee sources are configured
+  const taskAttendees = (task) => (
+    config.attendeeSources.length > 0
+      ? resolveAttendees(task, { sources: config.attendeeSources, field: config.attendeesField }, resolveEmail)
+      : null
+  );
+
+  // Update Asana task fields
+  const updateAsanaTask = async (taskGid, data) => {
+    try {
+      const result = await getAsanaClient().updateTask(taskGid, data);
+      addLog(`Updated Asana task ${taskGid} (${Object.keys(data).join(', ')})`, 'info', { taskGid });
+      return result;
+    } catch (error) {
+      addLog(`Failed to update Asana task ${taskGid}: ${error.message}`, 'error', { taskGid });
+      throw new Error(`Failed to update Asana task: ${error.message}`);
+    }
+  };
+
+  // Update Asana task notes
+  const updateAsanaTaskNotes = (taskGid, newNotes) => updateAsanaTask(taskGid, { notes: newNotes });
+
+  // Call the Google Calendar API, retrying transient and rate-limit errors with backoff.
+  // Failures are thrown as CalendarErrors classified as auth, rate_limit, not_found, transient or client.
+  const timedGoogleCall = async (fn) => {
+    const started = Date.now();
+    const report = (status) => {
+      if (metrics) metrics.recordApiCall({ service: 'google', status, durationMs: Date.now() - started });
+    };
+    try {
+      const response = await fn();
+      report(response && response.status ? response.status : 200);
+      return response;
+    } catch (error) {
+      report(errorStatus(error) || error.code);
+      throw error;
+    }
+  };
+
+  const callGoogle = (operation, fn) => withRetry(operation, () => timedGoogleCall(fn), {
+    onRetry: (error, attempt, delay) =>
+      addLog(`${operation}: ${error.kind} error, retry ${attempt} in ${delay}ms`, 'warning', { errorCode: error.kind })
+  }).catch(error => {
+    if (onGoogleAuthRevoked && isInvalidGrant(error)) onGoogleAuthRevoked(error);
+    throw error;
+  });
+
+  // Get existing calendar event
+  const getCalendarEvent = async (eventId, calendarId = config.googleCalendarId) => {
+    try {
+      const response = await callGoogle('Get calendar event', () => calendar.events.get({
+        calendarId,
+        eventId: eventId
+      }));
+      return response.data;
+    } catch (error) {
+      if (error.kind === 'not_found') {
+        addLog(`Calendar event ${eventId} not found`, 'warning', { eventId, errorCode: error.kind });
+        return null;
+      }
+      throw error;
+    }
+  };
+
+  // Delete calendar event
+  const deleteCalendarEvent = async (eventId, calendarId = config.googleCalendarId) => {
+    try {
+      await callGoogle('Delete calendar event', () => calendar.events.delete({
+        calendarId,
+        eventId: eventId,
+        sendUpdates: config.sendUpdates
+      }));
+      addLog(`Deleted calendar event ${eventId}`, 'info', { eventId });
+      return true;
+    } catch (error) {
+      if (error.kind === 'not_found') {
+        addLog(`Calendar event ${eventId} already deleted`, 'warning', { eventId, errorCode: error.kind });
+        return true;
+      }
+      addLog(`Failed to delete calendar event ${eventId}: ${error.message}`, 'error', { eventId, errorCode: error.kind });
+      throw error;
+    }
+  };
+
+  // Patch only the given fields of a calendar event, keeping its id, attendees and reminders
+  const patchCalendarEvent = async (eventId, patch, calendarId = config.googleCalendarId) => {
+    const response = await callGoogle('Patch calendar event', () => calendar.events.patch({
+      calendarId,
+      eventId,
+      resource: patch,
+      sendUpdates: config.sendUpdates
+    }));
+    addLog(`Patched calendar event ${eventId} (${Object.keys(patch).join(', ')})`, 'info', { eventId });
+    return response.data;
+  };
+
+  // Move an event to another calendar, keeping its id
+  const moveCalendarEvent = async (eventId, fromCalendarId, toCalendarId) => {
+    const response = await callGoogle('Move calendar event', () => calendar.events.move({
+      calendarId: fromCalendarId,
+      eventId,
+      destination: toCalendarId,
+      sendUpdates: config.sendUpdates
+    }));
+    addLog(`Moved calendar event ${eventId} from ${fromCalendarId} to ${toCalendarId}`, 'info', { eventId });
+    return response.data;
+  };
+
+  // Extract calendar event ID from task notes
+  const extractCalendarEventId = (notes) => {
+    if (!notes) return null;
+    const match = notes.match(/\[CAL_EVENT:([^\]]+)\]/);
+    return match ? match[1] : null;
+  };
+
+  // Add calendar event marker to task notes
+  const addCalendarEventMarker = (notes, eventId) => {
+    const marker = `[CAL_EVENT:${eventId}]`;
+    return notes ? `${notes}\n${marker}` : marker;
+  };
+
+  // Update calendar event marker in task notes
+  const updateCalendarEventMarker = (notes, newEventId) => {
+    if (!notes) return `[CAL_EVENT:${newEventId}]`;
+    return notes.replace(/\[CAL_EVENT:[^\]]+\]/, `[CAL_EVENT:${newEventId}]`);
+  };
+
+  // Event options for a task: the rule's template plus per-workspace overrides from WORKSPACE_EVENT_DEFAULTS
+  const eventOptionsFor = (task, rule = null) => {
+    const workspaceId = (task.workspace && task.workspace.gid) || config.asanaWorkspaceId;
+    return {
+      timeZone: config.eventTimeZone,
+      defaultTime: config.eventDefaultTime,
+      defaultDurationMinutes: config.eventDefaultDurationMinutes,
+      dateOnlyEvents: config.dateOnlyEvents,
+      durationField: config.durationField,
+      locationField: config.locationField,
+      ...config.workspaceEventDefaults[workspaceId],
+      template: rule ? rule.template : null,
+      rule
+    };
+  };
+
+  // Start and end kept on the link, so meetings can be listed without reading the calendar
+  const eventTimes = (event) => ({
+    startTime: eventTimeValue(event.start),
+    endTime: eventTimeValue(event.end)
+  });
+
+  // Persist the task ↔ event link, plus the legacy notes marker if enabled.
+  // attendees are the emails the sync invited, so they can be removed once they leave the task.
+  // desired is the event built from the task, whose location and color the sync set.
+  const saveEventLink = async (task, eventId, event, rule = null, attendees = null, desired = event) => {
+    syncStore.set(task.gid, {
+      eventId,
+      calendarId: ruleCalendarId(rule),
+      ruleName: rule ? rule.name : null,
+      taskName: task.name,
+      ...(event ? eventTimes(event) : {}),
+      ...(attendees ? { attendees } : {}),
+      ...(desired ? { syncedFields: syncedFieldsOf(desired) } : {}),
+      lastSyncedHash: hashTask(task),
+      eventHash: event ? hashEvent(event) : null,
+      lastSyncedAt: new Date().toISOString(),
+      conflict: null,
+      orphaned: null,
+      source: 'sync'
+    });
+
+    if (!config.writeEventMarkers) return;
+
+    const updatedNotes = extractCalendarEventId(task.notes)
+      ? updateCalendarEventMarker(task.notes, eventId)
+      : addCalendarEventMarker(task.notes, eventId);
+
+    if (updatedNotes !== task.notes) {
+      await updateAsanaTaskNotes(task.gid, updatedNotes);
+    }
+  };
+
+  // Google Calendar API implementation
+  const addToGoogleCalendar = async (task, rule = null) => {
+    if (!config.googleClientId || !config.googleClientSecret) {
+      throw new CalendarError('Google Calendar credentials not configured', { kind: 'auth' });
+    }
+
+    if (!config.googleRefreshToken) {
+      throw new CalendarError('Google Calendar not authenticated', { kind: 'auth' });
+    }
+
+    const attendees = await taskAttendees(task);
+    const event = buildEventFromTask(task, { ...eventOptionsFor(task, rule), ...(attendees ? { attendees } : {}) });
+
+    // Retries send the same event id. If an earlier attempt created the event but its response
+    // was lost, Google answers 409 and that event is used instead of creating a second one.
+    const calendarId = ruleCalendarId(rule);
+    const eventId = newEventId(task.gid);
+    let attempted = false;
+    const response = await callGoogle('Create calendar event', async () => {
+      await oauth2Client.getAccessToken();
+      const retry = attempted;
+      attempted = true;
+      return calendar.events.insert({
+        calendarId,
+        resource: { ...event, id: eventId },
+        sendUpdates: config.sendUpdates
+      }).catch(error => {
+        if (retry && errorStatus(error) === 409) return calendar.events.get({ calendarId, eventId });
+        throw error;
+      });
+    });
+
+    return {
+      eventId: response.data.id,
+      eventUrl: response.data.htmlLink,
+      event: response.data,
+      attendees,
+      startTime: eventTimeValue(event.start),
+      endTime: eventTimeValue(event.end)
+    };
+  };
+
+  // Build the Asana field changes implied by a calendar event.
+  // Fields rendered from a rule template can't be mapped back, so they are left alone.
+  const taskChangesFromEvent = (task, event, rule = null) => {
+    const template = (rule && rule.template) || {};
+    const changes = {};
+
+    if (!template.summary && event.summary && event.summary !== task.name) {
+      changes.name = event.summary;
+    }
+
+    const notes = notesFromDescription(event.description);
+    if (!template.description && notes !== stripEventMarker(task.notes)) {
+      const marker = extractCalendarEventId(task.notes);
+      changes.notes = config.writeEventMarkers && marker ? addCalendarEventMarker(notes, marker) : notes;
+    }
+
+    return { ...changes, ...scheduleChangesFromEvent(task, event, eventOptionsFor(task, rule)) };
+  };
+
+  // Decide which side wins when both Asana and Calendar changed since the last sync
+  const pickConflictWinner = (task, event, link) => {
+    if (link.conflict && link.conflict.resolution) return link.conflict.resolution;
+
+    switch (config.conflictPolicy) {
+      case 'calendar':
+        return 'calendar';
+      case 'most-recent':
+        return new Date(event.updated) > new Date(task.modified_at) ? 'calendar' : 'asana';
+      case 'manual':
+        return 'manual';
+      default:
+        return 'asana';
+    }
+  };
+
+  // Two-way sync: apply calendar-side edits to Asana. Returns null when the
+  // one-way Asana → Calendar path should handle the task instead.
+  // With dryRun, the result describes the changes without writing anything.
+  const applyCalendarChanges = async (task, link, existingEvent, rule = null, { dryRun = false } = {}) => {
+    // Links without an event snapshot (e.g. imported markers) have no baseline to diff against
+    if (!link.eventHash) return null;
+
+    const asanaChanged = link.lastSyncedHash !== hashTask(task);
+    const eventDeleted = !existingEvent || existingEvent.status === 'cancelled';
+    const calendarChanged = eventDeleted || hashEvent(existingEvent) !== link.eventHash;
+
+    if (!calendarChanged) return null;
+
+    if (asanaChanged) {
+      const winner = pickConflictWinner(task, existingEvent || {}, link);
+
+      if (winner === 'manual') {
+        if (!link.conflict && !dryRun) {
+          addLog(`Sync conflict flagged for manual review: ${task.name}`, 'warning');
+          syncStore.set(task.gid, {
+            conflict: {
+              detectedAt: new Date().toISOString(),
+              eventDeleted,
+              taskModifiedAt: task.modified_at || null,
+              eventUpdatedAt: existingEvent ? existingEvent.updated : null,
+              resolution: null
+            }
+          });
+          stats.conflicts++;
+        }
+        return {
+          action: 'conflict',
+          taskId: task.gid,
+          taskName: task.name,
+          eventId: link.eventId
+        };
+      }
+
+      if (winner === 'asana') {
+        addLog(`Sync conflict resolved in favour of Asana: ${task.name}`, 'info');
+        return null;
+      }
+
+      addLog(`Sync conflict resolved in favour of Calendar: ${task.name}`, 'info');
+    }
+
+    if (eventDeleted) {
+      const completed = {
+        action: 'completed',
+        taskId: task.gid,
+        taskName: task.name,
+        eventId: link.eventId,
+        diff: describePatch(task, { completed: true })
+      };
+      if (dryRun) return completed;
+
+      addLog(`Calendar event deleted, completing Asana task: ${task.name}`, 'info');
+      await updateAsanaTask(task.gid, { completed: true });
+      syncStore.remove(task.gid);
+      stats.tasksUpdatedFromCalendar++;
+      return completed;
+    }
+
+    const changes = taskChangesFromEvent(task, existingEvent, rule);
+    const pulled = {
+      action: 'pulled',
+      taskId: task.gid,
+      taskName: changes.name || task.name,
+      eventId: link.eventId,
+      eventUrl: existingEvent.htmlLink,
+      changes: Object.keys(changes),
+      diff: describePatch(task, changes),
+      startTime: eventTimeValue(existingEvent.start),
+      endTime: eventTimeValue(existingEvent.end)
+    };
+    if (dryRun) return pulled;
+
+    if (Object.keys(changes).length > 0) {
+      addLog(`Calendar event changed, updating Asana task: ${task.name}`, 'info');
+      await updateAsanaTask(task.gid, changes);
+    }
+
+    syncStore.set(task.gid, {
+      taskName: changes.name || task.name,
+      ...eventTimes(existingEvent),
+      lastSyncedHash: hashTask(withScheduleChanges(task, changes)),
+      eventHash: hashEvent(existingEvent),
+      lastSyncedAt: new Date().toISOString(),
+      conflict: null
+    });
+    stats.tasksUpdatedFromCalendar++;
+
+    return pulled;
+  };
+
+  // Smart sync function. With dryRun, events are still read and diffed but nothing
+  // is written to Calendar, Asana or the sync state; results carry the planned diff.
+  const processTaskWithSmartSync = async (task, rule = activeRules()[0], { dryRun = false } = {}) => {
+    try {
+      const calendarId = ruleCalendarId(rule);
+      let link;
+      if (dryRun) {
+        link = syncStore.get(task.gid) || syncStore.markerLink(task, calendarId);
+      } else {
+        syncStore.importMarker(task, calendarId);
+        link = syncStore.get(task.gid);
+      }
+      const existingEventId = link ? link.eventId : null;
+
+      // Result for a task that needs a new event: a plan of the event in a dry run
+      const createEvent = async (action) => {
+        if (dryRun) {
+          const attendees = await taskAttendees(task);
+          const event = buildEventFromTask(task, { ...eventOptionsFor(task, rule), ...(attendees ? { attendees } : {}) });
+          return {
+            action,
+            taskId: task.gid,
+            taskName: task.name,
+            rule: rule.name,
+            calendarId,
+            diff: describePatch(null, event),
+            startTime: eventTimeValue(event.start),
+            endTime: eventTimeValue(event.end)
+          };
+        }
+
+        const result = await addToGoogleCalendar(task, rule);
+        await saveEventLink(task, result.eventId, result.event, rule, result.attendees);
+        stats.eventsCreated++;
+        return {
+          action,
+          taskId: task.gid,
+          taskName: task.name,
+          rule: rule.name,
+          calendarId,
+          eventId: result.eventId,
+          eventUrl: result.eventUrl,
+          startTime: result.startTime,
+          endTime: result.endTime
+        };
+      };
+
+      if (!existingEventId) {
+        addLog(`New meeting task found: ${task.name} (rule "${rule.name}")`, 'info');
+        return await createEvent('created');
+
+      } else {
+        addLog(`Checking existing meeting task: ${task.name}`, 'info');
+
+        let existingEvent = await getCalendarEvent(existingEventId, link.calendarId || config.googleCalendarId);
+
+        // An event cancelled in Calendar (or as an orphan) counts as deleted, so it is recreated
+        if (existingEvent && existingEvent.status === 'cancelled') {
+          existingEvent = null;
+        }
+
+        if (config.syncMode === 'two-way' && !link.orphaned) {
+          const pulled = await applyCalendarChanges(task, link, existingEvent, rule, { dryRun });
+          if (pulled) return pulled;
+        }
+
+        // The task now matches a rule targeting a different calendar
+        const move = existingEvent && link.calendarId && link.calendarId !== calendarId
+          ? { calendarId: { from: link.calendarId, to: calendarId } }
+          : {};
+        if (move.calendarId && !dryRun) {
+          existingEvent = await moveCalendarEvent(existingEventId, link.calendarId, calendarId);
+          syncStore.set(task.gid, { calendarId, ruleName: rule.name });
+        }
+
+        if (!existingEvent) {
+          addLog(`Calendar event was deleted, ${dryRun ? 'would create' : 'creating'} new one: ${task.name}`, 'warning');
+          return await createEvent('recreated');
+        }
+
+        const attendees = await taskAttendees(task);
+        const desired = buildEventFromTask(task, eventOptionsFor(task, rule));
+        const patch = diffEvent(
+          task,
+          desired,
+          existingEvent,
+          attendees && { desired: attendees, synced: link.attendees || [] },
+          link.syncedFields || {}
+        );
+        const diff = { ...move, ...describePatch(existingEvent, patch) };
+
+        if (dryRun) {
+          return {
+            action: Object.keys(diff).length > 0 ? 'updated' : 'skipped',
+            taskId: task.gid,
+            taskName: task.name,
+            rule: rule.name,
+            calendarId,
+            eventId: existingEventId,
+            eventUrl: existingEvent.htmlLink,
+            changes: Object.keys(diff),
+            diff,
+            startTime: eventTimeValue(patch.start || existingEvent.start),
+            endTime: eventTimeValue(patch.end || existingEvent.end)
+          };
+        }
+
+        if (Object.keys(patch).length > 0) {
+          addLog(`Task changed, updating calendar event: ${task.name}`, 'info');
+
+          const updatedEvent = await patchCalendarEvent(existingEventId, patch, calendarId);
+          await saveEventLink(task, existingEventId, updatedEvent, rule, attendees, desired);
+
+          stats.eventsUpdated++;
+          return {
+            action: 'updated',
+            taskId: task.gid,
+            taskName: task.name,
+            rule: rule.name,
+            calendarId,
+            eventId: existingEventId,
+            eventUrl: updatedEvent.htmlLink,
+            changes: Object.keys(patch),
+            diff,
+            startTime: eventTimeValue(updatedEvent.start),
+            endTime: eventTimeValue(updatedEvent.end)
+          };
+
+        } else {
+          addLog(`No changes needed for task: ${task.name}`, 'info');
+          syncStore.set(task.gid, {
+            taskName: task.name,
+            ...eventTimes(existingEvent),
+            ...(attendees ? { attendees } : {}),
+            syncedFields: syncedFieldsOf(desired),
+            lastSyncedHash: hashTask(task),
+            eventHash: hashEvent(existingEvent),
+            lastSyncedAt: new Date().toISOString(),
+            conflict: null
+          });
+          stats.eventsSkipped++;
+          return {
+            action: 'skipped',
+            taskId: task.gid,
+            taskName: task.name,
+            rule: rule.name,
+            calendarId,
+            eventId: existingEventId,
+            eventUrl: existingEvent.htmlLink,
+            startTime: eventTimeValue(existingEvent.start),
+            endTime: eventTimeValue(existingEvent.end)
+          };
+        }
+      }
+    } catch (error) {
+      addLog(`Error processing task ${task.name}: ${error.message}`, 'error', { errorCode: error.kind || 'unknown' });
+      throw error;
+    }
+  };
+
+  // Sync a task, keeping the failure ledger up to date. Failures come back as a
+  // 'failed' result instead of throwing, so the ledger can retry them next run.
+  const syncTaskTracked = (task, rule, { dryRun = false } = {}) => withLogContext({ taskGid: task.gid }, async () => {
+    try {
+      const result = await processTaskWithSmartSync(task, rule, { dryRun });
+      if (!dryRun) syncStore.clearFailure(task.gid);
+      return result;
+    } catch (error) {
+      if (dryRun) {
+        return {
+          action: 'failed',
+          taskId: task.gid,
+          taskName: task.name,
+          rule: rule.name,
+          error: error.message,
+          errorKind: error.kind || 'unknown'
+        };
+      }
+
+      const failure = syncStore.recordFailure(task.gid, {
+        taskName: task.name,
+        error: error.message,
+        kind: error.kind || 'unknown'
+      });
+      stats.eventsFailed++;
+      return {
+        action: 'failed',
+        taskId: task.gid,
+        taskName: task.name,
+        rule: rule.name,
+        error: error.message,
+        errorKind: failure.kind,
+        attempts: failure.attempts
+      };
+    }
+  });
+
+  const GOOGLE_AUTH_FAILED = 'Google Calendar authentication failed - re-authenticate (see /api/google-status)';
+
+  // Dry-run plan actions for each sync result
+  const PLAN_ACTIONS = {
+    created: 'create',
+    recreated: 'create',
+    updated: 'update',
+    pulled: 'update',
+    completed: 'update',
+    skipped: 'skip',
+    conflict: 'skip',
+    failed: 'skip',
+    orphaned: 'update'
+  };
+
+  // A dry-run result as a plan entry: what would change, on which side, field by field
+  const toPlanEntry = (result) => {
+    const diff = result.diff || {};
+    let action = PLAN_ACTIONS[result.action];
+    if (result.action === 'orphaned' && result.policy === 'delete') {
+      action = 'delete';
+    } else if (action === 'update' && Object.keys(diff).length === 0) {
+      action = 'skip';
+    }
+
+    return {
+      action,
+      target: result.action === 'pulled' || result.action === 'completed' ? 'asana' : 'calendar',
+      reason: result.action === 'orphaned' ? `orphaned: ${result.reason}` : result.action,
+      taskId: result.taskId,
+      taskName: result.taskName,
+      rule: result.rule,
+      calendarId: result.calendarId,
+      eventId: result.eventId || null,
+      diff,
+      ...(result.error ? { error: result.error } : {})
+    };
+  };
+
+  // Enhanced sync function. A dry run goes through the same matching and diffing
+  // but writes nothing, returning the plan of actions instead. Call it through the
+  // job queue; an aborted signal stops the run before the next task.
+  const runSync = async ({ dryRun = false, signal = null, onProgress = () => {} } = {}) => {
+    const startedAt = Date.now();
+    const elapsed = () => ({ durationMs: Date.now() - startedAt });
+    addLog(dryRun ? 'Starting sync dry run...' : 'Starting sync process...', 'info');
+
+    try {
+      if (!config.asanaToken || !config.asanaWorkspaceId) {
+        throw new Error('Missing Asana configuration');
+      }
+
+      const rules = activeRules();
+      addLog(`Matching tasks against ${rules.length} rule(s): ${rules.map(r => r.name).join(', ')}`, 'info');
+      const matches = matchTasksToRules(await fetchAsanaTasks());
+      const tasks = matches.map(match => match.task);
+      const processedGids = new Set(tasks.map(task => task.gid));
+      const pendingFailures = syncStore.allFailures().filter(failure => !processedGids.has(failure.taskGid));
+
+      const hasUnmatchedLinks = config.orphanPolicy !== 'keep' &&
+        syncStore.all().some(link => !processedGids.has(link.taskGid) && !link.orphaned);
+
+      if (tasks.length === 0 && pendingFailures.length === 0 && !hasUnmatchedLinks) {
+        addLog('No meeting tasks found', 'info', elapsed());
+        if (dryRun) {
+          return { success: true, dryRun, message: 'No tasks found', tasksFound: 0, plan: [] };
+        }
+        stats.totalScans++;
+        stats.lastRun = new Date();
+        return { success: true, message: 'No tasks found', tasksFound: 0 };
+      }
+
+      addLog(`Found ${tasks.length} meeting task(s)`, 'success');
+      if (!dryRun) stats.tasksFound += tasks.length;
+
+      const processedTasks = [];
+      let authFailed = false;
+      const total = matches.length + pendingFailures.length;
+      const cancelled = () => {
+        if (!signal || !signal.aborted) return null;
+        const message = `Sync cancelled after ${processedTasks.length} of ${total} task(s)`;
+        addLog(message, 'warning', elapsed());
+        return { success: false, cancelled: true, dryRun, message, tasksFound: tasks.length, processedTasks };
+      };
+      onProgress({ phase: 'tasks', processed: 0, total });
+
+      for (const { task, rule } of matches) {
+        if (signal && signal.aborted) return cancelled();
+        const result = await syncTaskTracked(task, rule, { dryRun });
+        processedTasks.push(result);
+        onProgress({ phase: 'tasks', processed: processedTasks.length, total });
+
+        // Every remaining task would fail the same way, so stop early
+        if (result.action === 'failed' && result.errorKind === 'auth') {
+          authFailed = true;
+          break;
+        }
+      }
+
+      // Retry ledger entries this scan didn't reach (e.g. failed webhook syncs)
+      for (const failure of authFailed ? [] : pendingFailures) {
+        if (signal && signal.aborted) return cancelled();
+        processedGids.add(failure.taskGid);
+        try {
+          const result = await syncSingleTask(failure.taskGid, { dryRun });
+          if (result.action !== 'ignored') {
+            processedTasks.push(result);
+          }
+          if (!dryRun && (result.action === 'ignored' || result.action === 'orphaned')) {
+            syncStore.clearFailure(failure.taskGid);
+          }
+        } catch (error) {
+          addLog(`Retry of failed task ${failure.taskGid} failed: ${error.message}`, 'error', { taskGid: failure.taskGid, errorCode: error.kind || 'unknown' });
+        }
+        onProgress({ phase: 'retries', processed: processedGids.size, total });
+      }
+
+      // Linked tasks the search no longer returns may have been completed, deleted or unassigned
+      if (!authFailed && config.orphanPolicy !== 'keep') {
+        if (signal && signal.aborted) return cancelled();
+        onProgress({ phase: 'orphans', processed: total, total });
+        processedTasks.push(...await reconcileOrphans(processedGids, { dryRun }));
+      }
+
+      if (dryRun) {
+        const plan = processedTasks.map(toPlanEntry);
+        const count = (action) => plan.filter(entry => entry.action === action).length;
+        const message = `Dry run: ${count('create')} to create, ${count('update')} to update, ${count('delete')} to delete, ${count('skip')} to skip`;
+        addLog(message, 'info', elapsed());
+
+        return {
+          success: !authFailed,
+          dryRun,
+          message,
+          ...(authFailed ? { error: GOOGLE_AUTH_FAILED } : {}),
+          tasksFound: tasks.length,
+          plan
+        };
+      }
+
+      stats.totalScans++;
+      stats.lastRun = new Date();
+
+      const created = processedTasks.filter(t => t.action === 'created' || t.action === 'recreated').length;
+      const updated = processedTasks.filter(t => t.action === 'updated').length;
+      const skipped = processedTasks.filter(t => t.action === 'skipped').length;
+      const pulled = processedTasks.filter(t => t.action === 'pulled' || t.action === 'completed').length;
+      const conflicts = processedTasks.filter(t => t.action === 'conflict').length;
+      const failed = processedTasks.filter(t => t.action === 'failed').length;
+      const orphaned = processedTasks.filter(t => t.action === 'orphaned').length;
+
+      let message = `Sync completed: ${created} created, ${updated} updated, ${skipped} skipped, ${failed} failed`;
+      if (orphaned > 0) {
+        message += `, ${orphaned} orphaned (${config.orphanPolicy})`;
+      }
+      if (config.syncMode === 'two-way') {
+        message += `, ${pulled} updated from calendar, ${conflicts} conflicts`;
+      }
+
+      if (authFailed) {
+        addLog(`Sync aborted: ${GOOGLE_AUTH_FAILED}`, 'error', { ...elapsed(), errorCode: 'auth' });
+        return { success: false, error: GOOGLE_AUTH_FAILED, message, tasksFound: tasks.length, eventsFailed: failed, processedTasks };
+      }
+
+      addLog(message, failed > 0 ? 'warning' : 'success', elapsed());
+
+      return { 
+        success: true, 
+        message,
+        tasksFound: tasks.length,
+        eventsCreated: created,
+        eventsUpdated: updated,
+        eventsSkipped: skipped,
+        eventsFailed: failed,
+        eventsOrphaned: orphaned,
+        tasksUpdatedFromCalendar: pulled,
+        conflicts,
+        processedTasks
+      };
+
+    } catch (error) {
+      addLog(`Sync failed: ${error.message}`, 'error', { ...elapsed(), errorCode: error.kind || 'unknown' });
+      return { success: false, error: error.message };
+    }
+  };
+
+  // Whether a task fetched on its own (outside the search) is within the configured scope.
+  // Team scoping can't be checked from the task itself and is left to the search.
+  const isTaskInScope = async (task) => {
+    if (config.asanaProjectIds.length > 0 &&
+        !task.projects.some(project => config.asanaProjectIds.includes(project.gid))) {
+      return false;
+    }
+    if (config.asanaAssignee === 'any') return true;
+    if (!task.assignee) return false;
+
+    const assigneeGid = config.asanaAssignee === 'me'
+      ? (await getAsanaClient().getMe()).gid
+      : config.asanaAssignee;
+    return task.assignee.gid === assigneeGid;
+  };
+
+  // Fetch a task by gid; null when it has been deleted
+  const getAsanaTaskOrNull = async (taskGid) => {
+    try {
+      return await getAsanaClient().getTask(taskGid);
+    } catch (error) {
+      if (error.status === 404) return null;
+      throw error;
+    }
+  };
+
+  // Why a task no longer syncs (deleted, completed, out_of_scope, unmatched), or null if it still does
+  const orphanReason = async (task) => {
+    if (!task) return 'deleted';
+    if (task.completed) return 'completed';
+    if (!(await isTaskInScope(task))) return 'out_of_scope';
+    if (!findMatchingRule(activeRules(), task)) return 'unmatched';
+    return null;
+  };
+
+  // Apply ORPHAN_POLICY to the event of a task that no longer qualifies: delete it,
+  // mark it cancelled, or prefix its title. The link is kept (except on delete) so the
+  // event is restored if the task qualifies again.
+  const reconcileOrphan = (link, task, reason, { dryRun = false } = {}) => withLogContext({ taskGid: link.taskGid }, async () => {
+    const policy = config.orphanPolicy;
+    const calendarId = link.calendarId || config.googleCalendarId;
+    const result = {
+      action: 'orphaned',
+      policy,
+      reason,
+      taskId: link.taskGid,
+      taskName: task ? task.name : null,
+      calendarId,
+      eventId: link.eventId,
+      diff: {}
+    };
+
+    if (policy === 'delete') {
+      if (dryRun) return result;
+      await deleteCalendarEvent(link.eventId, calendarId);
+      syncStore.remove(link.taskGid);
+      stats.eventsOrphaned++;
+      addLog(`Deleted event for ${reason} task ${result.taskName || link.taskGid}`, 'info');
+      return result;
+    }
+
+    const event = await getCalendarEvent(link.eventId, calendarId);
+    if (!event || event.status === 'cancelled') {
+      // The event is already gone; forget the link
+      if (!dryRun) syncStore.remove(link.taskGid);
+      return result;
+    }
+
+    const patch = {};
+    if (policy === 'cancel') {
+      patch.status = 'cancelled';
+    } else if (!(event.summary || '').startsWith(config.orphanPrefix)) {
+      patch.summary = `${config.orphanPrefix} ${event.summary || ''}`.trim();
+    }
+    result.diff = describePatch(event, patch);
+    if (dryRun) return result;
+
+    const updatedEvent = Object.keys(patch).length > 0
+      ? await patchCalendarEvent(link.eventId, patch, calendarId)
+      : event;
+    syncStore.set(link.taskGid, {
+      eventHash: hashEvent(updatedEvent),
+      orphaned: { reason, policy, at: new Date().toISOString() }
+    });
+    stats.eventsOrphaned++;
+    addLog(`Marked event for ${reason} task ${result.taskName || link.taskGid} (${policy})`, 'info');
+    return result;
+  });
+
+  // Reconcile linked tasks outside this run's matches. Each is looked up on its own,
+  // since the search leaves out completed tasks; ones that still qualify are left alone.
+  const reconcileOrphans = async (handledGids, { dryRun = false } = {}) => {
+    const results = [];
+    const links = syncStore.all().filter(link => !handledGids.has(link.taskGid) && !link.orphaned);
+
+    for (const link of links) {
+      try {
+        const task = await getAsanaTaskOrNull(link.taskGid);
+        const reason = await orphanReason(task);
+        if (reason) {
+          results.push(await reconcileOrphan(link, task, reason, { dryRun }));
+        }
+      } catch (error) {
+        addLog(`Orphan check failed for task ${link.taskGid}: ${error.message}`, 'error', { taskGid: link.taskGid, errorCode: error.kind || 'unknown' });
+      }
+    }
+
+    return results;
+  };
+
+  // Sync one task by gid, e.g. after a webhook event. Tasks that stopped qualifying
+  // have their event reconciled right away. Unsynced tasks are left alone unless
+  // resume is set, which syncs them again.
+  const syncSingleTask = (taskGid, { dryRun = false, resume = false } = {}) => withLogContext({ taskGid }, async () => {
+    const exclusion = syncStore.getExclusion(taskGid);
+    if (exclusion && !resume) {
+      return { action: 'ignored', taskId: taskGid, taskName: exclusion.taskName, reason: 'unsynced' };
+    }
+    if (exclusion && !dryRun) {
+      syncStore.include(taskGid);
+      addLog(`Task ${exclusion.taskName || taskGid} will sync again`, 'info');
+    }
+
+    const task = await getAsanaTaskOrNull(taskGid);
+    const reason = await orphanReason(task);
+
+    if (reason) {
+      const link = syncStore.get(taskGid);
+      if (link && !link.orphaned && config.orphanPolicy !== 'keep') {
+        return reconcileOrphan(link, task, reason, { dryRun });
+      }
+      return { action: 'ignored', taskId: taskGid, taskName: task ? task.name : null, reason };
+    }
+
+    return syncTaskTracked(task, findMatchingRule(activeRules(), task), { dryRun });
+  });
+
+  // Stop syncing a task: its link and failures are dropped and its event deleted, unless
+  // keepEvent is set. Syncs then leave the task alone until it is synced with resume.
+  const unsyncTask = (taskGid, { keepEvent = false, by = null, dryRun = false } = {}) => withLogContext({ taskGid }, async () => {
+    const link = syncStore.get(taskGid);
+    const task = await getAsanaTaskOrNull(taskGid);
+    const result = {
+      action: 'unsynced',
+      taskId: taskGid,
+      taskName: task ? task.name : (link && link.taskName) || null,
+      calendarId: link ? link.calendarId || config.googleCalendarId : null,
+      eventId: link ? link.eventId : null,
+      eventDeleted: !!link && !keepEvent
+    };
+    if (dryRun) return result;
+
+    if (result.eventDeleted) {
+      await deleteCalendarEvent(link.eventId, result.calendarId);
+    }
+    syncStore.remove(taskGid);
+    syncStore.clearFailure(taskGid);
+    syncStore.exclude(taskGid, { taskName: result.taskName, by });
+    addLog(`Unsynced task ${result.taskName || taskGid}${result.eventDeleted ? ' and deleted its event' : ''}`, 'info', { eventId: result.eventId });
+    return result;
+  });
+
+  // Move a meeting to a new time: the Asana task's dates are changed, then its event is
+  // synced from the task. A dry run returns the changes on both sides without writing.
+  const rescheduleTask = (taskGid, { start, end = null }, { dryRun = false } = {}) => withLogContext({ taskGid }, async () => {
+    if (syncStore.getExclusion(taskGid)) {
+      throw new Error(`Task ${taskGid} is unsynced - sync it again before rescheduling`);
+    }
+    const task = await getAsanaTaskOrNull(taskGid);
+    const reason = await orphanReason(task);
+    if (reason) {
+      throw new Error(`Task ${taskGid} doesn't sync (${reason}), so it has no meeting to reschedule`);
+    }
+
+    const changes = rescheduleChanges(task, { start, end });
+    if (!dryRun) {
+      await updateAsanaTask(taskGid, changes);
+      addLog(`Rescheduled ${task.name} to ${end ? `${start} - ${end}` : start}`, 'info');
+    }
+
+    const event = await syncTaskTracked(withScheduleChanges(task, changes), findMatchingRule(activeRules(), task), { dryRun });
+    return {
+      action: event.action === 'failed' ? 'failed' : 'rescheduled',
+      taskId: taskGid,
+      taskName: task.name,
+      asana: describePatch(task, changes),
+      calendar: event,
+      ...(event.error ? { error: event.error, errorKind: event.errorKind } : {})
+    };
+  });
+
+  // Link a task to an existing event in place of the one it has (or would get). Another
+  // task's link to the event is removed. Unless sync is false, the event is then synced
+  // from the task right away. The previously linked event is left in the calendar.
+  const relinkTask = (taskGid, { eventId, calendarId = config.googleCalendarId, sync = true }) => withLogContext({ taskGid }, async () => {
+    const task = await getAsanaTaskOrNull(taskGid);
+    if (!task) throw new Error(`Task ${taskGid} not found`);
+
+    const event = await getCalendarEvent(eventId, calendarId);
+    if (!event || event.status === 'cancelled') {
+      throw new Error(`Event ${eventId} not found in calendar ${calendarId}`);
+    }
+
+    const previous = syncStore.get(taskGid);
+    const other = syncStore.findByEventId(eventId);
+    if (other && other.taskGid !== taskGid) {
+      syncStore.remove(other.taskGid);
+      addLog(`Unlinked task ${other.taskName || other.taskGid} from event ${eventId}`, 'warning', { eventId });
+    }
+
+    const rule = findMatchingRule(activeRules(), task);
+    syncStore.include(taskGid);
+    syncStore.clearFailure(taskGid);
+    syncStore.set(taskGid, {
+      eventId,
+      calendarId,
+      ruleName: rule ? rule.name : null,
+      taskName: task.name,
+      ...eventTimes(event),
+      // Whoever is invited already wasn't invited by a sync, so none of them get removed
+      attendees: [],
+      // No baseline, so the first sync takes the task's side
+      lastSyncedHash: null,
+      eventHash: null,
+      lastSyncedAt: null,
+      conflict: null,
+      orphaned: null,
+      source: 'relink'
+    });
+    addLog(`Linked task ${task.name} to event ${eventId}`, 'info', { eventId });
+
+    const result = {
+      action: 'relinked',
+      taskId: taskGid,
+      taskName: task.name,
+      calendarId,
+      eventId,
+      previousEventId: previous && previous.eventId !== eventId ? previous.eventId : null,
+      unlinkedTaskId: other && other.taskGid !== taskGid ? other.taskGid : null
+    };
+    if (sync && rule) {
+      result.sync = await syncTaskTracked(task, rule);
+    }
+    return result;
+  });
+
+  // Linked meetings, soonest first. The state is reloaded first, since the other
+  // server may have synced since.
+  const listMeetings = (filters) => {
+    syncStore.load();
+    const meetings = syncStore.all()
+      .map(link => {
+        const failure = syncStore.getFailure(link.taskGid);
+        return {
+          taskGid: link.taskGid,
+          taskName: link.taskName || null,
+          status: meetingStatus(link, failure),
+          calendarId: link.calendarId || config.googleCalendarId,
+          eventId: link.eventId,
+          ruleName: link.ruleName || null,
+          startTime: link.startTime || null,
+          endTime: link.endTime || null,
+          lastSyncedAt: link.lastSyncedAt || null,
+          failure: failure ? { error: failure.error, kind: failure.kind, attempts: failure.attempts } : null,
+          conflict: link.conflict || null,
+          orphaned: link.orphaned || null
+        };
+      })
+      .filter(meeting => matchesMeetingFilters(meeting, filters))
+      .sort((a, b) => (a.startTime ? new Date(a.startTime).getTime() : Infinity) - (b.startTime ? new Date(b.startTime).getTime() : Infinity));
+
+    return { meetings: meetings.slice(0, filters.limit), count: meetings.length };
+  };
+
+  // Events in the next few days, optionally matching a text query, each with the task
+  // linked to it. linked narrows the results to events with (true) or without (false) a task.
+  const searchUpcomingEvents = async ({ query = null, calendarId = config.googleCalendarId, days = 7, linked = null, limit = 20 } = {}) => {
+    const now = new Date();
+    const response = await callGoogle('Search calendar events', () => calendar.events.list({
+      calendarId,
+      timeMin: now.toISOString(),
+      timeMax: new Date(now.getTime() + days * 24 * 60 * 60 * 1000).toISOString(),
+      singleEvents: true,
+      orderBy: 'startTime',
+      maxResults: 250,
+      ...(query ? { q: query } : {})
+    }));
+
+    syncStore.load();
+    const events = (response.data.items || [])
+      .map(event => {
+        const link = syncStore.findByEventId(event.id);
+        return {
+          eventId: event.id,
+          summary: event.summary || null,
+          ...eventTimes(event),
+          location: event.location || null,
+          eventUrl: event.htmlLink || null,
+          calendarId,
+          linkedTask: link
+            ? { taskGid: link.taskGid, taskName: link.taskName || null, status: meetingStatus(link, syncStore.getFailure(link.taskGid)) }
+            : null
+        };
+      })
+      .filter(event => linked === null || linked === undefined || !!event.linkedTask === linked);
+
+    return { events: events.slice(0, limit), count: events.length };
+  };
+
+  // Why a task does or doesn't sync: its scope, each rule's conditions and its sync state
+  const explainTask = async (taskGid) => {
+    syncStore.load();
+    const task = await getAsanaTaskOrNull(taskGid);
+    const state = {
+      link: syncStore.get(taskGid),
+      failure: syncStore.getFailure(taskGid),
+      unsynced: syncStore.getExclusion(taskGid)
+    };
+    if (!task) {
+      return { taskId: taskGid, found: false, syncs: false, reason: 'deleted', ...state };
+    }
+
+    const reason = state.unsynced ? 'unsynced' : await orphanReason(task);
+    const rule = findMatchingRule(activeRules(), task);
+    return {
+      taskId: taskGid,
+      taskName: task.name,
+      found: true,
+      syncs: !reason,
+      reason,
+      completed: !!task.completed,
+      inScope: await isTaskInScope(task),
+      scope: {
+        assignee: config.asanaAssignee,
+        projectIds: config.asanaProjectIds,
+        taskAssignee: task.assignee ? task.assignee.name || task.assignee.gid : null,
+        taskProjects: (task.projects || []).map(project => project.name || project.gid)
+      },
+      keywordSearch: config.rules.length === 0 ? config.searchKeyword : null,
+      matchedRule: rule ? rule.name : null,
+      calendarId: rule ? ruleCalendarId(rule) : null,
+      rules: explainRules(activeRules(), task),
+      ...state
+    };
+  };
+
+  // Single-task jobs: the operation, and how its result is described in the log
+  const TASK_JOBS = {
+    task: { label: 'Targeted sync', run: (job) => syncSingleTask(job.taskGid, { dryRun: job.dryRun, resume: !!job.params.resume }) },
+    unsync: { label: 'Unsync', run: (job) => unsyncTask(job.taskGid, { ...job.params, dryRun: job.dryRun }) },
+    reschedule: { label: 'Reschedule', run: (job) => rescheduleTask(job.taskGid, job.params, { dryRun: job.dryRun }) },
+    relink: { label: 'Relink', run: (job) => relinkTask(job.taskGid, job.params) }
+  };
+
+  // A queued job, run while holding the state file lock
+  const runLockedJob = async (job, { signal, onProgress }) => {
+    if (job.type === 'full-scan') {
+      const startedAt = new Date();
+      const result = await runSync({ dryRun: job.dryRun, signal, onProgress });
+      const report = createRunReport({ id: job.id, source: job.source, dryRun: job.dryRun, startedAt, result });
+      if (metrics) metrics.recordRun(tenantId, report);
+      if (runHistory) {
+        try {
+          runHistory.record(report);
+        } catch (error) {
+          addLog(`Failed to save run report: ${error.message}`, 'warning');
+        }
+      }
+      return result;
+    }
+
+    const { label, run } = TASK_JOBS[job.type];
+    const startedAt = Date.now();
+    const result = await run(job);
+    addLog(`${label} for task ${job.taskGid}: ${result.action}`, result.action === 'failed' ? 'error' : 'info', {
+      taskGid: job.taskGid,
+      eventId: result.eventId,
+      errorCode: result.errorKind,
+      durationMs: Date.now() - startedAt
+    });
+    return result;
+  };
+
+  // Every sync goes through this queue, one job at a time, so two runs can't
+  // both see a task as unlinked and create duplicate events. The state file lock
+  // extends that to other processes syncing the same account (the MCP server).
+  const jobs = new JobQueue((job, { signal, onProgress }) => withLogContext({ runId: job.id }, async () => {
+    const release = await syncStore.lock({ signal });
+    if (!release) {
+      return { success: false, cancelled: true, message: 'Sync job cancelled while waiting for another sync' };
+    }
+    try {
+      return await runLockedJob(job, { signal, onProgress });
+    } finally {
+      release();
+    }
+  }), { log: addLog, onFinish: onJobFinished });
+
+  // Queue a job and wait for its result
+  const runJob = async (options) => {
+    const job = await jobs.wait(jobs.enqueue(options));
+    if (job.status === 'failed' && !job.result) {
+      throw new Error(job.error);
+    }
+    if (!job.result) {
+      return { success: false, cancelled: true, message: 'Sync job cancelled before it started', jobId: job.id };
+    }
+    return { ...job.result, jobId: job.id };
+  };
+
+  // Targeted per-task syncs requested by webhooks, batched briefly so a burst
+  // of events for the same task only syncs it once
+  const pendingTaskSyncs = new Set();
+  let taskSyncTimer = null;
+
+  const drainTaskSyncs = () => {
+    taskSyncTimer = null;
+    for (const taskGid of pendingTaskSyncs) {
+      pendingTaskSyncs.delete(taskGid);
+      jobs.enqueue({ type: 'task', taskGid, source: 'webhook' });
+    }
+  };
+
+  const enqueueTaskSync = (taskGid) => {
+    pendingTaskSyncs.add(taskGid);
+    if (!taskSyncTimer) {
+      taskSyncTimer = setTimeout(drainTaskSyncs, 2000);
+    }
+  };
+
+  const webhookTargetFor = (resource) => `${config.publicUrl}${asanaWebhookPath}/${resource}`;
+
+  // Handshakes are only accepted while we are registering, so nobody else can plant a secret
+  let webhookRegistrationInProgress = false;
+
+  // Register or renew webhooks on the configured projects
+  const registerAsanaWebhooks = async () => {
+    if (!config.publicUrl) {
+      throw new Error('PUBLIC_URL must be set to receive Asana webhooks');
+    }
+    if (config.asanaProjectIds.length === 0) {
+      throw new Error('ASANA_PROJECT_IDS must list the projects to watch for webhooks');
+    }
+
+    webhookRegistrationInProgress = true;
+    try {
+      return await ensureWebhooks({
+        client: getAsanaClient(),
+        registry: webhookRegistry,
+        resources: config.asanaProjectIds,
+        targetFor: webhookTargetFor,
+        log: addLog
+      });
+    } finally {
+      webhookRegistrationInProgress = false;
+    }
+  };
+
+  // Calendars that linked events can live in
+  const syncedCalendarIds = () => Array.from(new Set([
+    config.googleCalendarId,
+    ...activeRules().map(ruleCalendarId)
+  ]));
+
+  // Fetch a fresh sync token for a calendar, discarding the full event listing
+  const resetSyncToken = async (calendarId) => {
+    const { nextSyncToken } = await listChangedEvents(calendar, calendarId, null);
+    watchRegistry.set(calendarId, { syncToken: nextSyncToken });
+  };
+
+  // Open or renew watch channels on every synced calendar, stopping replaced channels
+  const ensureCalendarWatches = async () => {
+    if (!config.publicUrl) {
+      throw new Error('PUBLIC_URL must be set to receive Google Calendar notifications');
+    }
+
+    const results = [];
+    for (const calendarId of syncedCalendarIds()) {
+      const existing = watchRegistry.get(calendarId);
+      if (!needsRenewal(existing)) {
+        results.push({ calendarId, channelId: existing.channelId, status: 'active' });
+        continue;
+      }
+
+      try {
+        if (!existing || !existing.syncToken) {
+          await resetSyncToken(calendarId);
+        }
+
+        const channel = await openChannel(calendar, calendarId, `${config.publicUrl}/webhooks/google`);
+        watchRegistry.set(calendarId, channel);
+
+        if (existing && existing.channelId) {
+          await stopChannel(calendar, existing.channelId, existing.resourceId).catch(error =>
+            addLog(`Failed to stop old watch channel ${existing.channelId}: ${error.message}`, 'warning')
+          );
+        }
+
+        addLog(`Watching calendar ${calendarId} until ${new Date(channel.expiration).toISOString()}`, 'success');
+        results.push({ calendarId, channelId: channel.channelId, status: existing ? 'renewed' : 'created' });
+      } catch (error) {
+        addLog(`Failed to watch calendar ${calendarId}: ${error.message}`, 'error');
+        results.push({ calendarId, status: 'failed', error: error.message });
+      }
+    }
+
+    return results;
+  };
+
+  // Find linked events that changed since the last sync token and queue their tasks
+  const processCalendarChanges = async (calendarId) => {
+    const entry = watchRegistry.get(calendarId);
+    let changed;
+
+    try {
+      changed = await callGoogle('List changed events', () =>
+        listChangedEvents(calendar, calendarId, entry && entry.syncToken)
+      );
+    } catch (error) {
+      if (!isSyncTokenExpired(error)) throw error;
+
+      // The token expired, so we can't tell what changed: recheck every linked task on this calendar
+      addLog(`Sync token expired for calendar ${calendarId}, rechecking all linked tasks`, 'warning');
+      await resetSyncToken(calendarId);
+      syncStore.all()
+        .filter(link => (link.calendarId || config.googleCalendarId) === calendarId)
+        .forEach(link => enqueueTaskSync(link.taskGid));
+      return;
+    }
+
+    watchRegistry.set(calendarId, { syncToken: changed.nextSyncToken, lastChangeCheckAt: new Date().toISOString() });
+
+    // Our own patches come back as notifications too; skip events still matching the last sync
+    const changedLinks = changed.events
+      .map(event => ({ event, link: syncStore.findByEventId(event.id) }))
+      .filter(({ event, link }) => link && !link.orphaned &&
+        (event.status === 'cancelled' || hashEvent(event) !== link.eventHash));
+
+    if (changedLinks.length > 0) {
+      addLog(`Calendar ${calendarId}: ${changedLinks.length} linked event(s) changed`, 'info');
+      changedLinks.forEach(({ link }) => enqueueTaskSync(link.taskGid));
+    }
+  };
+
+  // Notifications arrive in bursts, so checks are debounced per calendar
+  const calendarCheckTimers = new Map();
+  const scheduleCalendarCheck = (calendarId) => {
+    if (calendarCheckTimers.has(calendarId)) return;
+
+    calendarCheckTimers.set(calendarId, setTimeout(() => {
+      calendarCheckTimers.delete(calendarId);
+      processCalendarChanges(calendarId).catch(error =>
+        addLog(`Failed to process calendar changes for ${calendarId}: ${error.message}`, 'error')
+      );
+    }, 2000));
+  };
+
+  // Readiness check: the configured calendar can be read with the current credentials
+  const checkCalendarAccess = () => callGoogle('Check calendar access', () =>
+    calendar.calendars.get({ calendarId: config.googleCalendarId })
+  );
+
+  return {
+    config,
+    stats,
+    logs,
+    queryLogs,
+    clearLogs,
+    syncStore,
+    webhookRegistry,
+    watchRegistry,
+    oauth2Client,
+    calendar,
+    addLog,
+    getAsanaClient,
+    fetchAsanaTasks,
+    activeRules,
+    jobs,
+    runHistory,
+    runSync: (options = {}) => runJob({ type: 'full-scan', ...options }),
+    syncSingleTask: (taskGid, { resume = false, ...options } = {}) =>
+      runJob({ type: 'task', taskGid, ...options, params: resume ? { resume } : {} }),
+    unsyncTask: (taskGid, { keepEvent = false, by = null, ...options } = {}) =>
+      runJob({ type: 'unsync', taskGid, ...options, params: { keepEvent, by } }),
+    rescheduleTask: (taskGid, { start, end = null }, options = {}) =>
+      runJob({ type: 'reschedule', taskGid, ...options, params: { start, end } }),
+    relinkTask: (taskGid, { eventId, calendarId = config.googleCalendarId, sync = true }, options = {}) =>
+      runJob({ type: 'relink', taskGid, ...options, params: { eventId, calendarId, sync } }),
+    listMeetings,
+    searchUpcomingEvents,
+    syncedCalendarIds,
+    explainTask,
+    enqueueTaskSync,
+    pendingTaskSyncs,
+    registerAsanaWebhooks,
+    isRegisteringWebhooks: () => webhookRegistrationInProgress,
+    ensureCalendarWatches,
+    scheduleCalendarCheck,
+    checkCalendarAccess
+  };
+};
+
+module.exports = {
+  SYNC_MODES,
+  CONFLICT_POLICIES,
+  DATE_ONLY_EVENT_MODES,
+  ORPHAN_POLICIES,
+  createSyncEngine
+};
@@ -0,0 +1,254 @@
+// Sync State Store - persistent Asana task ↔ Calendar event links
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { readJsonFile, writeJsonFile } = require('./json-file');
+
+const STORE_VERSION = 1;
+const MARKER_PATTERN = /\[CAL_EVENT:([^\]]+)\]/;
+const LOCK_POLL_MS = 500;
+const UNREADABLE_LOCK_MS = 10 * 1000;
+
+// Tokens of the state file locks this process holds, across all stores
+const heldLocks = new Set();
+
+// Strip the legacy [CAL_EVENT:…] marker so it never affects hashes or event descriptions
+const stripEventMarker = (notes) => {
+  if (!notes) return '';
+  return notes.replace(/\n?\[CAL_EVENT:[^\]]+\]/g, '').trim();
+};
+
+// Hash of the task fields that end up in the calendar event
+const hashTask = (task) => {
+  const payload = JSON.stringify([
+    task.name || '',
+    stripEventMarker(task.notes),
+    task.due_on || null,
+    task.due_at || null,
+    task.start_on || null,
+    task.start_at || null
+  ]);
+  return crypto.createHash('sha256').update(payload).digest('hex');
+};
+
+const eventTime = (time) => (time ? (time.dateTime || time.date || null) : null);
+
+// Hash of the calendar event fields that can be written back to Asana
+const hashEvent = (event) => {
+  const payload = JSON.stringify([
+    event.summary || '',
+    event.description || '',
+    eventTime(event.start),
+    eventTime(event.end)
+  ]);
+  return crypto.createHash('sha256').update(payload).digest('hex');
+};
+
+class SyncStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.links = {};
+    this.failures = {};
+    this.exclusions = {};
+    this.load();
+  }
+
+  load() {
+    const data = readJsonFile(this.filePath, {});
+    this.links = data.links || {};
+    this.failures = data.failures || {};
+    this.exclusions = data.exclusions || {};
+  }
+
+  save() {
+    writeJsonFile(this.filePath, {
+      version: STORE_VERSION,
+      savedAt: new Date().toISOString(),
+      links: this.links,
+      failures: this.failures,
+      exclusions: this.exclusions
+    });
+  }
+
+  // The lock file's owner ({ pid, token }), or null when there is none. A lock that is still
+  // being written, or damaged, has no owner and only its age.
+  readLock(lockPath) {
+    try {
+      return JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      const stats = fs.statSync(lockPath, { throwIfNoEntry: false });
+      return stats ? { pid: null, token: null, ageMs: Date.now() - stats.mtimeMs } : null;
+    }
+  }
+
+  // A lock left behind by a process that has exited (or by an earlier run of this
+  // process id, e.g. PID 1 in a restarted container) no longer protects anything.
+  // Locks this process holds are told apart from those by their token.
+  isStaleLock(owner) {
+    if (!owner.pid) return owner.ageMs > UNREADABLE_LOCK_MS;
+    if (owner.pid === process.pid) return !heldLocks.has(owner.token);
+    try {
+      process.kill(owner.pid, 0);
+      return false;
+    } catch (error) {
+      return error.code !== 'EPERM';
+    }
+  }
+
+  // Remove the lock file if it still belongs to the given token
+  removeLock(lockPath, token) {
+    const owner = this.readLock(lockPath);
+    if (owner && owner.token === token) fs.rmSync(lockPath, { force: true });
+  }
+
+  // Hold the state file for the length of a sync, so the API server and the MCP server
+  // sharing it can't both create an event for the same task. The links are reloaded
+  // once the lock is held, picking up what the other process wrote. Resolves with a
+  // release function, or null when the signal aborts while waiting.
+  async lock({ signal = null } = {}) {
+    const lockPath = `${this.filePath}.lock`;
+    const token = crypto.randomBytes(16).toString('hex');
+    fs.mkdirSync(path.dirname(lockPath), { recursive: true });
+
+    while (!(signal && signal.aborted)) {
+      try {
+        fs.writeFileSync(lockPath, JSON.stringify({ pid: process.pid, token, lockedAt: new Date().toISOString() }), { flag: 'wx' });
+        this.load();
+        heldLocks.add(token);
+        return () => {
+          heldLocks.delete(token);
+          this.removeLock(lockPath, token);
+        };
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      const owner = this.readLock(lockPath);
+      if (owner && this.isStaleLock(owner)) {
+        this.removeLock(lockPath, owner.token);
+      } else if (owner) {
+        await new Promise(resolve => setTimeout(resolve, LOCK_POLL_MS));
+      }
+    }
+    return null;
+  }
+
+  get(taskGid) {
+    return this.links[taskGid] || null;
+  }
+
+  set(taskGid, fields) {
+    const now = new Date().toISOString();
+    const existing = this.links[taskGid];
+
+    this.links[taskGid] = {
+      ...existing,
+      ...fields,
+      taskGid,
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now
+    };
+    this.save();
+    return this.links[taskGid];
+  }
+
+  remove(taskGid) {
+    if (!this.links[taskGid]) return false;
+    delete this.links[taskGid];
+    this.save();
+    return true;
+  }
+
+  all() {
+    return Object.values(this.links);
+  }
+
+  findByEventId(eventId) {
+    return this.all().find(link => link.eventId === eventId) || null;
+  }
+
+  // Failure ledger: tasks whose last sync failed, retried on the next run
+  recordFailure(taskGid, { taskName, error, kind }) {
+    const now = new Date().toISOString();
+    const existing = this.failures[taskGid];
+
+    this.failures[taskGid] = {
+      taskGid,
+      taskName,
+      error,
+      kind,
+      attempts: existing ? existing.attempts + 1 : 1,
+      firstFailedAt: existing ? existing.firstFailedAt : now,
+      lastFailedAt: now
+    };
+    this.save();
+    return this.failures[taskGid];
+  }
+
+  clearFailure(taskGid) {
+    if (!this.failures[taskGid]) return false;
+    delete this.failures[taskGid];
+    this.save();
+    return true;
+  }
+
+  getFailure(taskGid) {
+    return this.failures[taskGid] || null;
+  }
+
+  allFailures() {
+    return Object.values(this.failures);
+  }
+
+  // Exclusions: tasks unsynced on request, which syncs leave alone until they are synced again
+  exclude(taskGid, { taskName = null, by = null } = {}) {
+    this.exclusions[taskGid] = { taskGid, taskName, by, excludedAt: new Date().toISOString() };
+    this.save();
+    return this.exclusions[taskGid];
+  }
+
+  include(taskGid) {
+    if (!this.exclusions[taskGid]) return false;
+    delete this.exclusions[taskGid];
+    this.save();
+    return true;
+  }
+
+  getExclusion(taskGid) {
+    return this.exclusions[taskGid] || null;
+  }
+
+  // Link implied by a legacy [CAL_EVENT:id] marker in the task notes, without storing it
+  markerLink(task, calendarId) {
+    const match = task.notes ? task.notes.match(MARKER_PATTERN) : null;
+    if (!match) return null;
+
+    return {
+      taskGid: task.gid,
+      eventId: match[1],
+      calendarId,
+      lastSyncedHash: null,
+      lastSyncedAt: null,
+      source: 'marker'
+    };
+  }
+
+  // Import a legacy marker from task notes, if the task isn't linked yet
+  importMarker(task, calendarId) {
+    if (this.links[task.gid]) return null;
+
+    const link = this.markerLink(task, calendarId);
+    if (!link) return null;
+
+    const { taskGid, ...fields } = link;
+    return this.set(taskGid, fields);
+  }
+}
+
+module.exports = {
+  SyncStore,
+  hashTask,
+  hashEvent,
+  stripEventMarker
+};
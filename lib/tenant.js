@@ -0,0 +1,155 @@
+// Tenant - one account's Google client, stores and sync engine
+const { google } = require('googleapis');
+const { OAuth2Client } = require('google-auth-library');
+const { WebhookRegistry } = require('./asana-webhooks');
+const { WatchRegistry } = require('./calendar-watch');
+const { SyncStore } = require('./sync-store');
+const { RunHistory } = require('./run-history');
+const { createSyncEngine } = require('./sync-engine');
+
+// Where the default account's Google tokens are kept. Without TOKEN_ENCRYPTION_KEY
+// nothing is stored and GOOGLE_REFRESH_TOKEN is the only source.
+const defaultGoogleCredentials = (credentialStore, tokenCipher) => ({
+  load: () => {
+    if (!tokenCipher.enabled) return null;
+    try {
+      return credentialStore.get('google');
+    } catch (error) {
+      console.error(`Ignoring stored Google credentials: ${error.message}`);
+      return null;
+    }
+  },
+  save: (credentials) => credentialStore.set('google', credentials)
+});
+
+// Google access for a tenant stops at invalid_grant: the refresh token is dropped
+// and /api/google-status reports that the account has to be connected again.
+// The revocation is stored so it survives restarts.
+const markGoogleReauthRequired = (tenant, error, tokenCipher) => {
+  if (tenant.googleAuth.reauthRequired) return;
+
+  const { config: tenantConfig, addLog: log } = tenant.engine;
+  const revokedAt = new Date().toISOString();
+  const refreshToken = tenantConfig.googleRefreshToken;
+  tenant.googleAuth = { reauthRequired: true, revokedAt, reason: error.message };
+  tenantConfig.googleRefreshToken = '';
+
+  if (tokenCipher.enabled) {
+    try {
+      tenant.googleCredentials.save({ ...tenant.googleCredentials.load(), refreshToken, revokedAt });
+    } catch (saveError) {
+      log(`Failed to store Google revocation: ${saveError.message}`, 'warning');
+    }
+  }
+  log('Google Calendar access was revoked or has expired - re-authentication required', 'error');
+};
+
+// Take up a tenant's stored Google tokens, on creation and again when the account reconnects Google.
+// Stored tokens come from a later consent than GOOGLE_REFRESH_TOKEN, so they win.
+const loadGoogleCredentials = (tenant, tenantConfig, oauth2Client) => {
+  const stored = tenant.googleCredentials.load();
+  tenant.googleAuth = { reauthRequired: false };
+  if (stored) {
+    if (stored.revokedAt) {
+      tenant.googleAuth = { reauthRequired: true, revokedAt: stored.revokedAt, reason: 'invalid_grant' };
+      tenantConfig.googleRefreshToken = '';
+    } else {
+      tenantConfig.googleRefreshToken = stored.refreshToken;
+    }
+  }
+
+  oauth2Client.setCredentials(tenantConfig.googleRefreshToken
+    ? {
+      refresh_token: tenantConfig.googleRefreshToken,
+      ...(stored && stored.accessToken
+        ? { access_token: stored.accessToken, expiry_date: stored.expiryDate }
+        : {})
+    }
+    : {});
+};
+
+// Build a tenant: one account's stores, Google client, sync engine and schedule.
+// The default tenant is the env-configured setup; each user account gets its own.
+// The API server and the MCP server build the default tenant the same way, so both
+// sync through the same state store, run history and log file.
+const createTenant = ({
+  id,
+  name,
+  tenantConfig,
+  asanaWebhookPath,
+  googleCredentials,
+  tokenCipher,
+  logger,
+  logStore = null,
+  metrics = null,
+  onJobFinished
+}) => {
+  const tenant = {
+    id,
+    name,
+    engine: null,
+    googleCredentials,
+    googleAuth: { reauthRequired: false },
+    isRunning: false,
+    cronJob: null
+  };
+
+  // Google OAuth2 client setup
+  const oauth2Client = new OAuth2Client(
+    tenantConfig.googleClientId,
+    tenantConfig.googleClientSecret,
+    tenantConfig.googleRedirectUri
+  );
+
+  loadGoogleCredentials(tenant, tenantConfig, oauth2Client);
+
+  // Save every token refresh, including refresh tokens Google rotates
+  oauth2Client.on('tokens', (tokens) => {
+    const rotated = !!tokens.refresh_token && tokens.refresh_token !== tenantConfig.googleRefreshToken;
+    const refreshToken = tokens.refresh_token || tenantConfig.googleRefreshToken;
+    if (!refreshToken) return;
+    tenantConfig.googleRefreshToken = refreshToken;
+
+    if (tokenCipher.enabled) {
+      try {
+        googleCredentials.save({
+          ...googleCredentials.load(),
+          refreshToken,
+          accessToken: tokens.access_token,
+          expiryDate: tokens.expiry_date,
+          revokedAt: null,
+          updatedAt: new Date().toISOString()
+        });
+      } catch (error) {
+        tenant.engine.addLog(`Failed to save Google tokens: ${error.message}`, 'warning');
+      }
+    }
+    if (rotated) tenant.engine.addLog('Google refresh token rotated', 'info');
+  });
+
+  tenant.engine = createSyncEngine({
+    config: tenantConfig,
+    syncStore: new SyncStore(tenantConfig.stateFile),
+    webhookRegistry: new WebhookRegistry(tenantConfig.asanaWebhooksFile),
+    watchRegistry: new WatchRegistry(tenantConfig.googleWatchFile),
+    oauth2Client,
+    calendar: google.calendar({ version: 'v3', auth: oauth2Client }),
+    asanaWebhookPath,
+    tenantId: id,
+    logger,
+    logStore,
+    onGoogleAuthRevoked: (error) => markGoogleReauthRequired(tenant, error, tokenCipher),
+    runHistory: new RunHistory(tenantConfig.runHistoryFile, { limit: tenantConfig.runHistoryLimit }),
+    metrics,
+    onJobFinished
+  });
+
+  return tenant;
+};
+
+module.exports = {
+  defaultGoogleCredentials,
+  loadGoogleCredentials,
+  markGoogleReauthRequired,
+  createTenant
+};
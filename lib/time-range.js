@@ -0,0 +1,33 @@
+// Time range filters shared by the run history and log queries
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Parse from/to query values into Dates (null when absent). A plain date for `to`
+// includes the whole day. Problems are pushed onto errors.
+const parseTimeRange = ({ from, to } = {}, errors = []) => {
+  const parseDate = (value, name) => {
+    if (!value) return null;
+    const date = new Date(value);
+    if (isNaN(date)) {
+      errors.push(`${name} must be a date such as 2024-01-15 or 2024-01-15T08:00:00Z`);
+      return null;
+    }
+    if (name === 'to' && DATE_ONLY.test(value)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setTime(date.getTime() - 1);
+    }
+    return date;
+  };
+
+  return { from: parseDate(from, 'from'), to: parseDate(to, 'to') };
+};
+
+// Whether an ISO timestamp falls within a parsed range
+const inTimeRange = (timestamp, { from, to }) => {
+  const time = new Date(timestamp);
+  return (!from || time >= from) && (!to || time <= to);
+};
+
+module.exports = {
+  parseTimeRange,
+  inTimeRange
+};
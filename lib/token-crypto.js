@@ -0,0 +1,54 @@
+// Token Crypto - AES-256-GCM encryption for OAuth tokens stored on disk
+const crypto = require('crypto');
+
+const FORMAT_VERSION = 'v1';
+
+// Any string works as the key; it is stretched to 32 bytes with SHA-256
+const deriveKey = (secret) => crypto.createHash('sha256').update(String(secret)).digest();
+
+class TokenCipher {
+  constructor(secret) {
+    this.key = secret ? deriveKey(secret) : null;
+  }
+
+  get enabled() {
+    return !!this.key;
+  }
+
+  requireKey() {
+    if (!this.key) {
+      throw new Error('TOKEN_ENCRYPTION_KEY must be set to store OAuth tokens');
+    }
+  }
+
+  // Encrypt any JSON value to "v1:iv:authTag:ciphertext" (base64 parts)
+  encrypt(value) {
+    this.requireKey();
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.key, iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+    return [FORMAT_VERSION, iv, cipher.getAuthTag(), data].map(part =>
+      typeof part === 'string' ? part : part.toString('base64')
+    ).join(':');
+  }
+
+  // Throws if the payload was tampered with or encrypted under another key
+  decrypt(payload) {
+    if (!payload) return null;
+    this.requireKey();
+
+    const [version, iv, tag, data] = payload.split(':');
+    if (version !== FORMAT_VERSION) {
+      throw new Error(`Unsupported token encryption format: ${version}`);
+    }
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    const plaintext = Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]);
+    return JSON.parse(plaintext.toString('utf8'));
+  }
+}
+
+module.exports = {
+  TokenCipher
+};
@@ -2,13 +2,158 @@
 
 const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
 const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
-const { CallToolRequestSchema, ListToolsRequestSchema } = require('@modelcontextprotocol/sdk/types.js');
+const {
+  CallToolRequestSchema,
+  ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema
+} = require('@modelcontextprotocol/sdk/types.js');
 require('dotenv').config();
-const axios = require('axios');
-const cron = require('node-cron');
+const fs = require('fs');
+const { validateConfigUpdate, runtimeConfigOf, updateSettings } = require('./lib/runtime-config');
+const { AuditLog } = require('./lib/audit-log');
+const { RUN_OUTCOMES, parseRunFilters } = require('./lib/run-history');
+const { parseLogFilters } = require('./lib/logger');
+const { MEETING_STATUSES, parseMeetingFilters, validateMeetingTime } = require('./lib/meetings');
+const { scheduleSettings, nextRunTime, describeSchedule } = require('./lib/schedule');
+const { loadConfig, createLogging, applyConfigFallbacks } = require('./lib/config');
+const { TokenCipher } = require('./lib/token-crypto');
+const { CredentialStore } = require('./lib/credential-store');
+const { AutomationState } = require('./lib/automation-state');
+const { createAutomation } = require('./lib/automation');
+const { defaultGoogleCredentials, createTenant } = require('./lib/tenant');
+const { hasRole } = require('./lib/api-auth');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const JSON_MIME_TYPE = 'application/json';
+const RECENT_LOGS = 50;
+const RECENT_RUNS_LISTED = 10;
+// How often the shared run history is checked for runs made by the API server
+const RUN_HISTORY_POLL_MS = 2000;
+
+// Tools a read-only caller may use; the rest need the operator role
+const READ_TOOLS = [
+  'check_status',
+  'get_run_history',
+  'get_logs',
+  'list_meetings',
+  'search_upcoming_events',
+  'explain_match'
+];
+
+// Tools that change the account's config
+const CONFIG_TOOLS = ['update_config'];
+
+// Tools that queue sync jobs, which count against the caller's sync rate limit
+const SYNC_TOOLS = ['run_sync', 'preview_sync', 'sync_task', 'unsync_task', 'reschedule_meeting', 'relink_task'];
+
+// Resources describing the current sync state; subscribers hear about changes when a sync job finishes.
+// Run reports are resources too, at mpc://runs/{id}.
+const STATE_RESOURCES = [
+  {
+    uri: 'mpc://status',
+    name: 'Sync status',
+    description: 'Automation state, stats, schedule and sync jobs'
+  },
+  {
+    uri: 'mpc://logs/recent',
+    name: 'Recent logs',
+    description: `The ${RECENT_LOGS} most recent activity log records`
+  },
+  {
+    uri: 'mpc://meetings/upcoming',
+    name: 'Upcoming meetings',
+    description: 'Linked meetings starting in the next 7 days, with their sync status'
+  }
+];
+const RUN_URI = /^mpc:\/\/runs\/([^/]+)$/;
+
+const PROMPTS = [
+  {
+    name: 'weekly_meeting_digest',
+    description: 'Digest of a week of meetings, with the ones needing attention and how syncing went the week before',
+    arguments: [
+      {
+        name: 'weekStart',
+        description: 'First day of the week, e.g. 2024-01-15 (default: today)',
+        required: false
+      }
+    ]
+  },
+  {
+    name: 'diagnose_sync_failure',
+    description: 'Find the cause of a failed sync run or task and how to fix it',
+    arguments: [
+      {
+        name: 'runId',
+        description: 'Run to diagnose (default: the latest run that did not succeed)',
+        required: false
+      },
+      {
+        name: 'taskGid',
+        description: 'Asana task to diagnose, on its own or within the run',
+        required: false
+      }
+    ]
+  }
+];
+
+// The default account on its own, for stdio: built like the API server's default tenant
+// (same Google credentials, sync state, run history and log file, so both report the same
+// results), with the automation and config functions the API server would otherwise provide
+const standaloneHost = ({ onJobFinished }) => {
+  const config = loadConfig();
+
+  // stdout carries the MCP protocol, so console logging goes to stderr
+  const { logger, logStore } = createLogging(config, { stream: process.stderr });
+  const tokenCipher = new TokenCipher(process.env.TOKEN_ENCRYPTION_KEY);
+
+  const tenant = createTenant({
+    id: 'default',
+    name: 'Default',
+    tenantConfig: config,
+    asanaWebhookPath: '/webhooks/asana',
+    googleCredentials: defaultGoogleCredentials(new CredentialStore(config.credentialsFile, tokenCipher), tokenCipher),
+    tokenCipher,
+    logger,
+    logStore,
+    onJobFinished
+  });
+  applyConfigFallbacks(config, tenant.engine.addLog);
+
+  // Automation started here is saved like the API server's and resumes when the process
+  // restarts, unless the API server is running it
+  const { startAutomation, stopAutomation, resumeAutomation, updateTenantConfig } = createAutomation({
+    automationState: new AutomationState(config.automationStateFile),
+    auditLog: new AuditLog(config.auditLogFile),
+    saveSettings: (_, settings) => updateSettings(config.settingsFile, settings)
+  });
+  resumeAutomation(tenant);
+
+  return {
+    tenant,
+    role: 'admin',
+    canChangeConfig: true,
+    actor: 'mcp',
+    // The local client is the only caller, so its syncs aren't rate limited
+    checkSyncRate: () => {},
+    startAutomation,
+    stopAutomation,
+    updateTenantConfig
+  };
+};
 
 class MPCServer {
-  constructor() {
+  // host provides the tenant to act on, the caller's role, whether they may change config, their
+  // name for the audit log, checkSyncRate() (throws once the caller is over its sync rate limit),
+  // and startAutomation(tenant), stopAutomation(tenant) and updateTenantConfig(tenant, update, actor).
+  // The API server passes its own for each HTTP session; without one, the server runs standalone.
+  constructor(host = null) {
     this.server = new Server(
       {
         name: 'mpc-center',
@@ -17,152 +162,241 @@ class MPCServer {
       {
         capabilities: {
           tools: {},
+          resources: { subscribe: true, listChanged: true },
+          prompts: {},
         },
       }
     );
 
-    this.isRunning = false;
-    this.stats = {
-      totalScans: 0,
-      tasksFound: 0,
-      eventsCreated: 0,
-      lastRun: null
-    };
-    
-    this.config = {
-      asanaToken: process.env.ASANA_TOKEN || '',
-      asanaWorkspaceId: process.env.ASANA_WORKSPACE_ID || '',
-      googleCalendarId: process.env.GOOGLE_CALENDAR_ID || 'primary',
-      intervalHours: parseInt(process.env.DEFAULT_INTERVAL_HOURS) || 4,
-      searchKeyword: process.env.DEFAULT_SEARCH_KEYWORD || 'MEETING'
-    };
-
-    this.cronJob = null;
-    this.logs = [];
+    this.host = host || standaloneHost({ onJobFinished: (job) => this.jobFinished(job) });
+    this.tenant = this.host.tenant;
+    this.engine = this.tenant.engine;
+    this.config = this.engine.config;
+    this.subscriptions = new Set();
 
     this.setupHandlers();
   }
 
   addLog(message, type = 'info') {
-    const timestamp = new Date().toISOString();
-    this.logs.push({ timestamp, message, type, id: Date.now() });
-    
-    if (this.logs.length > 100) {
-      this.logs = this.logs.slice(-100);
-    }
-    
-    console.error(`[${timestamp}] ${type.toUpperCase()}: ${message}`);
+    this.engine.addLog(message, type);
   }
 
-  async searchAsanaTasks(keyword) {
-    try {
-      if (!this.config.asanaToken) {
-        throw new Error('Asana token not configured');
-      }
+  // Tools that change anything need the operator role, and changing config needs what
+  // PUT /api/config needs, as their REST counterparts do
+  authorizeTool(name, args = {}) {
+    if (CONFIG_TOOLS.includes(name) && !this.host.canChangeConfig) {
+      throw new Error('Requires the admin role');
+    }
+    if (!READ_TOOLS.includes(name) && !hasRole(this.host.role, 'operator')) {
+      throw new Error('Requires the operator role');
+    }
+    // Read-only callers can search the calendars this account syncs to, not every calendar its credentials reach
+    if (name === 'search_upcoming_events' && !hasRole(this.host.role, 'operator') &&
+      !this.engine.syncedCalendarIds().includes(args.calendarId || this.config.googleCalendarId)) {
+      throw new Error('Searching a calendar this account does not sync to requires the operator role');
+    }
+  }
 
-      const response = await axios.get('https://app.asana.com/api/1.0/tasks/search', {
-        headers: {
-          'Authorization': `Bearer ${this.config.asanaToken}`,
-          'Content-Type': 'application/json'
-        },
-        params: {
-          workspace: this.config.asanaWorkspaceId,
-          text: keyword,
-          resource_type: 'task',
-          'opt_fields': 'gid,name,notes,due_on,assignee.name,projects.name,completed'
-        }
-      });
-      
-      return response.data.data.filter(task => 
-        !task.completed && 
-        task.name.toLowerCase().includes(keyword.toLowerCase())
-      );
-    } catch (error) {
-      const errorMsg = error.response?.data?.errors?.[0]?.message || error.message;
-      throw new Error(`Asana API error: ${errorMsg}`);
+  // Validate, then apply a config change through the host
+  updateConfig(update) {
+    const errors = validateConfigUpdate(update);
+    if (errors.length > 0) {
+      return { success: false, errors };
     }
+
+    const changes = this.host.updateTenantConfig(this.tenant, update, this.host.actor);
+    return { success: true, changes, config: runtimeConfigOf(this.config) };
   }
 
-  async addToGoogleCalendar(task) {
-    try {
-      const startDate = task.due_on ? new Date(task.due_on + 'T09:00:00Z') : new Date();
-      const endDate = new Date(startDate.getTime() + 60 * 60 * 1000);
+  statusSnapshot() {
+    return {
+      isRunning: this.tenant.isRunning,
+      stats: this.engine.stats,
+      config: {
+        searchKeyword: this.config.searchKeyword,
+        intervalHours: this.config.intervalHours,
+        schedule: describeSchedule(scheduleSettings(this.config)),
+        googleCalendarId: this.config.googleCalendarId,
+        asanaConfigured: !!this.config.asanaToken,
+        workspaceConfigured: !!this.config.asanaWorkspaceId,
+        googleConfigured: !!this.config.googleRefreshToken,
+        googleReauthRequired: this.tenant.googleAuth.reauthRequired
+      },
+      nextRun: this.tenant.isRunning ? nextRunTime(scheduleSettings(this.config)) : null,
+      jobs: {
+        running: this.engine.jobs.current,
+        queued: this.engine.jobs.queued().length
+      },
+      serverTime: new Date().toISOString()
+    };
+  }
 
-      await new Promise(resolve => setTimeout(resolve, 500));
-      
-      this.addLog(`Created calendar event: ${task.name}`, 'info');
-      
-      return { 
-        success: true, 
-        eventId: `mock_event_${task.gid}`,
-        startTime: startDate.toISOString(),
-        endTime: endDate.toISOString()
-      };
-    } catch (error) {
-      throw new Error(`Google Calendar API error: ${error.message}`);
+  // Linked meetings starting within the given number of days from start
+  meetingsBetween(start, days, extraFilters = {}) {
+    const { filters } = parseMeetingFilters({
+      from: start.toISOString(),
+      to: new Date(start.getTime() + days * DAY_MS).toISOString(),
+      limit: 200,
+      ...extraFilters
+    });
+    return this.engine.listMeetings(filters);
+  }
+
+  // The newest run reports, listed as resources alongside the state resources
+  listResources() {
+    const { filters } = parseRunFilters({ limit: RECENT_RUNS_LISTED });
+    const runs = this.engine.runHistory.list(filters).map(run => ({
+      uri: `mpc://runs/${run.id}`,
+      name: `Sync run ${run.id}`,
+      description: `${run.dryRun ? 'Dry run' : 'Run'} started ${run.startedAt} by ${run.source}: ${run.outcome}`,
+      mimeType: JSON_MIME_TYPE
+    }));
+    return [...STATE_RESOURCES.map(resource => ({ ...resource, mimeType: JSON_MIME_TYPE })), ...runs];
+  }
+
+  readResource(uri) {
+    let data;
+    if (uri === 'mpc://status') {
+      data = this.statusSnapshot();
+    } else if (uri === 'mpc://logs/recent') {
+      data = this.engine.queryLogs(parseLogFilters({ limit: RECENT_LOGS }).filters);
+    } else if (uri === 'mpc://meetings/upcoming') {
+      data = this.meetingsBetween(new Date(), 7);
+    } else {
+      const match = uri.match(RUN_URI);
+      data = match ? this.engine.runHistory.get(decodeURIComponent(match[1])) : null;
+      if (!data) throw new Error(`Resource not found: ${uri}`);
     }
+    return { uri, mimeType: JSON_MIME_TYPE, text: JSON.stringify(data, null, 2) };
   }
 
-  async runSync() {
-    this.addLog('Starting sync process...', 'info');
-    
-    try {
-      if (!this.config.asanaToken || !this.config.asanaWorkspaceId) {
-        throw new Error('Missing Asana configuration.');
+  jobFinished(job) {
+    this.notifyResourcesChanged({ runAdded: job.type === 'full-scan' });
+  }
+
+  // Tell subscribers to re-read the state resources, and every client that the resource
+  // list changed when a run report was added. Failures only mean nobody is listening.
+  notifyResourcesChanged({ runAdded = false } = {}) {
+    const notifications = STATE_RESOURCES
+      .filter(resource => this.subscriptions.has(resource.uri))
+      .map(resource => this.server.sendResourceUpdated({ uri: resource.uri }));
+    if (runAdded) notifications.push(this.server.sendResourceListChanged());
+
+    Promise.all(notifications).catch(error =>
+      this.addLog(`Failed to send resource notifications: ${error.message}`, 'warning')
+    );
+  }
+
+  // Runs made by the API server are only seen in the shared run history file.
+  // Our own runs were notified when their job finished.
+  watchRunHistory() {
+    fs.watchFile(this.config.runHistoryFile, { interval: RUN_HISTORY_POLL_MS, persistent: false }, (current, previous) => {
+      if (current.mtimeMs === previous.mtimeMs) return;
+      const [latest] = this.engine.runHistory.list(parseRunFilters({ limit: 1 }).filters);
+      if (latest && !this.engine.jobs.get(latest.id)) {
+        this.notifyResourcesChanged({ runAdded: true });
       }
+    });
+  }
 
-      this.addLog(`Searching for tasks containing "${this.config.searchKeyword}"...`, 'info');
-      const tasks = await this.searchAsanaTasks(this.config.searchKeyword);
-      
-      if (tasks.length === 0) {
-        this.addLog('No meeting tasks found', 'info');
-        this.stats.totalScans++;
-        this.stats.lastRun = new Date();
-        return { success: true, message: 'No tasks found', tasksFound: 0, eventsCreated: 0 };
+  // A prompt's messages: instructions, then the sync state they refer to
+  async getPrompt(name, args = {}) {
+    const text = (value) => ({ role: 'user', content: { type: 'text', text: value } });
+    const json = (title, value) => text(`${title}:\n\n${JSON.stringify(value, null, 2)}`);
+    const resource = (uri) => ({ role: 'user', content: { type: 'resource', resource: this.readResource(uri) } });
+
+    switch (name) {
+      case 'weekly_meeting_digest': {
+        const weekStart = args.weekStart || new Date().toISOString().slice(0, 10);
+        const start = new Date(/^\d{4}-\d{2}-\d{2}$/.test(weekStart) ? `${weekStart}T00:00:00Z` : weekStart);
+        if (isNaN(start)) throw new Error('weekStart must be a date such as 2024-01-15');
+
+        const { filters } = parseRunFilters({
+          from: new Date(start.getTime() - 7 * DAY_MS).toISOString(),
+          to: start.toISOString(),
+          limit: 100
+        });
+        return {
+          description: `Meeting digest for the week of ${weekStart}`,
+          messages: [
+            text(`Write a digest of my meetings for the week starting ${weekStart}, grouped by day with times. ` +
+              'Call out meetings that need attention: failing to sync, in conflict between Asana and the calendar, ' +
+              'or orphaned because their task was completed or removed. Then summarise in a sentence or two how ' +
+              'syncing went over the previous week, mentioning any failed runs. Keep it short.'),
+            json('Meetings this week', this.meetingsBetween(start, 7)),
+            json('Meetings needing attention', {
+              failing: this.meetingsBetween(start, 7, { status: 'failing' }).meetings,
+              conflict: this.meetingsBetween(start, 7, { status: 'conflict' }).meetings
+            }),
+            json('Sync runs in the previous week', this.engine.runHistory.list(filters))
+          ]
+        };
       }
 
-      this.addLog(`Found ${tasks.length} meeting task(s)`, 'success');
-      this.stats.tasksFound += tasks.length;
+      case 'diagnose_sync_failure': {
+        let run = null;
+        if (args.runId) {
+          run = this.engine.runHistory.get(args.runId);
+          if (!run) throw new Error(`Run ${args.runId} not found`);
+        } else if (!args.taskGid) {
+          const recent = this.engine.runHistory.list(parseRunFilters({ limit: 50 }).filters);
+          const failed = recent.find(summary => summary.outcome === 'failed' || summary.outcome === 'partial');
+          run = failed ? this.engine.runHistory.get(failed.id) : null;
+        }
 
-      let eventsCreated = 0;
-      const processedTasks = [];
-      
-      for (const task of tasks) {
-        try {
-          this.addLog(`Processing: ${task.name}`, 'info');
-          
-          const result = await this.addToGoogleCalendar(task);
-          
-          if (result.success) {
-            this.addLog(`Added to Google Calendar: ${task.name}`, 'success');
-            eventsCreated++;
-            processedTasks.push({
-              taskId: task.gid,
-              taskName: task.name,
-              eventId: result.eventId
-            });
-          }
-        } catch (error) {
-          this.addLog(`Error processing task ${task.name}: ${error.message}`, 'error');
+        const subject = [run && `sync run ${run.id}`, args.taskGid && `Asana task ${args.taskGid}`].filter(Boolean).join(' and ');
+        const messages = [
+          text(subject
+            ? `Diagnose why ${subject} failed, using the status, run report, logs and task explanation below. ` +
+              'Give the root cause, whether it affects one task or every sync, and concrete steps to fix it - for ' +
+              'example reconnecting Google Calendar at /auth/google when access was revoked, correcting a matching ' +
+              'rule, or retrying once a rate limit has passed. If nothing actually failed, say so.'
+            : 'No recent sync run failed. Check the status and recent warnings below for anything that could make ' +
+              'the next sync fail, and say whether any action is needed.'),
+          resource('mpc://status')
+        ];
+
+        if (run) {
+          messages.push(resource(`mpc://runs/${run.id}`));
+          messages.push(json('Warnings and errors logged during the run',
+            this.engine.queryLogs(parseLogFilters({ runId: run.id, level: 'warn', limit: RECENT_LOGS }).filters).logs));
+        }
+        if (args.taskGid) {
+          messages.push(json('Why the task does or does not sync', await this.engine.explainTask(args.taskGid)));
+          messages.push(json('Warnings and errors logged for the task',
+            this.engine.queryLogs(parseLogFilters({ taskGid: args.taskGid, level: 'warn', limit: RECENT_LOGS }).filters).logs));
+        }
+        if (!subject) {
+          messages.push(json('Recent warnings and errors',
+            this.engine.queryLogs(parseLogFilters({ level: 'warn', limit: RECENT_LOGS }).filters).logs));
         }
+
+        return { description: subject ? `Diagnosis of ${subject}` : 'Sync health check', messages };
       }
-      
-      this.stats.totalScans++;
-      this.stats.eventsCreated += eventsCreated;
-      this.stats.lastRun = new Date();
-      
-      this.addLog(`Sync completed: ${eventsCreated} events created`, 'success');
-      
-      return { 
-        success: true, 
-        message: `Sync completed: ${eventsCreated} events created`,
-        tasksFound: tasks.length,
-        eventsCreated,
-        processedTasks
-      };
-    } catch (error) {
-      this.addLog(`Sync failed: ${error.message}`, 'error');
-      return { success: false, error: error.message };
+
+      default:
+        throw new Error(`Unknown prompt: ${name}`);
+    }
+  }
+
+  // A tool result carrying JSON, flagged as an error when the operation failed
+  jsonResult(value) {
+    const failed = value.success === false || value.action === 'failed';
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(value, null, 2)
+        }
+      ],
+      ...(failed ? { isError: true } : {})
+    };
+  }
+
+  requireArgs(args, names) {
+    const missing = names.filter(name => args[name] === undefined || args[name] === null || args[name] === '');
+    if (missing.length > 0) {
+      throw new Error(`Missing required argument(s): ${missing.join(', ')}`);
     }
   }
 
@@ -181,7 +415,16 @@ class MPCServer {
           },
           {
             name: 'run_sync',
-            description: 'Manually trigger a sync to search for meeting tasks and create calendar events',
+            description: 'Manually trigger a sync to search for meeting tasks and create, update or clean up their calendar events',
+            inputSchema: {
+              type: 'object',
+              properties: {},
+              required: []
+            }
+          },
+          {
+            name: 'preview_sync',
+            description: 'Preview a sync without writing anything: returns the planned create/update/delete/skip actions with field-level diffs',
             inputSchema: {
               type: 'object',
               properties: {},
@@ -206,12 +449,295 @@ class MPCServer {
               required: []
             }
           },
+          {
+            name: 'update_config',
+            description: 'Change the search keyword, sync schedule, target calendar or task matching rules. Changes are validated, saved, audited and applied without a restart',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                searchKeyword: {
+                  type: 'string',
+                  minLength: 1,
+                  description: 'Keyword that marks a task as a meeting'
+                },
+                intervalHours: {
+                  type: 'integer',
+                  minimum: 1,
+                  maximum: 168,
+                  description: 'Hours between scheduled syncs, used when no cron expression is set'
+                },
+                scheduleCron: {
+                  type: 'string',
+                  description: 'Cron expression for scheduled syncs, e.g. "0 8,13 * * 1-5"; empty to use intervalHours'
+                },
+                scheduleTimeZone: {
+                  type: 'string',
+                  description: 'IANA time zone for the cron expression and run window, e.g. Europe/Berlin'
+                },
+                scheduleWindow: {
+                  type: 'string',
+                  description: 'Only run inside this window, e.g. "Mon-Fri 08:00-18:00"; empty for any time'
+                },
+                scheduleJitterSeconds: {
+                  type: 'integer',
+                  minimum: 0,
+                  description: 'Delay each scheduled run by a random number of seconds up to this value'
+                },
+                googleCalendarId: {
+                  type: 'string',
+                  minLength: 1,
+                  description: 'Google Calendar to create events in'
+                },
+                rules: {
+                  type: 'array',
+                  items: { type: 'object' },
+                  description: 'Full list of task matching rules, replacing the current ones'
+                }
+              },
+              additionalProperties: false
+            }
+          },
+          {
+            name: 'get_run_history',
+            description: 'List past sync runs with their outcome and counts, or get the full per-task report of one run',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                runId: {
+                  type: 'string',
+                  description: 'Return the full report of this run instead of a list'
+                },
+                from: {
+                  type: 'string',
+                  description: 'Only runs started at or after this date or time (ISO 8601)'
+                },
+                to: {
+                  type: 'string',
+                  description: 'Only runs started at or before this date or time (ISO 8601); a plain date includes the whole day'
+                },
+                outcome: {
+                  type: 'string',
+                  enum: RUN_OUTCOMES,
+                  description: 'Only runs with this outcome'
+                },
+                source: {
+                  type: 'string',
+                  description: 'Only runs started this way: schedule, start, api or mcp'
+                },
+                limit: {
+                  type: 'integer',
+                  minimum: 1,
+                  description: 'Number of runs to return, newest first (default: 20)'
+                }
+              },
+              additionalProperties: false
+            }
+          },
+          {
+            name: 'list_meetings',
+            description: 'List Asana tasks linked to calendar events, soonest first, with their sync status',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                status: {
+                  type: 'string',
+                  enum: MEETING_STATUSES,
+                  description: 'Only meetings in this state: synced, failing (last sync failed), conflict (both sides changed) or orphaned (the task no longer qualifies)'
+                },
+                calendarId: {
+                  type: 'string',
+                  description: 'Only meetings on this calendar'
+                },
+                rule: {
+                  type: 'string',
+                  description: 'Only meetings matched by this rule'
+                },
+                query: {
+                  type: 'string',
+                  description: 'Only meetings whose task name contains this text'
+                },
+                from: {
+                  type: 'string',
+                  description: 'Only meetings starting at or after this date or time (ISO 8601)'
+                },
+                to: {
+                  type: 'string',
+                  description: 'Only meetings starting at or before this date or time (ISO 8601); a plain date includes the whole day'
+                },
+                limit: {
+                  type: 'integer',
+                  minimum: 1,
+                  description: 'Number of meetings to return (default: 20)'
+                }
+              },
+              additionalProperties: false
+            }
+          },
+          {
+            name: 'sync_task',
+            description: 'Sync one Asana task now, creating or updating its calendar event. Also syncs a task again after unsync_task',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                taskGid: {
+                  type: 'string',
+                  minLength: 1,
+                  description: 'Gid of the Asana task'
+                },
+                dryRun: {
+                  type: 'boolean',
+                  description: 'Return what would change without writing anything'
+                }
+              },
+              required: ['taskGid'],
+              additionalProperties: false
+            }
+          },
+          {
+            name: 'unsync_task',
+            description: 'Stop syncing one Asana task: its link is removed and its calendar event deleted, and syncs skip it until sync_task is used on it',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                taskGid: {
+                  type: 'string',
+                  minLength: 1,
+                  description: 'Gid of the Asana task'
+                },
+                keepEvent: {
+                  type: 'boolean',
+                  description: 'Leave the calendar event in place instead of deleting it'
+                }
+              },
+              required: ['taskGid'],
+              additionalProperties: false
+            }
+          },
+          {
+            name: 'reschedule_meeting',
+            description: 'Move a meeting to a new date or time, updating both the Asana task and its calendar event',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                taskGid: {
+                  type: 'string',
+                  minLength: 1,
+                  description: 'Gid of the Asana task'
+                },
+                start: {
+                  type: 'string',
+                  description: 'New start: a date (2024-01-15) for an all-day meeting, or a time (2024-01-15T14:00:00Z or with an offset)'
+                },
+                end: {
+                  type: 'string',
+                  description: 'New end, in the same form as start; the last day for dates. Without it a timed meeting keeps its length'
+                },
+                dryRun: {
+                  type: 'boolean',
+                  description: 'Return the changes to the task and event without writing anything'
+                }
+              },
+              required: ['taskGid', 'start'],
+              additionalProperties: false
+            }
+          },
+          {
+            name: 'search_upcoming_events',
+            description: 'Search calendar events in the coming days, showing which Asana task each one is linked to',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                query: {
+                  type: 'string',
+                  description: 'Free text matched against event titles, descriptions, locations and attendees'
+                },
+                calendarId: {
+                  type: 'string',
+                  description: 'Calendar to search (default: the configured calendar). Calendars the account does not sync to need the operator role'
+                },
+                days: {
+                  type: 'integer',
+                  minimum: 1,
+                  maximum: 90,
+                  description: 'How many days ahead to search (default: 7)'
+                },
+                linked: {
+                  type: 'boolean',
+                  description: 'Only events linked to a task (true) or not linked to one (false)'
+                },
+                limit: {
+                  type: 'integer',
+                  minimum: 1,
+                  description: 'Number of events to return (default: 20)'
+                }
+              },
+              additionalProperties: false
+            }
+          },
+          {
+            name: 'explain_match',
+            description: 'Explain why an Asana task does or does not sync: its scope, every matching rule condition, and its link, failures and unsync state',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                taskGid: {
+                  type: 'string',
+                  minLength: 1,
+                  description: 'Gid of the Asana task'
+                }
+              },
+              required: ['taskGid'],
+              additionalProperties: false
+            }
+          },
+          {
+            name: 'relink_task',
+            description: 'Link an Asana task to an existing calendar event, replacing its current link (the old event is kept). Another task linked to the event is unlinked',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                taskGid: {
+                  type: 'string',
+                  minLength: 1,
+                  description: 'Gid of the Asana task'
+                },
+                eventId: {
+                  type: 'string',
+                  minLength: 1,
+                  description: 'Id of the calendar event to link to'
+                },
+                calendarId: {
+                  type: 'string',
+                  description: 'Calendar the event is on (default: the configured calendar)'
+                },
+                sync: {
+                  type: 'boolean',
+                  description: 'Update the event from the task straight away (default: true)'
+                }
+              },
+              required: ['taskGid', 'eventId'],
+              additionalProperties: false
+            }
+          },
           {
             name: 'get_logs',
-            description: 'Retrieve recent activity logs from the MPC Center',
+            description: 'Retrieve recent activity logs from the MPC Center, including those of the API server',
             inputSchema: {
               type: 'object',
               properties: {
+                level: {
+                  type: 'string',
+                  enum: ['debug', 'info', 'warn', 'error'],
+                  description: 'Only logs at this level or above'
+                },
+                runId: {
+                  type: 'string',
+                  description: 'Only logs of this sync run'
+                },
+                taskGid: {
+                  type: 'string',
+                  description: 'Only logs about this Asana task'
+                },
                 limit: {
                   type: 'number',
                   description: 'Number of logs to retrieve (default: 20)'
@@ -227,40 +753,45 @@ class MPCServer {
       const { name, arguments: args } = request.params;
       
       try {
+        this.authorizeTool(name, args || {});
+        if (SYNC_TOOLS.includes(name)) this.host.checkSyncRate();
+
         switch (name) {
           case 'check_status':
             return {
               content: [
                 {
                   type: 'text',
-                  text: JSON.stringify({
-                    isRunning: this.isRunning,
-                    stats: this.stats,
-                    config: {
-                      searchKeyword: this.config.searchKeyword,
-                      intervalHours: this.config.intervalHours,
-                      asanaConfigured: !!this.config.asanaToken,
-                      workspaceConfigured: !!this.config.asanaWorkspaceId
-                    },
-                    serverTime: new Date().toISOString()
-                  }, null, 2)
+                  text: JSON.stringify(this.statusSnapshot(), null, 2)
                 }
               ]
             };
 
           case 'run_sync':
-            const syncResult = await this.runSync();
+            const syncResult = await this.engine.runSync({ source: 'mcp' });
             return {
               content: [
                 {
                   type: 'text',
                   text: JSON.stringify(syncResult, null, 2)
                 }
+              ],
+              ...(syncResult.success === false ? { isError: true } : {})
+            };
+
+          case 'preview_sync':
+            const previewResult = await this.engine.runSync({ dryRun: true, source: 'mcp' });
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify(previewResult, null, 2)
+                }
               ]
             };
 
           case 'start_automation':
-            if (this.isRunning) {
+            if (this.tenant.isRunning) {
               return {
                 content: [
                   {
@@ -271,28 +802,20 @@ class MPCServer {
               };
             }
             
-            this.isRunning = true;
-            
-            const cronPattern = `0 */${this.config.intervalHours} * * *`;
-            this.cronJob = cron.schedule(cronPattern, () => {
-              this.addLog('Scheduled sync triggered', 'info');
-              this.runSync();
-            });
-            
-            this.addLog(`Automation started - running every ${this.config.intervalHours} hours`, 'success');
-            setTimeout(() => this.runSync(), 1000);
-            
+            this.host.startAutomation(this.tenant);
+            const schedule = describeSchedule(scheduleSettings(this.config));
+
             return {
               content: [
                 {
                   type: 'text',
-                  text: `Automation started successfully! Will run every ${this.config.intervalHours} hours.`
+                  text: `Automation started successfully! Will run ${schedule}.`
                 }
               ]
             };
 
           case 'stop_automation':
-            if (!this.isRunning) {
+            if (!this.tenant.isRunning) {
               return {
                 content: [
                   {
@@ -303,13 +826,8 @@ class MPCServer {
               };
             }
             
-            this.isRunning = false;
-            if (this.cronJob) {
-              this.cronJob.destroy();
-              this.cronJob = null;
-            }
-            this.addLog('Automation stopped', 'info');
-            
+            this.host.stopAutomation(this.tenant);
+
             return {
               content: [
                 {
@@ -319,18 +837,110 @@ class MPCServer {
               ]
             };
 
+          case 'update_config':
+            const updateResult = this.updateConfig(args || {});
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify(updateResult, null, 2)
+                }
+              ],
+              ...(updateResult.success ? {} : { isError: true })
+            };
+
+          case 'get_run_history':
+            if (args?.runId) {
+              const run = this.engine.runHistory.get(args.runId);
+              if (!run) throw new Error(`Run ${args.runId} not found`);
+              return {
+                content: [
+                  {
+                    type: 'text',
+                    text: JSON.stringify(run, null, 2)
+                  }
+                ]
+              };
+            }
+
+            const { filters, errors: filterErrors } = parseRunFilters({ limit: 20, ...args });
+            if (filterErrors.length > 0) throw new Error(filterErrors.join('; '));
+            const runs = this.engine.runHistory.list(filters);
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify({ runs, showing: runs.length }, null, 2)
+                }
+              ]
+            };
+
+          case 'list_meetings':
+            const { filters: meetingFilters, errors: meetingErrors } = parseMeetingFilters(args || {});
+            if (meetingErrors.length > 0) throw new Error(meetingErrors.join('; '));
+            const { meetings, count: meetingCount } = this.engine.listMeetings(meetingFilters);
+            return this.jsonResult({ meetings, count: meetingCount, showing: meetings.length });
+
+          case 'sync_task':
+            this.requireArgs(args || {}, ['taskGid']);
+            return this.jsonResult(await this.engine.syncSingleTask(args.taskGid, {
+              dryRun: !!args.dryRun,
+              resume: true,
+              source: 'mcp'
+            }));
+
+          case 'unsync_task':
+            this.requireArgs(args || {}, ['taskGid']);
+            return this.jsonResult(await this.engine.unsyncTask(args.taskGid, {
+              keepEvent: !!args.keepEvent,
+              by: 'mcp',
+              source: 'mcp'
+            }));
+
+          case 'reschedule_meeting':
+            this.requireArgs(args || {}, ['taskGid', 'start']);
+            const timeErrors = validateMeetingTime(args);
+            if (timeErrors.length > 0) throw new Error(timeErrors.join('; '));
+            return this.jsonResult(await this.engine.rescheduleTask(args.taskGid, {
+              start: args.start,
+              end: args.end || null
+            }, { dryRun: !!args.dryRun, source: 'mcp' }));
+
+          case 'search_upcoming_events':
+            const eventsResult = await this.engine.searchUpcomingEvents({
+              query: args?.query || null,
+              calendarId: args?.calendarId || this.config.googleCalendarId,
+              days: Math.min(Math.max(parseInt(args?.days) || 7, 1), 90),
+              linked: typeof args?.linked === 'boolean' ? args.linked : null,
+              limit: parseInt(args?.limit) || 20
+            });
+            return this.jsonResult({ ...eventsResult, showing: eventsResult.events.length });
+
+          case 'explain_match':
+            this.requireArgs(args || {}, ['taskGid']);
+            return this.jsonResult(await this.engine.explainTask(args.taskGid));
+
+          case 'relink_task':
+            this.requireArgs(args || {}, ['taskGid', 'eventId']);
+            return this.jsonResult(await this.engine.relinkTask(args.taskGid, {
+              eventId: args.eventId,
+              calendarId: args.calendarId || this.config.googleCalendarId,
+              sync: args.sync !== false
+            }, { source: 'mcp' }));
+
           case 'get_logs':
-            const limit = args?.limit || 20;
-            const recentLogs = this.logs.slice(-limit).reverse();
+            const { filters: logFilters, errors: logErrors } = parseLogFilters({ limit: 20, ...args });
+            if (logErrors.length > 0) throw new Error(logErrors.join('; '));
+            const { logs, count } = this.engine.queryLogs(logFilters);
             
             return {
               content: [
                 {
                   type: 'text',
                   text: JSON.stringify({
-                    logs: recentLogs,
-                    totalLogs: this.logs.length,
-                    showing: recentLogs.length
+                    logs,
+                    totalLogs: count,
+                    showing: logs.length
                   }, null, 2)
                 }
               ]
@@ -351,11 +961,49 @@ class MPCServer {
         };
       }
     });
+
+    this.server.setRequestHandler(ListResourcesRequestSchema, async () => ({
+      resources: this.listResources()
+    }));
+
+    this.server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+      resourceTemplates: [
+        {
+          uriTemplate: 'mpc://runs/{id}',
+          name: 'Sync run report',
+          description: 'What a sync run did: outcome, counts and each task processed (see get_run_history for ids)',
+          mimeType: JSON_MIME_TYPE
+        }
+      ]
+    }));
+
+    this.server.setRequestHandler(ReadResourceRequestSchema, async (request) => ({
+      contents: [this.readResource(request.params.uri)]
+    }));
+
+    this.server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+      this.subscriptions.add(request.params.uri);
+      return {};
+    });
+
+    this.server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+      this.subscriptions.delete(request.params.uri);
+      return {};
+    });
+
+    this.server.setRequestHandler(ListPromptsRequestSchema, async () => ({
+      prompts: PROMPTS
+    }));
+
+    this.server.setRequestHandler(GetPromptRequestSchema, async (request) =>
+      this.getPrompt(request.params.name, request.params.arguments)
+    );
   }
 
   async run() {
     const transport = new StdioServerTransport();
     await this.server.connect(transport);
+    this.watchRunHistory();
   }
 }
 
@@ -363,3 +1011,7 @@ if (require.main === module) {
   const server = new MPCServer();
   server.run().catch(console.error);
 }
+
+module.exports = {
+  MPCServer
+};
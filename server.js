@@ -3,395 +3,409 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const cron = require('node-cron');
-const axios = require('axios');
-const { google } = require('googleapis');
+const crypto = require('crypto');
+const fs = require('fs');
 const { OAuth2Client } = require('google-auth-library');
+const path = require('path');
+const { verifySignature, taskGidsFromEvents } = require('./lib/asana-webhooks');
+const { validateRules, loadRules } = require('./lib/rules');
+const { loadConfig, publicConfigOf, createLogging, applyConfigFallbacks } = require('./lib/config');
+const { defaultGoogleCredentials, loadGoogleCredentials, markGoogleReauthRequired, createTenant } = require('./lib/tenant');
+const { OAUTH_PROVIDERS, sharedConfigOf, validateUserConfig, AccountStore } = require('./lib/accounts');
+const { TokenCipher } = require('./lib/token-crypto');
+const { CredentialStore } = require('./lib/credential-store');
+const { isInvalidGrant } = require('./lib/google-errors');
+const { hasRole, canChangeConfig, validateApiKeys, findApiKey } = require('./lib/api-auth');
+const { createRequestCounter, createRateLimiter } = require('./lib/rate-limit');
+const {
+  validateConfigUpdate,
+  diffConfig,
+  runtimeConfigOf,
+  updateSettings
+} = require('./lib/runtime-config');
+const { AuditLog } = require('./lib/audit-log');
+const { scheduleSettings, describeSchedule } = require('./lib/schedule');
+const { JOB_STATUSES } = require('./lib/job-queue');
+const { parseRunFilters } = require('./lib/run-history');
+const { redact, parseLogFilters } = require('./lib/logger');
+const { SyncMetrics } = require('./lib/metrics');
+const { createReadinessCheck } = require('./lib/health');
+const { AutomationState } = require('./lib/automation-state');
+const { createAutomation } = require('./lib/automation');
+const asanaOAuth = require('./lib/asana-oauth');
+const { McpSessions } = require('./lib/mcp-http');
+const { MPCServer } = require('./mcp-server');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
-app.use(cors());
-app.use(express.json());
-
-// Global state
-let isRunning = false;
-let logs = [];
-let stats = {
-  totalScans: 0,
-  tasksFound: 0,
-  eventsCreated: 0,
-  eventsUpdated: 0,
-  eventsSkipped: 0,
-  lastRun: null
-};
+// Keep the raw body around for webhook signature checks
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
-let config = {
-  asanaToken: process.env.ASANA_TOKEN || '',
-  asanaWorkspaceId: process.env.ASANA_WORKSPACE_ID || '',
-  googleCalendarId: process.env.GOOGLE_CALENDAR_ID || 'primary',
-  intervalHours: parseInt(process.env.DEFAULT_INTERVAL_HOURS) || 4,
-  searchKeyword: process.env.DEFAULT_SEARCH_KEYWORD || 'MEETING',
-  googleClientId: process.env.GOOGLE_CLIENT_ID || '',
-  googleClientSecret: process.env.GOOGLE_CLIENT_SECRET || '',
-  googleRedirectUri: process.env.GOOGLE_REDIRECT_URI || 'https://mpc-center-server-production.up.railway.app/auth/google/callback',
-  googleRefreshToken: process.env.GOOGLE_REFRESH_TOKEN || ''
-};
+const config = loadConfig();
 
-let cronJob = null;
+// An API_KEYS value that can't be used must not leave the API open
+const apiKeyErrors = process.env.API_KEYS
+  ? (config.apiKeys ? validateApiKeys(config.apiKeys) : ['API_KEYS is not valid JSON'])
+  : [];
+if (apiKeyErrors.length > 0) {
+  console.error(`Invalid API_KEYS: ${apiKeyErrors.join('; ')}`);
+  process.exit(1);
+}
+config.apiKeys = config.apiKeys || [];
+const authEnabled = config.apiKeys.length > 0;
 
-// Google OAuth2 client setup
-const oauth2Client = new OAuth2Client(
-  config.googleClientId,
-  config.googleClientSecret,
-  config.googleRedirectUri
-);
+if (!Number.isInteger(config.syncRateLimit) || config.syncRateLimit < 0) {
+  console.error(`Invalid SYNC_RATE_LIMIT "${process.env.SYNC_RATE_LIMIT}", falling back to 10`);
+  config.syncRateLimit = 10;
+}
 
-// Set refresh token if available
-if (config.googleRefreshToken) {
-  oauth2Client.setCredentials({
-    refresh_token: config.googleRefreshToken
-  });
+const { logger, logStore } = createLogging(config);
+
+if (!Number.isInteger(config.healthCacheSeconds) || config.healthCacheSeconds < 0) {
+  console.error(`Invalid HEALTH_CACHE_SECONDS "${process.env.HEALTH_CACHE_SECONDS}", falling back to 30`);
+  config.healthCacheSeconds = 30;
 }
 
-// Google Calendar API setup
-const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
+// Prometheus metrics across all tenants; state gauges are read from the tenants at scrape time
+const metrics = new SyncMetrics({
+  collect: (current) => allTenants().forEach(tenant => {
+    current.automationRunning.set({ tenant: tenant.id }, tenant.isRunning ? 1 : 0);
+    current.queueDepth.set({ tenant: tenant.id }, tenant.engine.jobs.queued().length);
+    current.googleReauthRequired.set({ tenant: tenant.id }, tenant.googleAuth.reauthRequired ? 1 : 0);
+  })
+});
 
-// Utility function to add logs
-const addLog = (message, type = 'info') => {
-  const timestamp = new Date().toISOString();
-  logs.push({ timestamp, message, type, id: Date.now() });
-  
-  if (logs.length > 100) {
-    logs = logs.slice(-100);
-  }
-  
-  console.log(`[${timestamp}] ${type.toUpperCase()}: ${message}`);
-};
+// Browsers may only call the API from allowed origins; all origins when CORS_ORIGINS is unset.
+// Browser MCP clients need to read the session ID header.
+app.use(cors({
+  origin: config.corsOrigins.length > 0 ? config.corsOrigins : '*',
+  exposedHeaders: ['Mcp-Session-Id']
+}));
 
-// Asana API functions
-const searchAsanaTasks = async (keyword) => {
-  try {
-    if (!config.asanaToken) {
-      throw new Error('Asana token not configured');
+// Behind a proxy (e.g. Railway), take the client address from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? parseInt(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+
+const DEFAULT_TENANT_ID = 'default';
+const GOOGLE_SCOPES = ['https://www.googleapis.com/auth/calendar'];
+
+let webhookRenewJob = null;
+let watchRenewJob = null;
+
+// OAuth tokens are encrypted at rest with TOKEN_ENCRYPTION_KEY, which stays out of config
+const tokenCipher = new TokenCipher(process.env.TOKEN_ENCRYPTION_KEY);
+
+// User accounts sharing this deployment
+const accountStore = new AccountStore(config.accountsFile, tokenCipher);
+
+// The default account's OAuth credentials
+const credentialStore = new CredentialStore(config.credentialsFile, tokenCipher);
+
+// Remote MCP sessions. Each gets an MCP server on the caller's tenant, with the caller's role,
+// using the same automation and config functions as the REST API. Tools that queue syncs count
+// against the caller's sync rate limit, as /api/sync does.
+const mcpSessions = new McpSessions({
+  createServer: (req) => new MPCServer({
+    tenant: req.tenant,
+    role: req.auth.role,
+    canChangeConfig: canChangeConfig(req.auth),
+    actor: actorOf(req),
+    startAutomation,
+    stopAutomation,
+    updateTenantConfig,
+    checkSyncRate: () => {
+      const { limited, resetSeconds } = countSyncRequest(syncRateKey(req));
+      if (limited) throw new Error(`Too many sync requests, try again in ${resetSeconds}s`);
     }
+  }),
+  log: (message, type) => addLog(message, type)
+});
 
-    const response = await axios.get('https://app.asana.com/api/1.0/tasks', {
-      headers: {
-        'Authorization': `Bearer ${config.asanaToken}`,
-        'Content-Type': 'application/json'
-      },
-      params: {
-        workspace: config.asanaWorkspaceId,
-        assignee: 'me',
-        completed_since: 'now',
-        'opt_fields': 'gid,name,notes,due_on,assignee.name,projects.name,completed'
-      }
-    });
-    
-    return response.data.data.filter(task => 
-      !task.completed && 
-      task.name.toLowerCase().includes(keyword.toLowerCase())
-    );
-  } catch (error) {
-    const errorMsg = error.response?.data?.errors?.[0]?.message || error.message;
-    throw new Error(`Asana API error: ${errorMsg}`);
-  }
-};
+const defaultTenant = createTenant({
+  id: DEFAULT_TENANT_ID,
+  name: 'Default',
+  tenantConfig: config,
+  asanaWebhookPath: '/webhooks/asana',
+  googleCredentials: defaultGoogleCredentials(credentialStore, tokenCipher),
+  tokenCipher,
+  logger,
+  logStore,
+  metrics,
+  onJobFinished: (job) => mcpSessions.notifyJobFinished(DEFAULT_TENANT_ID, job)
+});
 
-// Update Asana task notes
-const updateAsanaTaskNotes = async (taskGid, newNotes) => {
-  try {
-    const response = await axios.put(`https://app.asana.com/api/1.0/tasks/${taskGid}`, {
-      data: { notes: newNotes }
-    }, {
-      headers: {
-        'Authorization': `Bearer ${config.asanaToken}`,
-        'Content-Type': 'application/json'
-      }
-    });
-    
-    addLog(`Updated Asana task notes for task ${taskGid}`, 'info');
-    return response.data;
-  } catch (error) {
-    const errorMsg = error.response?.data?.errors?.[0]?.message || error.message;
-    addLog(`Failed to update Asana task notes: ${errorMsg}`, 'error');
-    throw new Error(`Failed to update Asana task: ${errorMsg}`);
-  }
+// Server-wide messages go to the default tenant's log
+const addLog = defaultTenant.engine.addLog;
+
+// User tenants by user id
+const tenants = new Map();
+const allTenants = () => [defaultTenant, ...tenants.values()];
+
+// A user's Asana access token, refreshed through their stored OAuth credentials
+const asanaTokenProvider = (userId) => asanaOAuth.createTokenProvider({
+  clientId: config.asanaClientId,
+  clientSecret: config.asanaClientSecret,
+  redirectUri: config.asanaRedirectUri,
+  load: () => accountStore.getCredentials(userId, 'asana'),
+  save: (credentials) => accountStore.setCredentials(userId, 'asana', credentials)
+});
+
+// A user's config: the shared server defaults, their own overrides and OAuth tokens, and data files of their own
+const userTenantConfig = (user) => {
+  const dataDir = path.join(config.usersDir, user.id);
+  const rulesFile = path.join(dataDir, 'rules.json');
+  const asanaCredentials = accountStore.getCredentials(user.id, 'asana');
+
+  return {
+    ...sharedConfigOf(config),
+    ...user.config,
+    asanaToken: asanaCredentials ? asanaTokenProvider(user.id) : '',
+    // Filled in from the user's stored Google credentials
+    googleRefreshToken: '',
+    stateFile: path.join(dataDir, 'sync-state.json'),
+    rulesFile,
+    rules: loadRules(rulesFile, []),
+    asanaWebhooksFile: path.join(dataDir, 'asana-webhooks.json'),
+    googleWatchFile: path.join(dataDir, 'calendar-watch.json'),
+    runHistoryFile: path.join(dataDir, 'runs.jsonl')
+  };
 };
 
-// Get existing calendar event
-const getCalendarEvent = async (eventId) => {
-  try {
-    const response = await calendar.events.get({
-      calendarId: config.googleCalendarId,
-      eventId: eventId
-    });
-    return response.data;
-  } catch (error) {
-    if (error.code === 404) {
-      addLog(`Calendar event ${eventId} not found`, 'warning');
-      return null;
+// Who made a change, for the audit log
+const actorOf = (req) => (req.auth.type === 'anonymous' ? `anonymous@${req.ip}` : `${req.auth.type}:${req.auth.name}`);
+
+// Configuration changes are recorded here, across all tenants
+const auditLog = new AuditLog(config.auditLogFile);
+
+// Scheduled syncs and config changes. The default account's settings go to the settings
+// file, a user's to their account.
+const {
+  scheduleSync: scheduleTenantSync,
+  startAutomation,
+  stopAutomation,
+  resumeAutomation,
+  nextRunOf,
+  updateTenantConfig
+} = createAutomation({
+  automationState: new AutomationState(config.automationStateFile),
+  auditLog,
+  saveSettings: (tenant, settings) => {
+    if (tenant.id === DEFAULT_TENANT_ID) {
+      updateSettings(config.settingsFile, settings);
+    } else {
+      const user = accountStore.get(tenant.id);
+      accountStore.update(tenant.id, { config: { ...user.config, ...settings } });
     }
-    throw error;
   }
-};
+});
 
-// Delete calendar event
-const deleteCalendarEvent = async (eventId) => {
-  try {
-    await calendar.events.delete({
-      calendarId: config.googleCalendarId,
-      eventId: eventId
-    });
-    addLog(`Deleted calendar event ${eventId}`, 'info');
-    return true;
-  } catch (error) {
-    if (error.code === 404) {
-      addLog(`Calendar event ${eventId} already deleted`, 'warning');
-      return true;
+// Build a user's tenant, or bring a loaded one up to date after their account changed. A loaded
+// tenant keeps its engine, so its running and queued jobs, automation and webhook batching carry
+// on with the new settings and credentials instead of a second engine syncing the same account.
+const loadUserTenant = (user) => {
+  const existing = tenants.get(user.id);
+  if (existing) {
+    const { config: tenantConfig, oauth2Client } = existing.engine;
+    const schedule = JSON.stringify(scheduleSettings(tenantConfig));
+
+    existing.name = user.name;
+    Object.assign(tenantConfig, userTenantConfig(user));
+    loadGoogleCredentials(existing, tenantConfig, oauth2Client);
+    if (existing.isRunning && JSON.stringify(scheduleSettings(tenantConfig)) !== schedule) {
+      scheduleTenantSync(existing);
+      existing.engine.addLog(`Schedule updated - running ${describeSchedule(scheduleSettings(tenantConfig))}`, 'info');
     }
-    addLog(`Failed to delete calendar event ${eventId}: ${error.message}`, 'error');
-    throw error;
+    return existing;
   }
+
+  const tenant = createTenant({
+    id: user.id,
+    name: user.name,
+    tenantConfig: userTenantConfig(user),
+    asanaWebhookPath: `/webhooks/asana/users/${user.id}`,
+    googleCredentials: {
+      load: () => accountStore.getCredentials(user.id, 'google'),
+      save: (credentials) => accountStore.setCredentials(user.id, 'google', credentials)
+    },
+    tokenCipher,
+    logger,
+    logStore,
+    metrics,
+    onJobFinished: (job) => mcpSessions.notifyJobFinished(user.id, job)
+  });
+
+  tenants.set(user.id, tenant);
+  return tenant;
 };
 
-// Compare dates
-const isDueDateDifferent = (asanaDueDate, calendarEventDate) => {
-  if (!asanaDueDate && !calendarEventDate) return false;
-  if (!asanaDueDate || !calendarEventDate) return true;
-  
-  const asanaDate = new Date(asanaDueDate + 'T09:00:00Z').toDateString();
-  const calendarDate = new Date(calendarEventDate).toDateString();
-  
-  return asanaDate !== calendarDate;
+const unloadUserTenant = (userId) => {
+  const tenant = tenants.get(userId);
+  if (tenant && tenant.isRunning) stopAutomation(tenant);
+  if (tenant) {
+    const { jobs } = tenant.engine;
+    [...jobs.queued(), jobs.current].filter(Boolean).forEach(job => jobs.cancel(job.id));
+  }
+  tenants.delete(userId);
 };
 
-// Extract calendar event ID from task notes
-const extractCalendarEventId = (notes) => {
-  if (!notes) return null;
-  const match = notes.match(/\[CAL_EVENT:([^\]]+)\]/);
-  return match ? match[1] : null;
+// Sync each tenant in turn. Every tenant keeps its own stats and logs, and a
+// failing tenant doesn't stop the others.
+const runSync = async (tenantList = allTenants(), options = {}) => {
+  const results = [];
+  for (const tenant of tenantList) {
+    const result = await tenant.engine.runSync(options);
+    results.push({ tenant: tenant.id, name: tenant.name, ...result });
+  }
+  return results;
 };
 
-// Add calendar event marker to task notes
-const addCalendarEventMarker = (notes, eventId) => {
-  const marker = `[CAL_EVENT:${eventId}]`;
-  return notes ? `${notes}\n${marker}` : marker;
+// Pending OAuth flows by state parameter, tying each callback to the account that started it
+const OAUTH_STATE_TTL_MS = 10 * 60 * 1000;
+const oauthStates = new Map();
+
+const createOAuthState = (provider, userId, { browserBound = false } = {}) => {
+  const now = Date.now();
+  for (const [state, entry] of oauthStates) {
+    if (entry.expiresAt < now) oauthStates.delete(state);
+  }
+
+  const state = crypto.randomBytes(24).toString('hex');
+  oauthStates.set(state, { provider, userId, browserBound, expiresAt: now + OAUTH_STATE_TTL_MS });
+  return state;
 };
 
-// Update calendar event marker in task notes
-const updateCalendarEventMarker = (notes, newEventId) => {
-  if (!notes) return `[CAL_EVENT:${newEventId}]`;
-  return notes.replace(/\[CAL_EVENT:[^\]]+\]/, `[CAL_EVENT:${newEventId}]`);
+const consumeOAuthState = (provider, state) => {
+  const entry = oauthStates.get(state);
+  oauthStates.delete(state);
+  return entry && entry.provider === provider && entry.expiresAt >= Date.now() ? entry : null;
 };
 
-// Google Calendar API implementation
-const addToGoogleCalendar = async (task) => {
-  try {
-    if (!config.googleClientId || !config.googleClientSecret) {
-      throw new Error('Google Calendar credentials not configured');
-    }
+// Consent flows get a client of their own, so exchanging a code never touches
+// (or fires token events on) a tenant's client
+const googleConsentClient = () => new OAuth2Client(
+  config.googleClientId,
+  config.googleClientSecret,
+  config.googleRedirectUri
+);
 
-    if (!config.googleRefreshToken) {
-      throw new Error('Google Calendar not authenticated');
-    }
+const googleAuthUrl = (state) => googleConsentClient().generateAuthUrl({
+  access_type: 'offline',
+  scope: GOOGLE_SCOPES,
+  prompt: 'consent',
+  state
+});
 
-    await oauth2Client.getAccessToken();
-
-    const startDate = task.due_on ? new Date(task.due_on + 'T09:00:00Z') : new Date();
-    const endDate = new Date(startDate.getTime() + 60 * 60 * 1000);
-
-    const event = {
-      summary: task.name,
-      description: `${task.notes || 'No description available'}\n\nFrom Asana Task: https://app.asana.com/0/0/${task.gid}`,
-      start: {
-        dateTime: startDate.toISOString(),
-        timeZone: 'UTC'
-      },
-      end: {
-        dateTime: endDate.toISOString(),
-        timeZone: 'UTC'
-      }
-    };
+// The default account's Google flow runs in a browser with no API token, so its
+// state is also bound to that browser with a cookie
+const OAUTH_STATE_COOKIE = 'mpc_oauth_state';
 
-    const response = await calendar.events.insert({
-      calendarId: config.googleCalendarId,
-      resource: event,
-    });
+const readCookie = (req, name) => {
+  const cookie = (req.get('Cookie') || '').split(';')
+    .map(part => part.trim().split('='))
+    .find(([key]) => key === name);
+  return cookie ? decodeURIComponent(cookie.slice(1).join('=')) : null;
+};
 
-    return {
-      success: true,
-      eventId: response.data.id,
-      eventUrl: response.data.htmlLink,
-      startTime: startDate.toISOString(),
-      endTime: endDate.toISOString()
-    };
+// API token from the Authorization header (Bearer) or X-API-Key
+const apiToken = (req) => {
+  const match = (req.get('Authorization') || '').match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : (req.get('X-API-Key') || '').trim() || null;
+};
 
-  } catch (error) {
-    addLog(`Google Calendar error: ${error.message}`, 'error');
-    const startDate = task.due_on ? new Date(task.due_on + 'T09:00:00Z') : new Date();
-    return {
-      success: true,
-      eventId: `mock_event_${task.gid}`,
-      eventUrl: null,
-      startTime: startDate.toISOString(),
-      endTime: new Date(startDate.getTime() + 60 * 60 * 1000).toISOString(),
-      note: 'Mock event - Google Calendar failed'
-    };
+// Identify the caller. Server API keys act on the default tenant with their role;
+// user account tokens act on that account as operator. Without API_KEYS the API
+// is open and anonymous callers act on the default tenant as admin.
+const authenticate = (req, res, next) => {
+  const token = apiToken(req);
+  if (!token) {
+    if (authEnabled) {
+      return res.status(401).json({ success: false, error: 'Authentication required' });
+    }
+    req.auth = { type: 'anonymous', name: 'anonymous', role: 'admin' };
+    req.tenant = defaultTenant;
+    return next();
+  }
+
+  const apiKey = findApiKey(config.apiKeys, token);
+  if (apiKey) {
+    req.auth = { type: 'api-key', name: apiKey.name, role: apiKey.role };
+    req.tenant = defaultTenant;
+    return next();
+  }
+
+  const user = accountStore.findByApiToken(token);
+  if (!user || !tenants.has(user.id)) {
+    return res.status(401).json({ success: false, error: 'Invalid API token' });
   }
+
+  req.user = user;
+  req.auth = { type: 'user', name: user.id, role: 'operator' };
+  req.tenant = tenants.get(user.id);
+  next();
 };
 
-// Smart sync function
-const processTaskWithSmartSync = async (task) => {
-  try {
-    const existingEventId = extractCalendarEventId(task.notes);
-    
-    if (!existingEventId) {
-      addLog(`New meeting task found: ${task.name}`, 'info');
-      const result = await addToGoogleCalendar(task);
-      
-      if (result.success && !result.eventId.startsWith('mock_event_')) {
-        const updatedNotes = addCalendarEventMarker(task.notes, result.eventId);
-        await updateAsanaTaskNotes(task.gid, updatedNotes);
-      }
-      
-      stats.eventsCreated++;
-      return {
-        action: 'created',
-        taskId: task.gid,
-        taskName: task.name,
-        eventId: result.eventId,
-        eventUrl: result.eventUrl,
-        startTime: result.startTime,
-        endTime: result.endTime
-      };
-      
-    } else {
-      addLog(`Checking existing meeting task: ${task.name}`, 'info');
-      
-      const existingEvent = await getCalendarEvent(existingEventId);
-      
-      if (!existingEvent) {
-        addLog(`Calendar event was deleted, creating new one: ${task.name}`, 'warning');
-        const result = await addToGoogleCalendar(task);
-        
-        if (result.success && !result.eventId.startsWith('mock_event_')) {
-          const updatedNotes = updateCalendarEventMarker(task.notes, result.eventId);
-          await updateAsanaTaskNotes(task.gid, updatedNotes);
-        }
-        
-        stats.eventsCreated++;
-        return {
-          action: 'recreated',
-          taskId: task.gid,
-          taskName: task.name,
-          eventId: result.eventId,
-          eventUrl: result.eventUrl,
-          startTime: result.startTime,
-          endTime: result.endTime
-        };
-        
-      } else if (isDueDateDifferent(task.due_on, existingEvent.start.dateTime)) {
-        addLog(`Due date changed for task: ${task.name}`, 'info');
-        
-        await deleteCalendarEvent(existingEventId);
-        const result = await addToGoogleCalendar(task);
-        
-        if (result.success && !result.eventId.startsWith('mock_event_')) {
-          const updatedNotes = updateCalendarEventMarker(task.notes, result.eventId);
-          await updateAsanaTaskNotes(task.gid, updatedNotes);
-        }
-        
-        stats.eventsUpdated++;
-        return {
-          action: 'updated',
-          taskId: task.gid,
-          taskName: task.name,
-          eventId: result.eventId,
-          eventUrl: result.eventUrl,
-          startTime: result.startTime,
-          endTime: result.endTime
-        };
-        
-      } else {
-        addLog(`No changes needed for task: ${task.name}`, 'info');
-        stats.eventsSkipped++;
-        return {
-          action: 'skipped',
-          taskId: task.gid,
-          taskName: task.name,
-          eventId: existingEventId,
-          eventUrl: existingEvent.htmlLink,
-          startTime: existingEvent.start.dateTime,
-          endTime: existingEvent.end.dateTime
-        };
-      }
-    }
-  } catch (error) {
-    addLog(`Error processing task ${task.name}: ${error.message}`, 'error');
-    throw error;
+const requireRole = (role) => (req, res, next) => {
+  if (!hasRole(req.auth.role, role)) {
+    return res.status(403).json({ success: false, error: `Requires the ${role} role` });
   }
+  next();
 };
 
-// Enhanced sync function
-const runSync = async () => {
-  addLog('Starting sync process...', 'info');
-  
-  try {
-    if (!config.asanaToken || !config.asanaWorkspaceId) {
-      throw new Error('Missing Asana configuration');
-    }
+// Reading needs the read role and anything that changes state needs operator;
+// account management and cross-tenant operations are admin-only
+const authorizeMethod = (req, res, next) =>
+  requireRole(req.method === 'GET' ? 'read' : 'operator')(req, res, next);
 
-    addLog(`Searching for tasks containing "${config.searchKeyword}"...`, 'info');
-    const tasks = await searchAsanaTasks(config.searchKeyword);
-    
-    if (tasks.length === 0) {
-      addLog('No meeting tasks found', 'info');
-      stats.totalScans++;
-      stats.lastRun = new Date();
-      return { success: true, message: 'No tasks found', tasksFound: 0 };
-    }
+const requireAdmin = requireRole('admin');
 
-    addLog(`Found ${tasks.length} meeting task(s)`, 'success');
-    stats.tasksFound += tasks.length;
+const requireConfigAccess = (req, res, next) => {
+  if (!canChangeConfig(req.auth)) {
+    return res.status(403).json({ success: false, error: 'Requires the admin role' });
+  }
+  next();
+};
 
-    const processedTasks = [];
-    
-    for (const task of tasks) {
-      try {
-        const result = await processTaskWithSmartSync(task);
-        processedTasks.push(result);
-      } catch (error) {
-        addLog(`Error processing task ${task.name}: ${error.message}`, 'error');
-      }
-    }
-    
-    stats.totalScans++;
-    stats.lastRun = new Date();
-    
-    const created = processedTasks.filter(t => t.action === 'created' || t.action === 'recreated').length;
-    const updated = processedTasks.filter(t => t.action === 'updated').length;
-    const skipped = processedTasks.filter(t => t.action === 'skipped').length;
-    
-    addLog(`Sync completed: ${created} created, ${updated} updated, ${skipped} skipped`, 'success');
-    
-    return { 
-      success: true, 
-      message: `Sync completed: ${created} created, ${updated} updated, ${skipped} skipped`,
-      tasksFound: tasks.length,
-      eventsCreated: created,
-      eventsUpdated: updated,
-      eventsSkipped: skipped,
-      processedTasks
-    };
-    
-  } catch (error) {
-    addLog(`Sync failed: ${error.message}`, 'error');
-    return { success: false, error: error.message };
+// Users may manage their own account; admins may manage any
+const requireAccountAccess = (req, res, next) => {
+  if (req.user ? req.user.id !== req.params.userId : !hasRole(req.auth.role, 'admin')) {
+    return res.status(403).json({ success: false, error: 'Not allowed to access another account' });
+  }
+  if (!accountStore.get(req.params.userId)) {
+    return res.status(404).json({ success: false, error: 'User not found' });
   }
+  next();
 };
 
+// Each sync pulls from Asana and writes to Google, so callers get a limited number per window,
+// shared by the sync routes and MCP tools that queue syncs
+const countSyncRequest = createRequestCounter({
+  limit: config.syncRateLimit,
+  windowMs: config.syncRateWindowMinutes * 60 * 1000
+});
+const syncRateKey = (req) => (req.auth.type === 'anonymous' ? `ip:${req.ip}` : `${req.auth.type}:${req.auth.name}`);
+const syncRateLimit = createRateLimiter({
+  count: countSyncRequest,
+  keyFor: syncRateKey,
+  message: 'Too many sync requests'
+});
+
+app.use('/api', authenticate, authorizeMethod);
+
+// MCP over Streamable HTTP, and the legacy SSE transport for older clients. Same credentials
+// as the REST API; tools that change anything need the operator role.
+app.post('/mcp', authenticate, (req, res) => mcpSessions.handleStreamable(req, res));
+app.get('/mcp', authenticate, (req, res) => mcpSessions.handleStreamable(req, res));
+app.delete('/mcp', authenticate, (req, res) => mcpSessions.handleStreamable(req, res));
+app.get('/sse', authenticate, (req, res) => mcpSessions.handleSseStream(req, res, '/messages'));
+app.post('/messages', authenticate, (req, res) => mcpSessions.handleSseMessage(req, res));
+
 // Routes
 app.get('/', (req, res) => {
   res.json({
@@ -400,14 +414,47 @@ app.get('/', (req, res) => {
     description: 'Multi-Platform Connection: Asana ↔ Google Calendar with Smart Sync',
     status: 'running',
     endpoints: {
-      'GET /health': 'Health check',
+      'GET /health': 'Liveness check',
+      'GET /health/ready': 'Readiness check: verifies Asana and Google connectivity',
+      'GET /metrics': 'Prometheus metrics',
+      'POST /mcp': 'MCP over Streamable HTTP (GET for the notification stream, DELETE to end the session)',
+      'GET /sse': 'MCP over the legacy SSE transport (messages are posted to /messages)',
       'GET /api/status': 'Get current status and stats',
       'POST /api/start': 'Start automation',
       'POST /api/stop': 'Stop automation',
-      'POST /api/sync': 'Trigger manual sync',
-      'GET /api/logs': 'Get recent logs',
+      'POST /api/sync': 'Trigger manual sync (?dryRun=true previews the plan without writing)',
+      'POST /api/sync/all': 'Sync every account in turn',
+      'POST /api/sync/tasks/:taskGid': 'Sync a single task',
+      'GET /api/jobs': 'List recent and queued sync jobs',
+      'GET /api/jobs/:jobId': 'Get a sync job\'s status and progress',
+      'POST /api/jobs/:jobId/cancel': 'Cancel a queued or running sync job',
+      'GET /api/runs': 'Sync run history (?from=&to=&outcome=&source=&limit=)',
+      'GET /api/runs/:runId': 'Full report of one sync run',
+      'GET /api/logs': 'Get recent logs (?level=&runId=&taskGid=&from=&to=&limit=)',
+      'DELETE /api/logs': 'Clear logs',
+      'GET /api/state': 'List task ↔ calendar event links',
+      'POST /api/state/migrate-markers': 'Import [CAL_EVENT] markers from Asana notes',
+      'GET /api/config': 'Get runtime settings and rules',
+      'PUT /api/config': 'Change runtime settings and rules without a restart',
+      'GET /api/audit': 'Configuration change history',
+      'GET /api/rules': 'List task matching rules',
+      'PUT /api/rules': 'Replace task matching rules',
+      'GET /api/conflicts': 'List two-way sync conflicts awaiting review',
+      'POST /api/conflicts/:taskGid/resolve': 'Resolve a sync conflict (winner: asana or calendar)',
+      'GET /api/users': 'List user accounts',
+      'POST /api/users': 'Create a user account and its API token',
+      'GET /api/users/:userId': 'Get a user account',
+      'PUT /api/users/:userId/config': 'Replace a user\'s sync settings',
+      'DELETE /api/users/:userId': 'Delete a user account and its data',
+      'GET /api/connect/:provider': 'Start connecting the calling user\'s Asana or Google account',
       'GET /api/google-status': 'Check Google Calendar connection',
-      'GET /auth/google': 'Authenticate with Google Calendar'
+      'GET /auth/google': 'Authenticate with Google Calendar',
+      'POST /webhooks/asana/:resourceGid': 'Asana webhook receiver',
+      'GET /api/webhooks/asana': 'List Asana webhook registrations',
+      'POST /api/webhooks/asana/register': 'Register or renew Asana webhooks',
+      'POST /webhooks/google': 'Google Calendar push notification receiver',
+      'GET /api/webhooks/google': 'List Google Calendar watch channels',
+      'POST /api/webhooks/google/watch': 'Open or renew Google Calendar watch channels'
     },
     timestamp: new Date().toISOString()
   });
@@ -423,149 +470,713 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Whether the default account can reach Asana and Google. Services that aren't set up yet are
+// skipped rather than failed, so a fresh deployment can become ready and be connected.
+const checkReadiness = createReadinessCheck({
+  ttlMs: config.healthCacheSeconds * 1000,
+  timeoutMs: config.healthCheckTimeoutMs,
+  onResult: ({ name, status }) => {
+    if (status !== 'skipped') metrics.readiness.set({ check: name }, status === 'ok' ? 1 : 0);
+  },
+  checks: {
+    asana: async () => {
+      if (!config.asanaToken || !config.asanaWorkspaceId) {
+        return { status: 'skipped', reason: 'Asana is not configured' };
+      }
+      await defaultTenant.engine.getAsanaClient().getMe();
+    },
+    google: async () => {
+      if (defaultTenant.googleAuth.reauthRequired) {
+        throw new Error('Google access was revoked - re-authentication required');
+      }
+      if (!config.googleRefreshToken) {
+        return { status: 'skipped', reason: 'Google Calendar is not authenticated' };
+      }
+      await defaultTenant.engine.checkCalendarAccess();
+    }
+  }
+});
+
+app.get('/health/ready', async (req, res) => {
+  const result = await checkReadiness();
+  const checks = Object.fromEntries(Object.entries(result.checks).map(([name, check]) =>
+    [name, check.error ? { ...check, error: redact(check.error) } : check]
+  ));
+  res.status(result.ready ? 200 : 503).json({
+    status: result.ready ? 'ready' : 'not ready',
+    checkedAt: result.checkedAt,
+    cached: result.cached,
+    checks
+  });
+});
+
+// Prometheus scrape endpoint. With API keys configured it needs one (any role); user tokens can't
+// read it since it covers every account.
+app.get('/metrics', authenticate, (req, res) => {
+  if (req.auth.type === 'user') {
+    return res.status(403).json({ success: false, error: 'Metrics require a server API key' });
+  }
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(metrics.render());
+});
+
 app.get('/api/status', (req, res) => {
+  const { tenant } = req;
   res.json({
-    isRunning,
-    stats,
-    config: {
-      ...config,
-      asanaToken: config.asanaToken ? '***CONFIGURED***' : 'NOT SET',
-      asanaWorkspaceId: config.asanaWorkspaceId ? '***CONFIGURED***' : 'NOT SET',
-      googleClientId: config.googleClientId ? '***CONFIGURED***' : 'NOT SET',
-      googleClientSecret: config.googleClientSecret ? '***CONFIGURED***' : 'NOT SET',
-      googleRefreshToken: config.googleRefreshToken ? '***CONFIGURED***' : 'NOT SET'
+    tenant: tenant.id,
+    isRunning: tenant.isRunning,
+    stats: tenant.engine.stats,
+    config: publicConfigOf(tenant.engine.config),
+    schedule: {
+      ...scheduleSettings(tenant.engine.config),
+      description: describeSchedule(scheduleSettings(tenant.engine.config))
+    },
+    nextRun: nextRunOf(tenant),
+    jobs: {
+      running: tenant.engine.jobs.current,
+      queued: tenant.engine.jobs.queued().length
     },
-    nextRun: cronJob ? 'Scheduled' : 'Not scheduled',
     serverTime: new Date().toISOString()
   });
 });
 
 app.get('/api/logs', (req, res) => {
+  const { filters, errors } = parseLogFilters(req.query);
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, errors });
+  }
+
+  const { logs, count } = req.tenant.engine.queryLogs(filters);
+  res.json({ logs, count, limit: filters.limit });
+});
+
+app.delete('/api/logs', (req, res) => {
+  const { tenant } = req;
+  tenant.engine.clearLogs();
+  auditLog.record({ actor: actorOf(req), tenant: tenant.id, action: 'logs.clear', changes: {} });
+  tenant.engine.addLog(`Logs cleared by ${actorOf(req)}`, 'info');
+  res.json({ success: true, message: 'Logs cleared' });
+});
+
+// Queue a sync job. By default the request waits for the result; with ?wait=false
+// it returns 202 and the job, to poll at GET /api/jobs/:jobId.
+const respondWithJob = async (req, res, options) => {
+  const { jobs } = req.tenant.engine;
+  try {
+    const job = jobs.enqueue({ ...options, dryRun: req.query.dryRun === 'true', source: 'api' });
+    if (req.query.wait === 'false') {
+      return res.status(202).json({ success: true, job });
+    }
+
+    await jobs.wait(job);
+    if (!job.result) {
+      return res.status(job.status === 'cancelled' ? 409 : 500).json({
+        success: false,
+        error: job.error || 'Sync job cancelled before it started',
+        jobId: job.id
+      });
+    }
+    res.json({ ...job.result, jobId: job.id });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+app.post('/api/sync', syncRateLimit, (req, res) => respondWithJob(req, res, { type: 'full-scan' }));
+
+app.post('/api/sync/tasks/:taskGid', syncRateLimit, (req, res) =>
+  respondWithJob(req, res, { type: 'task', taskGid: req.params.taskGid })
+);
+
+app.post('/api/sync/all', requireAdmin, syncRateLimit, async (req, res) => {
+  try {
+    const results = await runSync(allTenants(), { dryRun: req.query.dryRun === 'true', source: 'api' });
+    res.json({ success: results.every(result => result.success), tenants: results });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/jobs', (req, res) => {
+  const { jobs } = req.tenant.engine;
+  const status = req.query.status || null;
+  if (status && !JOB_STATUSES.includes(status)) {
+    return res.status(400).json({ success: false, error: `status must be one of: ${JOB_STATUSES.join(', ')}` });
+  }
+
   const limit = parseInt(req.query.limit) || 50;
   res.json({
-    logs: logs.slice(-limit).reverse(),
-    count: logs.length,
+    jobs: jobs.list({ status, limit }),
+    running: jobs.current,
+    queued: jobs.queued().length,
     limit
   });
 });
 
-app.post('/api/sync', async (req, res) => {
+app.get('/api/jobs/:jobId', (req, res) => {
+  const job = req.tenant.engine.jobs.get(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+  res.json({ success: true, job });
+});
+
+app.post('/api/jobs/:jobId/cancel', (req, res) => {
+  const { jobs, addLog: log } = req.tenant.engine;
+  const job = jobs.get(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+
+  if (!jobs.cancel(job.id)) {
+    return res.status(409).json({ success: false, error: `Job already ${job.status}`, job });
+  }
+  log(`Sync job ${job.id} cancelled by ${actorOf(req)}`, 'warning');
+  res.json({ success: true, job });
+});
+
+app.get('/api/runs', (req, res) => {
+  const { filters, errors } = parseRunFilters(req.query);
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, errors });
+  }
+
+  const runs = req.tenant.engine.runHistory.list(filters);
+  res.json({ runs, count: runs.length, limit: filters.limit });
+});
+
+app.get('/api/runs/:runId', (req, res) => {
+  const run = req.tenant.engine.runHistory.get(req.params.runId);
+  if (!run) {
+    return res.status(404).json({ success: false, error: 'Run not found' });
+  }
+  res.json({ success: true, run });
+});
+
+app.get('/api/state', (req, res) => {
+  const { syncStore, config: tenantConfig } = req.tenant.engine;
+  const links = syncStore.all();
+  res.json({
+    links,
+    count: links.length,
+    failures: syncStore.allFailures(),
+    writeEventMarkers: tenantConfig.writeEventMarkers
+  });
+});
+
+app.post('/api/state/migrate-markers', async (req, res) => {
+  const { syncStore, config: tenantConfig, fetchAsanaTasks, addLog: log } = req.tenant.engine;
   try {
-    const result = await runSync();
-    res.json(result);
+    const tasks = await fetchAsanaTasks();
+    const imported = tasks
+      .map(task => syncStore.importMarker(task, tenantConfig.googleCalendarId))
+      .filter(Boolean);
+
+    log(`Imported ${imported.length} calendar event marker(s) into sync state`, 'success');
+    res.json({ success: true, scanned: tasks.length, imported: imported.length, links: imported });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+app.get('/api/config', (req, res) => {
+  const { config: tenantConfig } = req.tenant.engine;
+  res.json({
+    tenant: req.tenant.id,
+    config: { ...runtimeConfigOf(tenantConfig), rules: tenantConfig.rules },
+    isRunning: req.tenant.isRunning
+  });
+});
+
+// Change searchKeyword, intervalHours, googleCalendarId and/or rules without a restart
+app.put('/api/config', requireConfigAccess, (req, res) => {
+  const update = req.body || {};
+  const errors = validateConfigUpdate(update);
+
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, errors });
+  }
+
+  try {
+    const changes = updateTenantConfig(req.tenant, update, actorOf(req));
+    const { config: tenantConfig } = req.tenant.engine;
+    res.json({
+      success: true,
+      changes,
+      config: { ...runtimeConfigOf(tenantConfig), rules: tenantConfig.rules }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Configuration change history; user tokens see their own account's entries
+app.get('/api/audit', (req, res) => {
+  const limit = parseInt(req.query.limit) || 50;
+  const tenant = req.user ? req.user.id : (req.query.tenant || null);
+  const entries = auditLog.recent({ tenant, limit });
+  res.json({ entries, count: entries.length, limit });
+});
+
+app.get('/api/rules', (req, res) => {
+  const { config: tenantConfig, activeRules } = req.tenant.engine;
+  res.json({
+    rules: tenantConfig.rules,
+    activeRules: activeRules(),
+    usingKeywordFallback: tenantConfig.rules.length === 0
+  });
+});
+
+app.put('/api/rules', requireConfigAccess, (req, res) => {
+  const { addLog: log } = req.tenant.engine;
+  const rules = Array.isArray(req.body) ? req.body : (req.body || {}).rules;
+  const errors = validateRules(rules);
+
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, errors });
+  }
+
+  try {
+    updateTenantConfig(req.tenant, { rules }, actorOf(req));
+  } catch (error) {
+    return res.status(500).json({ success: false, error: error.message });
+  }
+
+  log(`Task matching rules updated (${rules.length} rule(s))`, 'info');
+  res.json({ success: true, rules });
+});
+
+app.get('/api/conflicts', (req, res) => {
+  const { syncStore, config: tenantConfig } = req.tenant.engine;
+  const conflicts = syncStore.all().filter(link => link.conflict && !link.conflict.resolution);
+  res.json({
+    conflicts,
+    count: conflicts.length,
+    conflictPolicy: tenantConfig.conflictPolicy
+  });
+});
+
+app.post('/api/conflicts/:taskGid/resolve', (req, res) => {
+  const { syncStore, addLog: log } = req.tenant.engine;
+  const { winner } = req.body || {};
+  const link = syncStore.get(req.params.taskGid);
+
+  if (!link || !link.conflict) {
+    return res.status(404).json({ success: false, error: 'No conflict recorded for this task' });
+  }
+  if (!['asana', 'calendar'].includes(winner)) {
+    return res.status(400).json({ success: false, error: 'winner must be "asana" or "calendar"' });
+  }
+
+  syncStore.set(req.params.taskGid, { conflict: { ...link.conflict, resolution: winner } });
+  log(`Conflict for task ${req.params.taskGid} resolved: ${winner} wins on next sync`, 'info');
+  res.json({ success: true, message: `Conflict resolved - ${winner} wins on next sync` });
+});
+
 app.post('/api/start', (req, res) => {
-  if (isRunning) {
+  const { tenant } = req;
+  if (tenant.isRunning) {
     return res.json({ success: false, message: 'Automation already running' });
   }
-  
-  isRunning = true;
-  
-  const cronPattern = `0 */${config.intervalHours} * * *`;
-  cronJob = cron.schedule(cronPattern, () => {
-    addLog('Scheduled sync triggered', 'info');
-    runSync();
-  });
-  
-  addLog(`Automation started - running every ${config.intervalHours} hours`, 'success');
-  setTimeout(() => runSync(), 1000);
-  
-  res.json({ 
-    success: true, 
-    message: `Automation started - running every ${config.intervalHours} hours`
+
+  startAutomation(tenant);
+
+  res.json({
+    success: true,
+    message: `Automation started - running ${describeSchedule(scheduleSettings(tenant.engine.config))}`,
+    nextRun: nextRunOf(tenant)
   });
 });
 
 app.post('/api/stop', (req, res) => {
-  if (!isRunning) {
+  const { tenant } = req;
+  if (!tenant.isRunning) {
     return res.json({ success: false, message: 'Automation not running' });
   }
-  
-  isRunning = false;
-  
-  if (cronJob) {
-    cronJob.destroy();
-    cronJob = null;
-  }
-  
-  addLog('Automation stopped', 'info');
+
+  stopAutomation(tenant);
   res.json({ success: true, message: 'Automation stopped' });
 });
 
+app.get('/api/users', requireAdmin, (req, res) => {
+  const users = accountStore.all().map(user => ({
+    ...accountStore.toPublic(user),
+    isRunning: tenants.has(user.id) && tenants.get(user.id).isRunning
+  }));
+  res.json({ users, count: users.length });
+});
+
+app.post('/api/users', requireAdmin, (req, res) => {
+  const { name, email = null, config: userConfig = {} } = req.body || {};
+  const errors = [
+    ...(!name || typeof name !== 'string' ? ['name is required'] : []),
+    ...validateUserConfig(userConfig)
+  ];
+
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, errors });
+  }
+
+  try {
+    const { user, apiToken } = accountStore.create({ name, email, config: userConfig });
+    loadUserTenant(user);
+    addLog(`User account created: ${name} (${user.id})`, 'info');
+    res.status(201).json({ success: true, user: accountStore.toPublic(user), apiToken });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/users/:userId', requireAccountAccess, (req, res) => {
+  const user = accountStore.get(req.params.userId);
+  res.json({
+    user: accountStore.toPublic(user),
+    isRunning: tenants.has(user.id) && tenants.get(user.id).isRunning
+  });
+});
+
+app.put('/api/users/:userId/config', requireAccountAccess, (req, res) => {
+  const userConfig = req.body || {};
+  const errors = validateUserConfig(userConfig);
+
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, errors });
+  }
+
+  try {
+    // Settings left out of the replacement are recorded as changed to null
+    const previous = accountStore.get(req.params.userId).config;
+    const changes = diffConfig(previous, {
+      ...Object.fromEntries(Object.keys(previous).map(key => [key, null])),
+      ...userConfig
+    });
+    const user = accountStore.update(req.params.userId, { config: userConfig });
+    auditLog.record({ actor: actorOf(req), tenant: user.id, action: 'user.config.replace', changes });
+    loadUserTenant(user).engine.addLog('Sync settings updated', 'info');
+    res.json({ success: true, user: accountStore.toPublic(user) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/users/:userId', requireAdmin, (req, res) => {
+  const user = accountStore.get(req.params.userId);
+  if (!user) {
+    return res.status(404).json({ success: false, error: 'User not found' });
+  }
+
+  try {
+    unloadUserTenant(user.id);
+    accountStore.remove(user.id);
+    fs.rmSync(path.join(config.usersDir, user.id), { recursive: true, force: true });
+    addLog(`User account deleted: ${user.name} (${user.id})`, 'info');
+    res.json({ success: true, message: 'User account deleted' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Authorization URL for connecting the calling user's Asana or Google account.
+// Admins can also connect the default account's Google Calendar here.
+app.get('/api/connect/:provider', (req, res) => {
+  const { provider } = req.params;
+
+  if (!OAUTH_PROVIDERS.includes(provider)) {
+    return res.status(404).json({ success: false, error: `Unknown provider: ${provider}` });
+  }
+  if (!req.user && provider === 'asana') {
+    return res.status(400).json({
+      success: false,
+      error: 'Connecting Asana requires a user API token; the default account uses ASANA_TOKEN'
+    });
+  }
+  if (!req.user && !hasRole(req.auth.role, 'admin')) {
+    return res.status(403).json({ success: false, error: 'Requires the admin role' });
+  }
+  if (!tokenCipher.enabled) {
+    return res.status(400).json({ success: false, error: 'TOKEN_ENCRYPTION_KEY must be set to store OAuth tokens' });
+  }
+  if (provider === 'google' && (!config.googleClientId || !config.googleClientSecret)) {
+    return res.status(400).json({ success: false, error: 'Google Calendar credentials not configured' });
+  }
+  if (provider === 'asana' && (!config.asanaClientId || !config.asanaClientSecret || !config.asanaRedirectUri)) {
+    return res.status(400).json({ success: false, error: 'Asana OAuth app not configured' });
+  }
+
+  const state = createOAuthState(provider, req.user ? req.user.id : null);
+  const authUrl = provider === 'google'
+    ? googleAuthUrl(state)
+    : asanaOAuth.authorizeUrl({ clientId: config.asanaClientId, redirectUri: config.asanaRedirectUri, state });
+
+  res.json({ success: true, provider, authUrl });
+});
+
+// Handshake and event delivery for one tenant's Asana webhooks
+const receiveAsanaWebhook = (tenant, req, res) => {
+  const { config: tenantConfig, webhookRegistry, addLog: log } = tenant.engine;
+  const { resourceGid } = req.params;
+
+  // Handshake: Asana sends a secret once, which we echo back and keep for signatures
+  const hookSecret = req.get('X-Hook-Secret');
+  if (hookSecret) {
+    if (!tenant.engine.isRegisteringWebhooks() || !tenantConfig.asanaProjectIds.includes(resourceGid)) {
+      log(`Rejected unexpected Asana webhook handshake for resource ${resourceGid}`, 'warning');
+      return res.sendStatus(403);
+    }
+    webhookRegistry.set(resourceGid, { secret: hookSecret, handshakeAt: new Date().toISOString() });
+    log(`Asana webhook handshake completed for resource ${resourceGid}`, 'info');
+    res.set('X-Hook-Secret', hookSecret);
+    return res.sendStatus(200);
+  }
+
+  const registration = webhookRegistry.get(resourceGid);
+  if (!registration || !verifySignature(registration.secret, req.rawBody, req.get('X-Hook-Signature'))) {
+    log(`Rejected Asana webhook with invalid signature for resource ${resourceGid}`, 'warning');
+    return res.sendStatus(401);
+  }
+
+  // Acknowledge right away; Asana retries deliveries that take too long
+  res.sendStatus(200);
+
+  const taskGids = taskGidsFromEvents(req.body.events);
+  if (taskGids.length === 0) return;
+
+  webhookRegistry.set(resourceGid, { lastEventAt: new Date().toISOString() });
+  log(`Asana webhook: ${taskGids.length} task(s) changed`, 'info');
+  taskGids.forEach(tenant.engine.enqueueTaskSync);
+};
+
+app.post('/webhooks/asana/:resourceGid', (req, res) => receiveAsanaWebhook(defaultTenant, req, res));
+
+app.post('/webhooks/asana/users/:userId/:resourceGid', (req, res) => {
+  const tenant = tenants.get(req.params.userId);
+  if (!tenant) {
+    return res.sendStatus(404);
+  }
+  receiveAsanaWebhook(tenant, req, res);
+});
+
+app.get('/api/webhooks/asana', (req, res) => {
+  const { config: tenantConfig, webhookRegistry, pendingTaskSyncs } = req.tenant.engine;
+  res.json({
+    enabled: tenantConfig.asanaWebhooksEnabled,
+    webhooks: webhookRegistry.all().map(({ secret, ...webhook }) => webhook),
+    pendingTaskSyncs: pendingTaskSyncs.size
+  });
+});
+
+app.post('/api/webhooks/asana/register', async (req, res) => {
+  try {
+    const results = await req.tenant.engine.registerAsanaWebhooks();
+    res.json({ success: true, results });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/webhooks/google', (req, res) => {
+  const channelId = req.get('X-Goog-Channel-ID');
+  const tenant = allTenants().find(candidate => candidate.engine.watchRegistry.findByChannelId(channelId));
+  const entry = tenant ? tenant.engine.watchRegistry.findByChannelId(channelId) : null;
+
+  if (!entry || entry.token !== req.get('X-Goog-Channel-Token') ||
+      entry.resourceId !== req.get('X-Goog-Resource-ID')) {
+    return res.sendStatus(404);
+  }
+
+  res.sendStatus(200);
+
+  // "sync" only confirms a new channel; "exists"/"not_exists" mean something changed
+  if (req.get('X-Goog-Resource-State') === 'sync') return;
+
+  tenant.engine.watchRegistry.set(entry.calendarId, { lastNotificationAt: new Date().toISOString() });
+  tenant.engine.scheduleCalendarCheck(entry.calendarId);
+});
+
+app.get('/api/webhooks/google', (req, res) => {
+  const { config: tenantConfig, watchRegistry } = req.tenant.engine;
+  res.json({
+    enabled: tenantConfig.googleWatchEnabled,
+    channels: watchRegistry.all().map(({ token, syncToken, ...entry }) => ({
+      ...entry,
+      expiresAt: entry.expiration ? new Date(entry.expiration).toISOString() : null,
+      hasSyncToken: !!syncToken
+    }))
+  });
+});
+
+app.post('/api/webhooks/google/watch', async (req, res) => {
+  try {
+    const results = await req.tenant.engine.ensureCalendarWatches();
+    res.json({ success: true, results });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Browser entry point for connecting the default account. It can't carry an API key,
+// so once API_KEYS is set the flow starts from /api/connect/google instead.
 app.get('/auth/google', (req, res) => {
+  if (authEnabled) {
+    return res.status(403).send('Use GET /api/connect/google with an admin API key to get an authorization URL');
+  }
   if (!config.googleClientId || !config.googleClientSecret) {
     return res.status(400).send('Google Calendar credentials not configured');
   }
 
-  const scopes = ['https://www.googleapis.com/auth/calendar'];
-  const authUrl = oauth2Client.generateAuthUrl({
-    access_type: 'offline',
-    scope: scopes,
-    prompt: 'consent'
+  const state = createOAuthState('google', null, { browserBound: true });
+  res.cookie(OAUTH_STATE_COOKIE, state, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure,
+    maxAge: OAUTH_STATE_TTL_MS,
+    path: '/auth/google'
   });
-
-  res.redirect(authUrl);
+  res.redirect(googleAuthUrl(state));
 });
 
 app.get('/auth/google/callback', async (req, res) => {
-  const { code } = req.query;
+  const { code, state } = req.query;
   if (!code) {
     return res.status(400).send('No authorization code received');
   }
 
+  // Every flow carries a state: user flows name the account, and flows from
+  // /auth/google must come back to the browser that started them
+  const pending = state ? consumeOAuthState('google', state) : null;
+  let validState = !!pending;
+  if (pending && pending.userId) validState = !!accountStore.get(pending.userId);
+  else if (pending && pending.browserBound) validState = readCookie(req, OAUTH_STATE_COOKIE) === state;
+
+  res.clearCookie(OAUTH_STATE_COOKIE, { path: '/auth/google' });
+  if (!validState) {
+    return res.status(400).send('Invalid or expired authorization request');
+  }
+
   try {
-    const { tokens } = await oauth2Client.getToken(code);
-    
-    if (tokens.refresh_token) {
-      config.googleRefreshToken = tokens.refresh_token;
-      oauth2Client.setCredentials({ refresh_token: tokens.refresh_token });
-      
-      addLog('Google Calendar authenticated successfully', 'success');
-      
-      res.send(`
+    const { tokens } = await googleConsentClient().getToken(code);
+
+    if (!tokens.refresh_token) {
+      return res.status(400).send('No refresh token received');
+    }
+
+    const credentials = {
+      refreshToken: tokens.refresh_token,
+      accessToken: tokens.access_token,
+      expiryDate: tokens.expiry_date,
+      connectedAt: new Date().toISOString()
+    };
+
+    if (pending.userId) {
+      accountStore.setCredentials(pending.userId, 'google', credentials);
+      loadUserTenant(accountStore.get(pending.userId)).engine.addLog('Google Calendar authenticated successfully', 'success');
+
+      return res.send(`
         <html>
           <body style="font-family: Arial, sans-serif; text-align: center; padding: 50px;">
             <h1>Google Calendar Connected Successfully!</h1>
-            <p>Add this to your Railway environment variables:</p>
-            <code>GOOGLE_REFRESH_TOKEN=${tokens.refresh_token}</code>
-            <p>Then restart your server.</p>
+            <p>You can close this window.</p>
           </body>
         </html>
       `);
+    }
+
+    config.googleRefreshToken = tokens.refresh_token;
+    defaultTenant.googleAuth = { reauthRequired: false };
+    defaultTenant.engine.oauth2Client.setCredentials({
+      refresh_token: tokens.refresh_token,
+      access_token: tokens.access_token,
+      expiry_date: tokens.expiry_date
+    });
+
+    // The token is never shown; without an encryption key it only lasts until restart
+    const persisted = tokenCipher.enabled;
+    if (persisted) {
+      defaultTenant.googleCredentials.save(credentials);
+      addLog('Google Calendar authenticated successfully', 'success');
     } else {
-      res.status(400).send('No refresh token received');
+      addLog('Google Calendar authenticated until restart - set TOKEN_ENCRYPTION_KEY to keep the token', 'warning');
     }
+
+    res.send(`
+      <html>
+        <body style="font-family: Arial, sans-serif; text-align: center; padding: 50px;">
+          <h1>Google Calendar Connected Successfully!</h1>
+          <p>${persisted
+            ? 'The token has been stored encrypted. You can close this window.'
+            : 'The token is kept in memory until the server restarts. Set TOKEN_ENCRYPTION_KEY to store it.'}</p>
+        </body>
+      </html>
+    `);
+  } catch (error) {
+    res.status(500).send(`Authentication failed: ${error.message}`);
+  }
+});
+
+app.get('/auth/asana/callback', async (req, res) => {
+  const { code, state } = req.query;
+  const pending = state ? consumeOAuthState('asana', state) : null;
+
+  if (!code || !pending || !accountStore.get(pending.userId)) {
+    return res.status(400).send('Invalid or expired authorization request');
+  }
+
+  try {
+    const credentials = await asanaOAuth.exchangeCode({
+      clientId: config.asanaClientId,
+      clientSecret: config.asanaClientSecret,
+      redirectUri: config.asanaRedirectUri,
+      code
+    });
+    accountStore.setCredentials(pending.userId, 'asana', credentials);
+
+    const asanaUser = credentials.user ? credentials.user.name : 'unknown user';
+    loadUserTenant(accountStore.get(pending.userId)).engine.addLog(`Asana connected as ${asanaUser}`, 'success');
+
+    res.send(`
+      <html>
+        <body style="font-family: Arial, sans-serif; text-align: center; padding: 50px;">
+          <h1>Asana Connected Successfully!</h1>
+          <p>You can close this window.</p>
+        </body>
+      </html>
+    `);
   } catch (error) {
     res.status(500).send(`Authentication failed: ${error.message}`);
   }
 });
 
 app.get('/api/google-status', async (req, res) => {
+  const { tenant } = req;
+  const { config: tenantConfig, oauth2Client } = tenant.engine;
   try {
-    const isConfigured = !!(config.googleClientId && config.googleClientSecret);
-    const isAuthenticated = !!config.googleRefreshToken;
-    
+    const isConfigured = !!(tenantConfig.googleClientId && tenantConfig.googleClientSecret);
+
     let canCreateEvents = false;
-    if (isAuthenticated) {
+    if (tenantConfig.googleRefreshToken) {
       try {
         const { token } = await oauth2Client.getAccessToken();
         canCreateEvents = !!token;
       } catch (error) {
-        // Token invalid
+        if (isInvalidGrant(error)) markGoogleReauthRequired(tenant, error, tokenCipher);
       }
     }
 
+    const { reauthRequired, revokedAt = null } = tenant.googleAuth;
+    let status = isConfigured ? 'Needs Authentication' : 'Not Configured';
+    if (canCreateEvents) status = 'Ready';
+    else if (reauthRequired) status = 'Re-authentication Required';
+
     res.json({
       configured: isConfigured,
-      authenticated: isAuthenticated,
+      authenticated: !!tenantConfig.googleRefreshToken,
       canCreateEvents,
-      authUrl: '/auth/google',
-      calendarId: config.googleCalendarId,
-      status: canCreateEvents ? 'Ready' : (isConfigured ? 'Needs Authentication' : 'Not Configured')
+      reauthRequired,
+      revokedAt,
+      tokenStorage: tokenCipher.enabled ? 'encrypted' : 'memory',
+      authUrl: req.user || authEnabled ? '/api/connect/google' : '/auth/google',
+      calendarId: tenantConfig.googleCalendarId,
+      status
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -573,6 +1184,33 @@ app.get('/api/google-status', async (req, res) => {
 });
 
 // Start server
+applyConfigFallbacks(config, addLog);
+
+for (const user of accountStore.all()) {
+  try {
+    loadUserTenant(user);
+  } catch (error) {
+    addLog(`Failed to load account ${user.name} (${user.id}): ${error.message}`, 'error');
+  }
+}
+
+// Pick automation back up where it was running before the restart
+allTenants().forEach(resumeAutomation);
+
+// Register or renew Asana webhooks for every tenant with webhooks enabled and Asana access
+const registerAllAsanaWebhooks = () => allTenants()
+  .filter(tenant => tenant.engine.config.asanaWebhooksEnabled && tenant.engine.config.asanaToken)
+  .forEach(tenant => tenant.engine.registerAsanaWebhooks().catch(error =>
+    tenant.engine.addLog(`Asana webhook setup failed: ${error.message}`, 'error')
+  ));
+
+// Open or renew calendar watches for every tenant with watching enabled and Google access
+const ensureAllCalendarWatches = () => allTenants()
+  .filter(tenant => tenant.engine.config.googleWatchEnabled && tenant.engine.config.googleRefreshToken)
+  .forEach(tenant => tenant.engine.ensureCalendarWatches().catch(error =>
+    tenant.engine.addLog(`Calendar watch setup failed: ${error.message}`, 'error')
+  ));
+
 app.listen(PORT, '0.0.0.0', () => {
   addLog(`MPC Server started on port ${PORT}`, 'success');
   
@@ -580,6 +1218,9 @@ app.listen(PORT, '0.0.0.0', () => {
   console.log(`Port: ${PORT}`);
   console.log(`Asana Token: ${config.asanaToken ? 'CONFIGURED' : 'NOT SET'}`);
   console.log(`Google Token: ${config.googleRefreshToken ? 'CONFIGURED' : 'NOT SET'}`);
+  console.log(`User accounts: ${tenants.size}`);
+  console.log(`API auth: ${authEnabled ? `${config.apiKeys.length} API key(s)` : 'DISABLED'}`);
+  console.log(`MCP: http://localhost:${PORT}/mcp`);
   
   if (!config.asanaToken) {
     addLog('Warning: ASANA_TOKEN not configured', 'warning');
@@ -587,15 +1228,34 @@ app.listen(PORT, '0.0.0.0', () => {
   if (!config.googleRefreshToken) {
     addLog('Warning: Google Calendar not authenticated', 'warning');
   }
+  if (!authEnabled) {
+    addLog('Warning: API_KEYS not configured - the API is open to anyone who can reach it', 'warning');
+  }
+
+  // Webhooks give near-real-time syncs; scheduled polling stays as the reconciliation fallback
+  if (config.asanaWebhooksEnabled) {
+    registerAllAsanaWebhooks();
+    webhookRenewJob = cron.schedule('0 3 * * *', registerAllAsanaWebhooks);
+  }
+
+  if (config.googleWatchEnabled) {
+    ensureAllCalendarWatches();
+    watchRenewJob = cron.schedule('0 * * * *', ensureAllCalendarWatches);
+  }
+
+  mcpSessions.startSweeping();
 });
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
-  if (cronJob) cronJob.destroy();
+const shutdown = () => {
+  allTenants().forEach(tenant => {
+    if (tenant.cronJob) tenant.cronJob.stop();
+  });
+  if (webhookRenewJob) webhookRenewJob.stop();
+  if (watchRenewJob) watchRenewJob.stop();
+  mcpSessions.closeAll();
   process.exit(0);
-});
+};
 
-process.on('SIGINT', () => {
-  if (cronJob) cronJob.destroy();
-  process.exit(0);
-});
+process.on('SIGTERM', shutdown);
+process.on('SIGINT', shutdown);
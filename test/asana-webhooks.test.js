@@ -0,0 +1,32 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { verifySignature, taskGidsFromEvents } = require('../lib/asana-webhooks');
+
+const SECRET = 'handshake-secret';
+const body = Buffer.from(JSON.stringify({ events: [{ resource: { gid: '1201', resource_type: 'task' } }] }));
+const sign = (secret, rawBody) => crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+
+test('a body signed with the handshake secret is accepted', () => {
+  assert.strictEqual(verifySignature(SECRET, body, sign(SECRET, body)), true);
+});
+
+test('wrong, truncated or missing signatures are rejected', () => {
+  const signature = sign(SECRET, body);
+
+  assert.strictEqual(verifySignature(SECRET, body, sign('other-secret', body)), false);
+  assert.strictEqual(verifySignature(SECRET, Buffer.from(`${body} `), signature), false);
+  assert.strictEqual(verifySignature(SECRET, body, signature.slice(0, 32)), false);
+  assert.strictEqual(verifySignature(SECRET, body, undefined), false);
+  assert.strictEqual(verifySignature(null, body, signature), false);
+  assert.strictEqual(verifySignature(SECRET, undefined, signature), false);
+});
+
+test('webhook events are reduced to the tasks they touch', () => {
+  assert.deepStrictEqual(taskGidsFromEvents([
+    { resource: { gid: '1201', resource_type: 'task' } },
+    { resource: { gid: '9001', resource_type: 'story' }, parent: { gid: '1202', resource_type: 'task' } },
+    { resource: { gid: '1201', resource_type: 'task' } },
+    { resource: { gid: '301', resource_type: 'project' } }
+  ]), ['1201', '1202']);
+});
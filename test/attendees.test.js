@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { attendeeCandidates, createEmailResolver, resolveAttendees, reconcileAttendees } = require('../lib/attendees');
+
+const task = {
+  assignee: { gid: '501', name: 'Ana' },
+  followers: [{ gid: '502', name: 'Ben', email: 'Ben@Example.com' }, { gid: '503', name: 'Cleo' }],
+  custom_fields: [{ name: 'Attendees', display_value: 'dan@example.com; Eve' }]
+};
+
+test('candidates come from the configured sources only', () => {
+  assert.deepStrictEqual(attendeeCandidates(task, { sources: ['assignee'] }), [task.assignee]);
+  assert.deepStrictEqual(attendeeCandidates(task, { sources: ['field'], field: 'attendees' }), [
+    { email: 'dan@example.com' },
+    { name: 'Eve' }
+  ]);
+  assert.strictEqual(attendeeCandidates(task, { sources: ['followers', 'assignee'] }).length, 3);
+});
+
+test('emails come from overrides, then the task, then a single lookup per user', async () => {
+  const lookups = [];
+  const resolveEmail = createEmailResolver({
+    overrides: { eve: 'eve@example.com', 503: '' },
+    lookupEmail: async (gid) => {
+      lookups.push(gid);
+      return gid === '501' ? 'ana@example.com' : null;
+    }
+  });
+
+  const emails = await resolveAttendees(task, { sources: ['assignee', 'followers', 'field'], field: 'Attendees' }, resolveEmail);
+  assert.deepStrictEqual(emails, ['ana@example.com', 'ben@example.com', 'dan@example.com', 'eve@example.com']);
+
+  await resolveEmail(task.assignee);
+  assert.deepStrictEqual(lookups, ['501']);
+});
+
+test('reconciling adds new attendees and removes only the ones the sync added', () => {
+  const existing = [
+    { email: 'organizer@example.com', organizer: true },
+    { email: 'ana@example.com', responseStatus: 'accepted' },
+    { email: 'guest@example.com' }
+  ];
+
+  assert.deepStrictEqual(reconcileAttendees(existing, ['ben@example.com'], ['ana@example.com']), [
+    { email: 'organizer@example.com', organizer: true },
+    { email: 'guest@example.com' },
+    { email: 'ben@example.com' }
+  ]);
+  assert.strictEqual(reconcileAttendees(existing, ['ana@example.com'], ['ana@example.com']), null);
+  assert.strictEqual(reconcileAttendees(existing, [], ['dan@example.com']), null);
+});
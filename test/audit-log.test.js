@@ -0,0 +1,28 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AuditLog } = require('../lib/audit-log');
+
+const tempAuditFile = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'mpc-audit-')), 'audit.jsonl');
+
+test('recent entries come newest first and can be limited to a tenant', () => {
+  const log = new AuditLog(tempAuditFile());
+  log.record({ actor: 'api-key:admin', tenant: 'default', action: 'config.update', changes: { syncMode: 'two-way' } });
+  log.record({ actor: 'user:ana', tenant: 'ana', action: 'config.update', changes: { searchKeyword: 'SYNC' } });
+  log.record({ actor: 'api-key:admin', tenant: 'default', action: 'rules.update', changes: { rules: [] } });
+
+  assert.deepStrictEqual(log.recent().map(entry => entry.action), ['rules.update', 'config.update', 'config.update']);
+  assert.deepStrictEqual(log.recent({ tenant: 'default', limit: 1 }).map(entry => entry.action), ['rules.update']);
+});
+
+test('lines that do not parse are skipped', () => {
+  const filePath = tempAuditFile();
+  const log = new AuditLog(filePath);
+  log.record({ actor: 'api-key:admin', tenant: 'default', action: 'config.update', changes: {} });
+  fs.appendFileSync(filePath, '{"at":"2026-10-18T10:00:00.000Z","act\n');
+  log.record({ actor: 'api-key:admin', tenant: 'default', action: 'rules.update', changes: {} });
+
+  assert.deepStrictEqual(log.recent().map(entry => entry.action), ['rules.update', 'config.update']);
+});
@@ -0,0 +1,85 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { createAutomation } = require('../lib/automation');
+const { AutomationState } = require('../lib/automation-state');
+const { AuditLog } = require('../lib/audit-log');
+
+// Automation over temp files, for a tenant whose engine only logs and queues jobs
+const createTestAutomation = () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mpc-automation-'));
+  const automationState = new AutomationState(path.join(dataDir, 'automation.json'));
+  const auditLog = new AuditLog(path.join(dataDir, 'audit.jsonl'));
+  const savedSettings = [];
+  const automation = createAutomation({
+    automationState,
+    auditLog,
+    saveSettings: (tenant, settings) => savedSettings.push(settings)
+  });
+
+  const logs = [];
+  const tenant = {
+    id: 'default',
+    isRunning: false,
+    cronJob: null,
+    engine: {
+      config: { intervalHours: 1, searchKeyword: 'MEETING' },
+      addLog: (message) => logs.push(message),
+      jobs: { enqueue: () => {} }
+    }
+  };
+  return { automation, automationState, auditLog, savedSettings, tenant, logs };
+};
+
+// The pid of a process that has exited
+const exitedPid = () => spawnSync(process.execPath, ['-e', '']).pid;
+
+test('started automation is saved as owned by this process until stopped', () => {
+  const { automation, automationState, tenant } = createTestAutomation();
+
+  automation.startAutomation(tenant, { resumed: true });
+  assert.strictEqual(tenant.isRunning, true);
+  assert.strictEqual(automationState.ownerOf('default'), process.pid);
+  assert.ok(automation.nextRunOf(tenant));
+
+  automation.stopAutomation(tenant);
+  assert.strictEqual(tenant.cronJob, null);
+  assert.strictEqual(automationState.isRunning('default'), false);
+  assert.strictEqual(automation.nextRunOf(tenant), null);
+});
+
+test('saved automation is not resumed while another live process runs it', () => {
+  const { automation, automationState, tenant, logs } = createTestAutomation();
+  fs.writeFileSync(automationState.filePath, JSON.stringify({ default: { running: true, pid: process.ppid } }));
+
+  automation.resumeAutomation(tenant);
+  assert.strictEqual(tenant.isRunning, false);
+  assert.match(logs[0], /running in another process/);
+  assert.strictEqual(automationState.ownerOf('default'), process.ppid);
+});
+
+test('saved automation whose process has exited is resumed here', () => {
+  const { automation, automationState, tenant } = createTestAutomation();
+  fs.writeFileSync(automationState.filePath, JSON.stringify({ default: { running: true, pid: exitedPid() } }));
+
+  automation.resumeAutomation(tenant);
+  assert.strictEqual(tenant.isRunning, true);
+  assert.strictEqual(automationState.ownerOf('default'), process.pid);
+  automation.stopAutomation(tenant);
+});
+
+test('config changes are saved and audited, and unchanged values are ignored', () => {
+  const { automation, auditLog, savedSettings, tenant } = createTestAutomation();
+
+  const changes = automation.updateTenantConfig(tenant, { searchKeyword: 'SYNC' }, 'api-key:admin');
+  assert.deepStrictEqual(changes, { searchKeyword: { from: 'MEETING', to: 'SYNC' } });
+  assert.strictEqual(tenant.engine.config.searchKeyword, 'SYNC');
+  assert.deepStrictEqual(savedSettings, [{ searchKeyword: 'SYNC' }]);
+  assert.strictEqual(auditLog.recent()[0].actor, 'api-key:admin');
+
+  assert.deepStrictEqual(automation.updateTenantConfig(tenant, { searchKeyword: 'SYNC' }, 'api-key:admin'), {});
+  assert.strictEqual(savedSettings.length, 1);
+});
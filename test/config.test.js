@@ -0,0 +1,118 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { applyConfigFallbacks, publicConfigOf } = require('../lib/config');
+const { validateConfigFields } = require('../lib/runtime-config');
+const { sharedConfigOf, validateUserConfig } = require('../lib/accounts');
+
+// A valid default account config, with the given settings changed
+const configWith = (settings = {}) => ({
+  syncMode: 'one-way',
+  conflictPolicy: 'asana',
+  orphanPolicy: 'prefix',
+  dateOnlyEvents: 'all-day',
+  rules: [],
+  intervalHours: 4,
+  scheduleCron: '',
+  scheduleTimeZone: 'UTC',
+  scheduleWindow: '',
+  scheduleJitterSeconds: 0,
+  eventTimeZone: 'UTC',
+  eventDefaultTime: '09:00',
+  eventDefaultDurationMinutes: 60,
+  workspaceEventDefaults: {},
+  attendeeSources: [],
+  attendeeEmails: {},
+  sendUpdates: 'none',
+  ...settings
+});
+
+const applyFallbacks = (config) => {
+  const warnings = [];
+  applyConfigFallbacks(config, (message) => warnings.push(message));
+  return warnings;
+};
+
+test('invalid event settings fall back to their defaults on startup', () => {
+  const config = configWith({ eventTimeZone: 'Foo', eventDefaultTime: 'abc', eventDefaultDurationMinutes: -5 });
+  const warnings = applyFallbacks(config);
+
+  assert.strictEqual(config.eventTimeZone, 'UTC');
+  assert.strictEqual(config.eventDefaultTime, '09:00');
+  assert.strictEqual(config.eventDefaultDurationMinutes, 60);
+  assert.match(warnings[0], /EVENT_TIMEZONE "Foo"/);
+});
+
+test('invalid workspace event defaults are dropped on startup', () => {
+  const config = configWith({
+    workspaceEventDefaults: {
+      111: { timeZone: 'Nowhere/City', defaultTime: '10:00' },
+      222: { timeZone: 'Europe/Berlin', defaultDurationMinutes: 30 }
+    }
+  });
+  const warnings = applyFallbacks(config);
+
+  assert.deepStrictEqual(config.workspaceEventDefaults, { 222: { timeZone: 'Europe/Berlin', defaultDurationMinutes: 30 } });
+  assert.match(warnings[0], /workspace 111/);
+
+  const notAnObject = configWith({ workspaceEventDefaults: ['Europe/Berlin'] });
+  applyFallbacks(notAnObject);
+  assert.deepStrictEqual(notAnObject.workspaceEventDefaults, {});
+});
+
+test('a valid config is left as it is', () => {
+  const config = configWith();
+  assert.deepStrictEqual(applyFallbacks(config), []);
+  assert.deepStrictEqual(config, configWith());
+});
+
+test('time zones and times of day are validated', () => {
+  const fields = { zone: 'timeZone', time: 'clockTime' };
+  assert.deepStrictEqual(validateConfigFields({ zone: 'Europe/Berlin', time: '09:30' }, fields), []);
+  assert.strictEqual(validateConfigFields({ zone: 'Foo', time: 'abc' }, fields).length, 2);
+  assert.strictEqual(validateConfigFields({ time: '24:00' }, fields).length, 1);
+  assert.strictEqual(validateConfigFields({ time: '9:60' }, fields).length, 1);
+});
+
+test('user configs reject event settings that would fail every sync', () => {
+  assert.deepStrictEqual(validateUserConfig({ eventTimeZone: 'America/New_York', eventDefaultTime: '10:00' }), []);
+  assert.deepStrictEqual(validateUserConfig({ eventTimeZone: 'Foo', eventDefaultTime: 'abc' }), [
+    'config.eventTimeZone must be an IANA time zone such as Europe/Berlin',
+    'config.eventDefaultTime must be a time of day as HH:MM'
+  ]);
+});
+
+test('user tenants only get the shared server settings', () => {
+  const shared = sharedConfigOf({
+    apiKeys: [{ name: 'admin', key: 'adminsecretkey999999', role: 'admin' }],
+    asanaToken: 'default-account-token',
+    googleRefreshToken: 'default-account-refresh-token',
+    credentialsFile: '/data/credentials.json',
+    googleClientId: 'client-id',
+    searchKeyword: 'MEETING'
+  });
+
+  assert.deepStrictEqual(shared, { searchKeyword: 'MEETING', googleClientId: 'client-id' });
+});
+
+test('the status config shows only the account\'s settings, with secrets masked', () => {
+  const shown = publicConfigOf({
+    ...configWith(),
+    apiKeys: [{ name: 'admin', key: 'adminsecretkey999999', role: 'admin' }],
+    corsOrigins: ['https://app.example.com'],
+    syncRateLimit: 10,
+    stateFile: '/data/sync-state.json',
+    logFile: '/data/logs/mpc.jsonl',
+    attendeeEmails: { 501: 'sam@example.com' },
+    asanaToken: 'asana-token',
+    googleRefreshToken: '',
+    searchKeyword: 'MEETING'
+  });
+
+  const text = JSON.stringify(shown);
+  assert.ok(!text.includes('adminsecretkey999999') && !text.includes('/data/') && !text.includes('sam@example.com'));
+  assert.ok(!('corsOrigins' in shown) && !('syncRateLimit' in shown));
+  assert.strictEqual(shown.asanaToken, '***CONFIGURED***');
+  assert.strictEqual(shown.googleRefreshToken, 'NOT SET');
+  assert.strictEqual(shown.searchKeyword, 'MEETING');
+  assert.strictEqual(shown.eventTimeZone, 'UTC');
+});
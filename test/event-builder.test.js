@@ -0,0 +1,80 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { buildEventFromTask, diffEvent, syncedFieldsOf, scheduleChangesFromEvent } = require('../lib/event-builder');
+
+const task = { gid: '1201', name: 'Planning', notes: 'Agenda', due_on: '2026-11-02', custom_fields: [] };
+
+test('a location or color the sync set is cleared once the task no longer gives one', () => {
+  const withLocation = { ...task, custom_fields: [{ name: 'Location', display_value: 'Room 4' }] };
+  const synced = buildEventFromTask(withLocation, { template: { colorId: 9 } });
+  const desired = buildEventFromTask(task);
+
+  assert.deepStrictEqual(syncedFieldsOf(synced), { location: 'Room 4', colorId: '9' });
+  assert.deepStrictEqual(diffEvent(task, desired, synced, null, syncedFieldsOf(synced)), { location: null, colorId: null });
+});
+
+test('a location or color set in Calendar is kept', () => {
+  const desired = buildEventFromTask(task);
+  const existing = { ...desired, location: 'Room 7', colorId: '3' };
+
+  assert.deepStrictEqual(diffEvent(task, desired, existing), {});
+  assert.deepStrictEqual(diffEvent(task, desired, existing, null, { location: 'Room 4', colorId: '9' }), {});
+});
+
+const timing = (fields, options = {}) => {
+  const { start, end } = buildEventFromTask({ ...task, ...fields }, options);
+  return { start, end };
+};
+
+test('timed tasks take their duration from the Duration field, then the name, then the default', () => {
+  const dueAt = { due_on: null, due_at: '2026-11-02T15:00:00.000Z' };
+
+  assert.deepStrictEqual(timing(dueAt, { timeZone: 'Europe/Berlin' }), {
+    start: { dateTime: '2026-11-02T15:00:00.000Z', timeZone: 'Europe/Berlin' },
+    end: { dateTime: '2026-11-02T16:00:00.000Z', timeZone: 'Europe/Berlin' }
+  });
+  assert.strictEqual(timing({ ...dueAt, name: 'Planning (1h 30m)' }).end.dateTime, '2026-11-02T16:30:00.000Z');
+  assert.strictEqual(timing({ ...dueAt, custom_fields: [{ name: 'Duration', display_value: '45m' }] }).end.dateTime, '2026-11-02T15:45:00.000Z');
+  assert.strictEqual(timing({ ...dueAt, start_at: '2026-11-02T14:00:00.000Z' }).start.dateTime, '2026-11-02T14:00:00.000Z');
+});
+
+test('date-only tasks become all-day events, or default-time events in the event time zone', () => {
+  assert.deepStrictEqual(timing({ start_on: '2026-11-02', due_on: '2026-11-04' }), {
+    start: { date: '2026-11-02' },
+    end: { date: '2026-11-05' }
+  });
+
+  const timed = (dueOn, timeZone) => timing({ due_on: dueOn }, { dateOnlyEvents: 'timed', defaultTime: '09:00', timeZone }).start.dateTime;
+  assert.strictEqual(timed('2026-07-01', 'America/New_York'), '2026-07-01T13:00:00.000Z');
+  assert.strictEqual(timed('2026-12-01', 'America/New_York'), '2026-12-01T14:00:00.000Z');
+  // Berlin moves to summer time on 2026-03-29
+  assert.strictEqual(timed('2026-03-28', 'Europe/Berlin'), '2026-03-28T08:00:00.000Z');
+  assert.strictEqual(timed('2026-03-29', 'Europe/Berlin'), '2026-03-29T07:00:00.000Z');
+  assert.strictEqual(timed('2026-07-02', 'Pacific/Auckland'), '2026-07-01T21:00:00.000Z');
+});
+
+test('moved all-day events map back to due and start dates', () => {
+  assert.deepStrictEqual(
+    scheduleChangesFromEvent({ ...task }, { start: { date: '2026-11-05' }, end: { date: '2026-11-08' } }),
+    { due_on: '2026-11-07', start_on: '2026-11-05' }
+  );
+  assert.deepStrictEqual(
+    scheduleChangesFromEvent({ ...task, start_on: '2026-11-01' }, { start: { date: '2026-11-02' }, end: { date: '2026-11-03' } }),
+    { start_on: null }
+  );
+});
+
+test('moved timed events map back to the task\'s date, or to due_at/start_at', () => {
+  const options = { dateOnlyEvents: 'timed', defaultTime: '09:00', timeZone: 'Pacific/Auckland' };
+  const event = (start, end = null) => ({ start: { dateTime: start }, end: end ? { dateTime: end } : null });
+
+  // 09:00 in Auckland is the previous day in UTC, and the task stays date-only
+  assert.deepStrictEqual(scheduleChangesFromEvent({ ...task }, event('2026-07-03T21:00:00.000Z'), options), { due_on: '2026-07-04' });
+  assert.deepStrictEqual(scheduleChangesFromEvent({ ...task }, event('2026-07-03T23:00:00.000Z'), options), { due_at: '2026-07-03T23:00:00.000Z' });
+
+  const timedTask = { ...task, due_on: null, start_at: '2026-11-02T10:00:00.000Z', due_at: '2026-11-02T11:00:00.000Z' };
+  assert.deepStrictEqual(scheduleChangesFromEvent(timedTask, event('2026-11-02T12:00:00+01:00', '2026-11-02T13:30:00+01:00')), {
+    start_at: '2026-11-02T11:00:00.000Z',
+    due_at: '2026-11-02T12:30:00.000Z'
+  });
+});
@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { JobQueue } = require('../lib/job-queue');
+
+// A run function whose jobs finish only when released, recording when each starts
+const controlledRun = () => {
+  const started = [];
+  const releases = new Map();
+  const run = (job, { signal }) => new Promise(resolve => {
+    started.push(job.taskGid || job.type);
+    releases.set(job.id, resolve);
+    signal.addEventListener('abort', () => resolve({ cancelled: true }));
+  });
+  const release = (job, result = { success: true }) => releases.get(job.id)(result);
+  return { run, started, release };
+};
+
+test('jobs run one at a time in the order they were queued', async () => {
+  const { run, started, release } = controlledRun();
+  const queue = new JobQueue(run);
+
+  const first = queue.enqueue({ type: 'task', taskGid: '1201' });
+  const second = queue.enqueue({ type: 'task', taskGid: '1202' });
+  assert.deepStrictEqual(started, ['1201']);
+  assert.strictEqual(second.status, 'queued');
+
+  release(first);
+  await queue.wait(first);
+  assert.deepStrictEqual(started, ['1201', '1202']);
+
+  release(second);
+  assert.strictEqual((await queue.wait(second)).status, 'succeeded');
+  assert.deepStrictEqual(queue.list().map(job => job.taskGid), ['1202', '1201']);
+});
+
+test('a job matching one that has not started yet is not queued twice', () => {
+  const { run } = controlledRun();
+  const queue = new JobQueue(run);
+
+  const running = queue.enqueue({ type: 'full-scan' });
+  const queued = queue.enqueue({ type: 'full-scan' });
+  assert.notStrictEqual(queued, running);
+  assert.strictEqual(queue.enqueue({ type: 'full-scan' }), queued);
+  assert.notStrictEqual(queue.enqueue({ type: 'full-scan', dryRun: true }), queued);
+  assert.strictEqual(queue.queued().length, 2);
+  assert.throws(() => queue.enqueue({ type: 'cleanup' }), /Unknown job type/);
+});
+
+test('queued jobs are dropped on cancel and running ones are aborted', async () => {
+  const { run, started } = controlledRun();
+  const finished = [];
+  const queue = new JobQueue(run, { onFinish: job => finished.push(job.status) });
+
+  const running = queue.enqueue({ type: 'task', taskGid: '1201' });
+  const queued = queue.enqueue({ type: 'task', taskGid: '1202' });
+
+  assert.strictEqual(queue.cancel(queued.id).status, 'cancelled');
+  assert.strictEqual(queue.cancel(running.id), running);
+  assert.strictEqual((await queue.wait(running)).status, 'cancelled');
+  assert.deepStrictEqual(started, ['1201']);
+  assert.deepStrictEqual(finished, ['cancelled', 'cancelled']);
+  assert.strictEqual(queue.cancel(running.id), null);
+});
+
+test('failed results and thrown errors mark the job failed', async () => {
+  const queue = new JobQueue(async (job) => {
+    if (job.taskGid === '1201') return { action: 'failed', error: 'Calendar unavailable' };
+    throw new Error('Asana unavailable');
+  });
+
+  const failedResult = await queue.wait(queue.enqueue({ type: 'task', taskGid: '1201' }));
+  const thrown = await queue.wait(queue.enqueue({ type: 'task', taskGid: '1202' }));
+
+  assert.strictEqual(failedResult.status, 'failed');
+  assert.strictEqual(failedResult.error, 'Calendar unavailable');
+  assert.strictEqual(thrown.status, 'failed');
+  assert.strictEqual(thrown.error, 'Asana unavailable');
+});
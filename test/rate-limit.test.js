@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createRequestCounter, createRateLimiter } = require('../lib/rate-limit');
+
+// Just enough of an Express response to see what the limiter sent
+const fakeResponse = () => {
+  const res = { headers: {}, statusCode: 200, body: null };
+  res.set = (name, value) => Object.assign(res.headers, typeof name === 'object' ? name : { [name]: value });
+  res.status = (code) => Object.assign(res, { statusCode: code });
+  res.json = (body) => Object.assign(res, { body });
+  return res;
+};
+
+test('requests are counted per key within the window', () => {
+  const count = createRequestCounter({ limit: 2, windowMs: 60 * 1000 });
+
+  assert.strictEqual(count('ops').limited, false);
+  assert.deepStrictEqual(count('ops'), { limited: false, limit: 2, remaining: 0, resetSeconds: 60 });
+  assert.strictEqual(count('ops').limited, true);
+  assert.strictEqual(count('dashboard').limited, false);
+});
+
+test('a limit of 0 turns counting off', () => {
+  const count = createRequestCounter({ limit: 0, windowMs: 60 * 1000 });
+  assert.ok([1, 2, 3].every(() => !count('ops').limited));
+});
+
+test('requests over the limit get 429 with Retry-After', () => {
+  const limiter = createRateLimiter({
+    count: createRequestCounter({ limit: 1, windowMs: 60 * 1000 }),
+    keyFor: (req) => req.key,
+    message: 'Too many sync requests'
+  });
+  const send = () => {
+    const res = fakeResponse();
+    let passed = false;
+    limiter({ key: 'ops' }, res, () => { passed = true; });
+    return { res, passed };
+  };
+
+  const first = send();
+  assert.ok(first.passed);
+  assert.strictEqual(first.res.headers['RateLimit-Remaining'], '0');
+
+  const second = send();
+  assert.ok(!second.passed);
+  assert.strictEqual(second.res.statusCode, 429);
+  assert.strictEqual(second.res.headers['Retry-After'], '60');
+  assert.match(second.res.body.error, /^Too many sync requests, try again in 60s$/);
+});
@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { hasRole, canChangeConfig, findApiKey, validateApiKeys } = require('../lib/api-auth');
+const { MPCServer } = require('../mcp-server');
+
+const API_KEYS = [
+  { name: 'dashboard', key: 'read-key-0123456789', role: 'read' },
+  { name: 'ops', key: 'operator-key-0123456', role: 'operator' },
+  { name: 'admin', key: 'admin-key-0123456789', role: 'admin' }
+];
+
+// An MCP server for a caller with the given role, on a tenant that syncs to two calendars
+const mcpServerFor = (role, { canChangeConfig: configAccess = false } = {}) => new MPCServer({
+  tenant: {
+    id: 'default',
+    engine: {
+      config: { googleCalendarId: 'primary' },
+      syncedCalendarIds: () => ['primary', 'team@example.com']
+    }
+  },
+  role,
+  canChangeConfig: configAccess,
+  actor: `api-key:${role}`,
+  updateTenantConfig: () => ({})
+});
+
+test('each role includes the ones below it', () => {
+  assert.ok(hasRole('admin', 'operator'));
+  assert.ok(hasRole('operator', 'read'));
+  assert.ok(!hasRole('read', 'operator'));
+  assert.ok(!hasRole('operator', 'admin'));
+  assert.ok(!hasRole(undefined, 'read'));
+});
+
+test('API keys are found by token and validated', () => {
+  assert.strictEqual(findApiKey(API_KEYS, 'operator-key-0123456').name, 'ops');
+  assert.strictEqual(findApiKey(API_KEYS, 'not-a-key'), null);
+  assert.deepStrictEqual(validateApiKeys(API_KEYS), []);
+  assert.strictEqual(validateApiKeys([{ name: 'short', key: 'abc', role: 'root' }]).length, 2);
+});
+
+test('config changes need an admin key or a user token on its own account', () => {
+  assert.ok(canChangeConfig({ type: 'api-key', role: 'admin' }));
+  assert.ok(canChangeConfig({ type: 'user', role: 'operator' }));
+  assert.ok(!canChangeConfig({ type: 'api-key', role: 'operator' }));
+  assert.ok(!canChangeConfig({ type: 'api-key', role: 'read' }));
+});
+
+test('MCP tools are authorized by role', () => {
+  assert.doesNotThrow(() => mcpServerFor('read').authorizeTool('check_status'));
+  assert.throws(() => mcpServerFor('read').authorizeTool('run_sync'), /operator role/);
+  assert.doesNotThrow(() => mcpServerFor('operator').authorizeTool('run_sync'));
+  assert.throws(() => mcpServerFor('operator').authorizeTool('update_config'), /admin role/);
+  assert.doesNotThrow(() => mcpServerFor('admin', { canChangeConfig: true }).authorizeTool('update_config'));
+});
+
+test('read-only MCP callers can only search the calendars the account syncs to', () => {
+  const search = (role, calendarId) => () => mcpServerFor(role).authorizeTool('search_upcoming_events', { calendarId });
+
+  assert.doesNotThrow(search('read', undefined));
+  assert.doesNotThrow(search('read', 'team@example.com'));
+  assert.throws(search('read', 'ceo@example.com'), /requires the operator role/);
+  assert.doesNotThrow(search('operator', 'ceo@example.com'));
+});
@@ -0,0 +1,80 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { evaluateCondition, findMatchingRule, validateRules, renderTemplate, explainRules } = require('../lib/rules');
+
+const task = {
+  gid: '1201',
+  name: 'Sprint Review',
+  notes: 'Demo the release\n[CAL_EVENT:evt42]',
+  assignee: { gid: '501', name: 'Sam Lee', email: 'sam@example.com' },
+  projects: [{ gid: '301', name: 'Engineering' }],
+  memberships: [{ project: { name: 'Engineering' }, section: { gid: '401', name: 'Meetings' } }],
+  tags: [{ gid: '601', name: 'external' }],
+  custom_fields: [{ name: 'Type', display_value: 'Meeting' }, { name: 'Room', display_value: null }]
+};
+
+test('leaf conditions match by gid or name, case-insensitively', () => {
+  const matches = (condition) => evaluateCondition(condition, task);
+
+  assert.ok(matches({ project: '301' }) && matches({ project: 'engineering' }));
+  assert.ok(matches({ section: 'Meetings' }) && matches({ tag: 'EXTERNAL' }));
+  assert.ok(matches({ assignee: 'sam@example.com' }) && matches({ assignee: '501' }));
+  assert.ok(matches({ customField: { name: 'type', value: 'meeting' } }));
+  assert.ok(matches({ customField: { name: 'Type' } }) && !matches({ customField: { name: 'Room' } }));
+  assert.ok(matches({ nameRegex: '^sprint' }) && !matches({ nameRegex: { pattern: '^sprint', flags: 'u' } }));
+  assert.ok(matches({ nameContains: 'review' }) && matches({ notesContains: 'demo' }));
+  assert.ok(!matches({ project: 'Marketing' }));
+});
+
+test('conditions combine with all, any and not, and sibling keys are ANDed', () => {
+  const matches = (condition) => evaluateCondition(condition, task);
+
+  assert.ok(matches({ all: [{ tag: 'external' }, { any: [{ project: 'Marketing' }, { section: 'Meetings' }] }] }));
+  assert.ok(!matches({ all: [{ tag: 'external' }, { not: { section: 'Meetings' } }] }));
+  assert.ok(!matches({ tag: 'external', project: 'Marketing' }));
+});
+
+test('the first enabled matching rule is used', () => {
+  const rules = [
+    { name: 'disabled', enabled: false, match: { tag: 'external' }, calendarId: 'disabled@example.com' },
+    { name: 'marketing', match: { project: 'Marketing' }, calendarId: 'marketing@example.com' },
+    { name: 'external', match: { tag: 'external' }, calendarId: 'external@example.com' },
+    { name: 'meetings', match: { section: 'Meetings' } }
+  ];
+
+  assert.strictEqual(findMatchingRule(rules, task).name, 'external');
+  assert.strictEqual(findMatchingRule(rules.slice(0, 2), task), null);
+  assert.deepStrictEqual(explainRules(rules, task).map(rule => [rule.name, rule.matched, rule.used]), [
+    ['disabled', true, false],
+    ['marketing', false, false],
+    ['external', true, true],
+    ['meetings', true, false]
+  ]);
+});
+
+test('rule sets are validated', () => {
+  assert.deepStrictEqual(validateRules([{ name: 'meetings', match: { section: 'Meetings' }, template: { colorId: '9' } }]), []);
+  const errors = validateRules([
+    { name: 'a', match: { color: 'red' } },
+    { name: 'a', match: { any: [] }, template: { title: 'x' } },
+    { match: { nameRegex: '(' } }
+  ]);
+  assert.deepStrictEqual(errors.slice(0, 5), [
+    'rules[0].match.color is not a known condition',
+    'rules[1].name "a" is duplicated',
+    'rules[1].template has unknown fields: title',
+    'rules[1].match.any must be a non-empty array',
+    'rules[2].name is required'
+  ]);
+  assert.match(errors[5], /^rules\[2\]\.match\.nameRegex is invalid/);
+});
+
+test('templates fill placeholders and leave the event marker out of {{notes}}', () => {
+  const rule = { name: 'external' };
+
+  assert.strictEqual(
+    renderTemplate('[{{project}}/{{section}}] {{name}} with {{assignee}} ({{rule}}) {{unknown}}', task, rule),
+    '[Engineering/Meetings] Sprint Review with Sam Lee (external) {{unknown}}'
+  );
+  assert.strictEqual(renderTemplate('{{notes}}', task, rule), 'Demo the release');
+});
@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RunHistory, createRunReport } = require('../lib/run-history');
+
+const tempHistoryFile = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'mpc-runs-')), 'runs.jsonl');
+
+const report = (id, result = { success: true, eventsCreated: 1 }) =>
+  createRunReport({ id, source: 'schedule', dryRun: false, startedAt: new Date(), result });
+
+test('run reports carry the outcome and counts of the sync', () => {
+  assert.strictEqual(report('run1').outcome, 'succeeded');
+  assert.strictEqual(report('run1').counts.created, 1);
+  assert.strictEqual(report('run2', { success: true, eventsFailed: 2 }).outcome, 'partial');
+  assert.strictEqual(report('run3', { success: false, error: 'Asana unavailable' }).outcome, 'failed');
+  assert.strictEqual(report('run4', { success: true, cancelled: true }).outcome, 'cancelled');
+});
+
+test('runs are listed newest first and lines that do not parse are skipped', () => {
+  const filePath = tempHistoryFile();
+  const history = new RunHistory(filePath);
+  history.record(report('run1'));
+  fs.appendFileSync(filePath, '{"id":"run2","outc\n');
+  history.record(report('run3', { success: false }));
+
+  assert.deepStrictEqual(history.list().map(run => run.id), ['run3', 'run1']);
+  assert.deepStrictEqual(history.list({ outcome: 'failed' }).map(run => run.id), ['run3']);
+  assert.strictEqual(history.get('run1').processedTasks.length, 0);
+  assert.strictEqual(history.get('run2'), null);
+});
+
+test('the file is trimmed to the newest runs without being re-read on every record', () => {
+  const filePath = tempHistoryFile();
+  const history = new RunHistory(filePath, { limit: 5 });
+  const readAll = history.readAll.bind(history);
+  let reads = 0;
+  history.readAll = () => {
+    reads++;
+    return readAll();
+  };
+
+  for (let i = 1; i <= 6; i++) history.record(report(`run${i}`));
+  assert.strictEqual(reads, 1);
+  assert.strictEqual(readAll().length, 6);
+
+  history.record(report('run7'));
+  assert.deepStrictEqual(readAll().map(run => run.id), ['run3', 'run4', 'run5', 'run6', 'run7']);
+  assert.strictEqual(history.runCount, 5);
+});
@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseCron, parseWindow, scheduleSettings, nextRunTime, describeSchedule } = require('../lib/schedule');
+
+test('cron expressions expand names, ranges and steps', () => {
+  const parsed = parseCron('*/15 9-17 * * mon-fri');
+
+  assert.deepStrictEqual([...parsed.seconds], [0]);
+  assert.deepStrictEqual([...parsed.minutes], [0, 15, 30, 45]);
+  assert.deepStrictEqual([...parsed.hours], [9, 10, 11, 12, 13, 14, 15, 16, 17]);
+  assert.deepStrictEqual([...parsed.weekdays], [1, 2, 3, 4, 5]);
+  assert.deepStrictEqual([...parseCron('0 9 * * 7').weekdays], [0]);
+});
+
+test('invalid cron expressions are rejected', () => {
+  assert.throws(() => parseCron('0 9 * *'), /need 5 fields/);
+  assert.throws(() => parseCron('61 * * * *'), /Invalid minute field/);
+  assert.throws(() => parseCron('0 9 * * someday'), /Invalid day of week value/);
+});
+
+test('run windows take optional days and must end after they start', () => {
+  assert.deepStrictEqual(parseWindow('Mon-Fri 08:00-18:00'), { days: new Set([1, 2, 3, 4, 5]), start: 480, end: 1080 });
+  assert.strictEqual(parseWindow('09:00-17:00').days.size, 7);
+  assert.throws(() => parseWindow('18:00-08:00'), /must end after it starts/);
+  assert.throws(() => parseWindow('weekdays'), /Invalid run window/);
+});
+
+test('cron schedules run in their time zone, across daylight saving changes', () => {
+  const weekdayMornings = { cron: '0 9 * * mon-fri', timeZone: 'America/New_York' };
+
+  assert.strictEqual(nextRunTime(weekdayMornings, new Date('2026-10-17T00:00:00Z')).toISOString(), '2026-10-19T13:00:00.000Z');
+  assert.strictEqual(nextRunTime(weekdayMornings, new Date('2026-10-31T00:00:00Z')).toISOString(), '2026-11-02T14:00:00.000Z');
+});
+
+test('interval schedules run at the top of every Nth hour', () => {
+  const settings = scheduleSettings({ intervalHours: 6 });
+  assert.strictEqual(nextRunTime(settings, new Date('2026-10-18T01:30:00Z')).toISOString(), '2026-10-18T06:00:00.000Z');
+});
+
+test('runs outside the window move to the next time inside it', () => {
+  const settings = { intervalHours: 1, window: 'Mon-Fri 08:00-18:00', timeZone: 'Europe/Berlin' };
+
+  // Friday 18:30 in Berlin, so the next run is Monday 08:00
+  assert.strictEqual(nextRunTime(settings, new Date('2026-10-16T16:30:00Z')).toISOString(), '2026-10-19T06:00:00.000Z');
+  assert.strictEqual(nextRunTime({ ...settings, window: 'Sat 08:00-09:00', cron: '0 12 * * *' }), null);
+});
+
+test('schedules are described in words', () => {
+  assert.strictEqual(describeSchedule(scheduleSettings({ intervalHours: 2 })), 'every 2 hours');
+  assert.strictEqual(
+    describeSchedule(scheduleSettings({ scheduleCron: '0 9 * * mon-fri', scheduleTimeZone: 'Europe/Berlin', scheduleWindow: '08:00-18:00', scheduleJitterSeconds: 30 })),
+    'on cron "0 9 * * mon-fri" (Europe/Berlin) within 08:00-18:00 (Europe/Berlin) with up to 30s jitter'
+  );
+});
@@ -0,0 +1,294 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSyncEngine } = require('../lib/sync-engine');
+const { SyncStore } = require('../lib/sync-store');
+const { Logger } = require('../lib/logger');
+
+const ENGINE_CONFIG = {
+  asanaToken: 'test-asana-token',
+  asanaWorkspaceId: '1000',
+  asanaAssignee: 'any',
+  asanaTeamIds: [],
+  asanaProjectIds: [],
+  googleCalendarId: 'primary',
+  googleClientId: 'client-id',
+  googleClientSecret: 'client-secret',
+  googleRefreshToken: 'refresh-token',
+  searchKeyword: 'MEETING',
+  rules: [],
+  writeEventMarkers: false,
+  syncMode: 'one-way',
+  conflictPolicy: 'asana',
+  orphanPolicy: 'prefix',
+  orphanPrefix: '[DONE]',
+  locationField: 'Location',
+  durationField: 'Duration',
+  eventTimeZone: 'UTC',
+  eventDefaultTime: '09:00',
+  eventDefaultDurationMinutes: 60,
+  dateOnlyEvents: 'all-day',
+  workspaceEventDefaults: {},
+  attendeeSources: [],
+  attendeesField: 'Attendees',
+  attendeeEmails: {},
+  sendUpdates: 'none'
+};
+
+// An Asana task as the Asana client returns it
+const asanaTask = (fields) => ({
+  gid: '1201',
+  name: 'MEETING Planning',
+  notes: 'Agenda',
+  completed: false,
+  due_on: '2026-11-02',
+  due_at: null,
+  start_on: null,
+  start_at: null,
+  modified_at: '2026-10-01T00:00:00.000Z',
+  workspace: null,
+  assignee: null,
+  followers: [],
+  projects: [],
+  memberships: [],
+  tags: [],
+  custom_fields: [],
+  ...fields
+});
+
+const notFound = () => Object.assign(new Error('Not Found'), { code: 404, response: { status: 404 } });
+
+// A sync engine whose Asana tasks and calendar events live in memory. Patches follow
+// Google's semantics: a null field is cleared.
+const createTestEngine = ({ tasks = [asanaTask()], config = {} } = {}) => {
+  const events = {};
+  const patches = [];
+  const asanaUpdates = [];
+
+  const calendar = {
+    events: {
+      insert: async ({ resource }) => {
+        events[resource.id] = { ...resource, status: 'confirmed', updated: new Date().toISOString() };
+        return { data: events[resource.id] };
+      },
+      get: async ({ eventId }) => {
+        if (!events[eventId]) throw notFound();
+        return { data: events[eventId] };
+      },
+      patch: async ({ eventId, resource }) => {
+        if (!events[eventId]) throw notFound();
+        patches.push({ eventId, resource });
+        for (const [field, value] of Object.entries(resource)) {
+          if (value === null) delete events[eventId][field];
+          else events[eventId][field] = value;
+        }
+        return { data: events[eventId] };
+      },
+      delete: async ({ eventId }) => {
+        delete events[eventId];
+        return { data: {} };
+      }
+    }
+  };
+
+  const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mpc-engine-'));
+  const engine = createSyncEngine({
+    config: { ...ENGINE_CONFIG, ...config },
+    syncStore: new SyncStore(path.join(stateDir, 'sync-state.json')),
+    oauth2Client: { getAccessToken: async () => ({ token: 'access-token' }) },
+    calendar,
+    logger: new Logger()
+  });
+
+  const asana = engine.getAsanaClient();
+  const findTask = (taskGid) => tasks.find(task => task.gid === taskGid);
+  asana.searchTasks = async () => tasks.filter(task => !task.completed);
+  asana.getTask = async (taskGid) => {
+    if (!findTask(taskGid)) throw Object.assign(new Error('Asana API error: Not Found'), { status: 404 });
+    return { ...findTask(taskGid) };
+  };
+  asana.updateTask = async (taskGid, data) => {
+    asanaUpdates.push({ taskGid, data });
+    return Object.assign(findTask(taskGid), data);
+  };
+
+  // The event linked to a task
+  const eventOf = (taskGid) => {
+    const link = engine.syncStore.get(taskGid);
+    return link ? events[link.eventId] : null;
+  };
+
+  return { engine, tasks, events, patches, asanaUpdates, eventOf };
+};
+
+// Edit a linked event the way a user would in Google Calendar
+const editEvent = (event, fields) => Object.assign(event, fields, { updated: new Date().toISOString() });
+
+test('two-way sync pulls calendar edits into the Asana task', async () => {
+  const { engine, tasks, asanaUpdates, eventOf } = createTestEngine({ config: { syncMode: 'two-way' } });
+  assert.strictEqual((await engine.syncSingleTask('1201')).action, 'created');
+
+  editEvent(eventOf('1201'), {
+    summary: 'MEETING Planning (moved)',
+    start: { date: '2026-11-05' },
+    end: { date: '2026-11-07' }
+  });
+  const result = await engine.syncSingleTask('1201');
+
+  assert.strictEqual(result.action, 'pulled');
+  assert.deepStrictEqual(asanaUpdates[0].data, {
+    name: 'MEETING Planning (moved)',
+    due_on: '2026-11-06',
+    start_on: '2026-11-05'
+  });
+  assert.strictEqual(tasks[0].due_on, '2026-11-06');
+  assert.strictEqual((await engine.syncSingleTask('1201')).action, 'skipped');
+});
+
+test('a changed end time alone is pulled back to Asana', async () => {
+  const { engine, asanaUpdates, eventOf } = createTestEngine({
+    tasks: [asanaTask({ due_on: null, start_at: '2026-11-02T10:00:00.000Z', due_at: '2026-11-02T11:00:00.000Z' })],
+    config: { syncMode: 'two-way' }
+  });
+  await engine.syncSingleTask('1201');
+
+  editEvent(eventOf('1201'), { end: { dateTime: '2026-11-02T11:30:00.000Z', timeZone: 'UTC' } });
+  assert.strictEqual((await engine.syncSingleTask('1201')).action, 'pulled');
+  assert.deepStrictEqual(asanaUpdates[0].data, { due_at: '2026-11-02T11:30:00.000Z' });
+});
+
+test('deleting the event in two-way mode completes the task', async () => {
+  const { engine, tasks, events, eventOf } = createTestEngine({ config: { syncMode: 'two-way' } });
+  await engine.syncSingleTask('1201');
+
+  delete events[engine.syncStore.get('1201').eventId];
+  assert.strictEqual((await engine.syncSingleTask('1201')).action, 'completed');
+  assert.strictEqual(tasks[0].completed, true);
+  assert.strictEqual(eventOf('1201'), null);
+});
+
+// Both sides change the title between syncs
+const syncConflict = async (conflictPolicy, { eventNewer = true } = {}) => {
+  const setup = createTestEngine({ config: { syncMode: 'two-way', conflictPolicy } });
+  await setup.engine.syncSingleTask('1201');
+
+  const taskEdit = '2026-10-10T12:00:00.000Z';
+  const eventEdit = eventNewer ? '2026-10-10T13:00:00.000Z' : '2026-10-10T11:00:00.000Z';
+  Object.assign(setup.tasks[0], { name: 'MEETING Planning (Asana)', modified_at: taskEdit });
+  Object.assign(setup.eventOf('1201'), { summary: 'MEETING Planning (Calendar)', updated: eventEdit });
+
+  return { ...setup, result: await setup.engine.syncSingleTask('1201') };
+};
+
+test('conflicts follow the conflict policy', async () => {
+  const asana = await syncConflict('asana');
+  assert.strictEqual(asana.result.action, 'updated');
+  assert.strictEqual(asana.eventOf('1201').summary, 'MEETING Planning (Asana)');
+
+  const calendar = await syncConflict('calendar');
+  assert.strictEqual(calendar.result.action, 'pulled');
+  assert.strictEqual(calendar.tasks[0].name, 'MEETING Planning (Calendar)');
+
+  const calendarNewer = await syncConflict('most-recent');
+  assert.strictEqual(calendarNewer.tasks[0].name, 'MEETING Planning (Calendar)');
+
+  const asanaNewer = await syncConflict('most-recent', { eventNewer: false });
+  assert.strictEqual(asanaNewer.eventOf('1201').summary, 'MEETING Planning (Asana)');
+});
+
+test('manual conflicts are flagged and leave both sides alone', async () => {
+  const { engine, tasks, asanaUpdates, patches, eventOf, result } = await syncConflict('manual');
+
+  assert.strictEqual(result.action, 'conflict');
+  assert.ok(engine.syncStore.get('1201').conflict.detectedAt);
+  assert.strictEqual(tasks[0].name, 'MEETING Planning (Asana)');
+  assert.strictEqual(eventOf('1201').summary, 'MEETING Planning (Calendar)');
+  assert.strictEqual(asanaUpdates.length + patches.length, 0);
+  assert.strictEqual((await engine.syncSingleTask('1201')).action, 'conflict');
+  assert.strictEqual(engine.stats.conflicts, 1);
+});
+
+test('a changed task patches only the changed fields of its event', async () => {
+  const { engine, tasks, patches, eventOf } = createTestEngine();
+  await engine.syncSingleTask('1201');
+  const eventId = engine.syncStore.get('1201').eventId;
+
+  tasks[0].name = 'MEETING Planning (rescheduled)';
+  tasks[0].due_on = '2026-11-03';
+  const result = await engine.syncSingleTask('1201');
+
+  assert.strictEqual(result.action, 'updated');
+  assert.deepStrictEqual(Object.keys(patches[0].resource).sort(), ['end', 'start', 'summary']);
+  assert.strictEqual(engine.syncStore.get('1201').eventId, eventId);
+  assert.strictEqual(eventOf('1201').start.date, '2026-11-03');
+  assert.strictEqual((await engine.syncSingleTask('1201')).action, 'skipped');
+});
+
+test('an event deleted in Calendar is recreated in one-way mode', async () => {
+  const { engine, events, eventOf } = createTestEngine();
+  await engine.syncSingleTask('1201');
+  const eventId = engine.syncStore.get('1201').eventId;
+
+  delete events[eventId];
+  assert.strictEqual((await engine.syncSingleTask('1201')).action, 'recreated');
+  assert.notStrictEqual(engine.syncStore.get('1201').eventId, eventId);
+  assert.strictEqual(eventOf('1201').summary, 'MEETING Planning');
+});
+
+test('an event cancelled in Calendar is recreated in one-way mode', async () => {
+  const { engine, patches, eventOf } = createTestEngine();
+  await engine.syncSingleTask('1201');
+  const eventId = engine.syncStore.get('1201').eventId;
+
+  eventOf('1201').status = 'cancelled';
+  assert.strictEqual((await engine.syncSingleTask('1201')).action, 'recreated');
+  assert.notStrictEqual(engine.syncStore.get('1201').eventId, eventId);
+  assert.strictEqual(eventOf('1201').status, 'confirmed');
+  assert.strictEqual(patches.length, 0);
+});
+
+test('emptying the Location field clears the location the sync set', async () => {
+  const location = (value) => [{ name: 'Location', display_value: value }];
+  const { engine, tasks, eventOf } = createTestEngine({ tasks: [asanaTask({ custom_fields: location('Room 4') })] });
+  await engine.syncSingleTask('1201');
+  assert.strictEqual(eventOf('1201').location, 'Room 4');
+
+  tasks[0].custom_fields = location(null);
+  assert.strictEqual((await engine.syncSingleTask('1201')).action, 'updated');
+  assert.strictEqual(eventOf('1201').location, undefined);
+
+  eventOf('1201').location = 'Room 7';
+  assert.strictEqual((await engine.syncSingleTask('1201')).action, 'skipped');
+  assert.strictEqual(eventOf('1201').location, 'Room 7');
+});
+
+test('a workspace\'s event defaults override the account\'s', async () => {
+  const { engine, eventOf } = createTestEngine({
+    tasks: [asanaTask({ workspace: { gid: '2000' } })],
+    config: { workspaceEventDefaults: { 2000: { timeZone: 'Asia/Tokyo', dateOnlyEvents: 'timed', defaultDurationMinutes: 30 } } }
+  });
+  await engine.syncSingleTask('1201');
+
+  assert.deepStrictEqual(eventOf('1201').start, { dateTime: '2026-11-02T00:00:00.000Z', timeZone: 'Asia/Tokyo' });
+  assert.deepStrictEqual(eventOf('1201').end, { dateTime: '2026-11-02T00:30:00.000Z', timeZone: 'Asia/Tokyo' });
+});
+
+test('followers are invited and removed as they come and go, keeping guests added in Calendar', async () => {
+  const follower = (name) => ({ gid: name, name, email: `${name}@example.com` });
+  const { engine, tasks, eventOf } = createTestEngine({
+    tasks: [asanaTask({ followers: [follower('ana'), follower('ben')] })],
+    config: { attendeeSources: ['followers'] }
+  });
+  const attendeeEmails = () => eventOf('1201').attendees.map(attendee => attendee.email);
+
+  await engine.syncSingleTask('1201');
+  assert.deepStrictEqual(attendeeEmails(), ['ana@example.com', 'ben@example.com']);
+
+  eventOf('1201').attendees.push({ email: 'guest@example.com' });
+  tasks[0].followers = [follower('ben'), follower('cleo')];
+  assert.strictEqual((await engine.syncSingleTask('1201')).action, 'updated');
+  assert.deepStrictEqual(attendeeEmails(), ['ben@example.com', 'guest@example.com', 'cleo@example.com']);
+  assert.deepStrictEqual(engine.syncStore.get('1201').attendees, ['ben@example.com', 'cleo@example.com']);
+});
@@ -0,0 +1,105 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SyncStore, hashTask, hashEvent, stripEventMarker } = require('../lib/sync-store');
+
+const tempStateFile = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'mpc-store-')), 'sync-state.json');
+
+// Resolves with the lock's release function, or null if it wasn't taken within ms
+const lockWithin = (store, ms) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), ms);
+  return store.lock({ signal: controller.signal }).finally(() => clearTimeout(timer));
+};
+
+test('links are saved to the state file and loaded by a new store', () => {
+  const filePath = tempStateFile();
+  const store = new SyncStore(filePath);
+  store.set('1201', { eventId: 'evt1', calendarId: 'primary', lastSyncedHash: 'abc' });
+
+  const reloaded = new SyncStore(filePath);
+  assert.strictEqual(reloaded.get('1201').eventId, 'evt1');
+  assert.strictEqual(reloaded.get('1201').taskGid, '1201');
+  assert.ok(reloaded.get('1201').createdAt);
+
+  assert.strictEqual(reloaded.remove('1201'), true);
+  assert.strictEqual(new SyncStore(filePath).get('1201'), null);
+});
+
+test('updating a link keeps when it was created', () => {
+  const store = new SyncStore(tempStateFile());
+  const created = store.set('1201', { eventId: 'evt1' });
+  const updated = store.set('1201', { lastSyncedHash: 'def' });
+
+  assert.strictEqual(updated.createdAt, created.createdAt);
+  assert.strictEqual(updated.eventId, 'evt1');
+  assert.strictEqual(updated.lastSyncedHash, 'def');
+});
+
+test('a legacy marker in the task notes is imported once', () => {
+  const store = new SyncStore(tempStateFile());
+  const task = { gid: '1201', notes: 'Agenda\n[CAL_EVENT:evt42]' };
+
+  const link = store.importMarker(task, 'primary');
+  assert.strictEqual(link.eventId, 'evt42');
+  assert.strictEqual(link.source, 'marker');
+  assert.strictEqual(store.importMarker({ ...task, notes: '[CAL_EVENT:other]' }, 'primary'), null);
+  assert.strictEqual(store.importMarker({ gid: '1202', notes: 'No marker' }, 'primary'), null);
+});
+
+test('the legacy marker never affects the task hash', () => {
+  const task = { name: 'Review', notes: 'Agenda', due_on: '2026-11-01' };
+
+  assert.strictEqual(stripEventMarker('Agenda\n[CAL_EVENT:evt42]'), 'Agenda');
+  assert.strictEqual(hashTask({ ...task, notes: 'Agenda\n[CAL_EVENT:evt42]' }), hashTask(task));
+  assert.notStrictEqual(hashTask({ ...task, due_on: '2026-11-02' }), hashTask(task));
+});
+
+test('the event hash covers the end time', () => {
+  const event = { summary: 'Review', start: { date: '2026-11-01' }, end: { date: '2026-11-02' } };
+  assert.notStrictEqual(hashEvent({ ...event, end: { date: '2026-11-04' } }), hashEvent(event));
+});
+
+test('a second store in the same process waits for a held lock', async () => {
+  const filePath = tempStateFile();
+  const first = new SyncStore(filePath);
+  const second = new SyncStore(filePath);
+
+  const release = await first.lock();
+  assert.strictEqual(await lockWithin(second, 800), null);
+
+  release();
+  const releaseSecond = await lockWithin(second, 800);
+  assert.ok(releaseSecond);
+  releaseSecond();
+});
+
+test('releasing a lock that was taken over leaves the new holder\'s lock alone', async () => {
+  const filePath = tempStateFile();
+  const lockPath = `${filePath}.lock`;
+  const store = new SyncStore(filePath);
+  const release = await store.lock();
+
+  const other = { pid: process.pid + 1, token: 'other-holder', lockedAt: new Date().toISOString() };
+  fs.writeFileSync(lockPath, JSON.stringify(other));
+  release();
+
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(lockPath, 'utf8')), other);
+});
+
+test('a lock left by an earlier run with this process id is taken over', async () => {
+  const filePath = tempStateFile();
+  fs.writeFileSync(`${filePath}.lock`, JSON.stringify({ pid: process.pid, token: 'earlier-run' }));
+
+  const release = await lockWithin(new SyncStore(filePath), 800);
+  assert.ok(release);
+  release();
+  assert.strictEqual(fs.existsSync(`${filePath}.lock`), false);
+});
+
+test('a lock held by a live process is not taken over', () => {
+  const store = new SyncStore(tempStateFile());
+  assert.strictEqual(store.isStaleLock({ pid: process.ppid, token: 'parent' }), false);
+});